@@ -56,6 +56,28 @@ function validateBasket(data) {
 	}
 }
 
+/**
+ * Updates the gift certificates redeemed on the cart page after their amounts were rebalanced
+ * @param {Object} giftCertPayment - redeemed gift certificates of the cart model
+ */
+function updateGiftCertPayments(giftCertPayment) {
+	var codes = giftCertPayment.gcPIs.map(function (gcPi) {
+		return gcPi.giftCertCode;
+	});
+
+	$('.cart-gift-cert-payments .giftcert-pi').each(function () {
+		if (codes.indexOf($(this).data('gift-cert-code')) === -1) {
+			$(this).remove();
+		}
+	});
+
+	giftCertPayment.gcPIs.forEach(function (gcPi) {
+		$('#cart-gc-' + gcPi.giftCertCode + ' .giftcert-pi-message').text(gcPi.message);
+	});
+
+	$('.cart-gift-cert-message').html('<div class="alert alert-info" role="alert">' + giftCertPayment.rebalancedMessage + '</div>');
+}
+
 /**
  * re-renders the order totals and the number of items in the cart
  * @param {Object} data - AJAX response from the server
@@ -87,6 +109,13 @@ function updateCartTotals(data) {
 		$('.shipping-discount').addClass('hide-shipping-discount');
 	}
 
+	if (data.giftCertPayment) {
+		$('.gift-cert-remaining-total').empty().append(data.giftCertPayment.remainingTotal);
+		if (data.giftCertPayment.rebalancedMessage) {
+			updateGiftCertPayments(data.giftCertPayment);
+		}
+	}
+
 	data.items.forEach(function (item) {
 		if (item.renderedPromotions) {
 			$('.item-' + item.UUID).empty().append(item.renderedPromotions);
@@ -157,6 +157,28 @@ function updateBillingInformation(order, customer) {
 	}
 }
 
+/**
+ * Gets the redeemed amount of a gift certificate and why it got that amount for the payment summary
+ * @param {Object} order - checkout model to use as basis of new truth
+ * @param {string} maskedGiftCertificateCode - masked code of the gift certificate
+ * @return {string} html of the redeemed amount, empty if the gift certificate is not found
+ */
+function getGiftCertAllocationHtml(order, maskedGiftCertificateCode) {
+	var gcPIs = (order.gcPaymentInstrument && order.gcPaymentInstrument.gcPIs) || [];
+	var html = '';
+
+	gcPIs.forEach(function (gcPi) {
+		if (gcPi.maskedGiftCertifiacte === maskedGiftCertificateCode) {
+			html = '<div>' + gcPi.amount + '</div>';
+			if (gcPi.allocationReason) {
+				html += '<div class="allocation-reason">' + gcPi.allocationReason + '</div>';
+			}
+		}
+	});
+
+	return html;
+}
+
 /**
  * Updates the payment information in checkout, based on the supplied order model
  * @param {Object} order - checkout model to use as basis of new truth
@@ -185,7 +207,9 @@ function updatePaymentInformation(order) {
 				htmlToAppend += '<div class=""><span> GIFT CERTIFICATE '
 					+ '</span><div>'
 					+ order.billing.payment.selectedPaymentInstruments[i].maskedGiftCertificateCode
-					+ '</div></div>';
+					+ '</div>'
+					+ getGiftCertAllocationHtml(order, paymentInstruments[i].maskedGiftCertificateCode)
+					+ '</div>';
 			}
 		}
 	}
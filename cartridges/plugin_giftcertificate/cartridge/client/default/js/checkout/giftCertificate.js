@@ -14,9 +14,46 @@ var validateGiftCert = function () {
 
 	$('#giftCertInvalidMessage').html('');
 	elm.removeClass('is-invalid');
+
+	// the PIN field is only rendered if gift certificates are protected by a PIN
+	var pin = $('.giftCertPin');
+	if (pin.length > 0 && pin.val().length === 0) {
+		$('#giftCertPinInvalidMessage').html($('.gift-cert-pin-wrapper').data('missing-error'));
+		pin.addClass('is-invalid');
+		return true;
+	}
+
+	$('#giftCertPinInvalidMessage').html('');
+	pin.removeClass('is-invalid');
 	return false;
 };
 
+/**
+ * Lets a challenge integration (e.g. a CAPTCHA) know that the shopper has to pass a challenge
+ * before looking up further gift certificate codes.
+ * @param {Object} data - AJAX error response from the server
+ */
+var handleChallenge = function (data) {
+	if (data.challengeRequired) {
+		$('body').trigger('giftcert:challengeRequired', { form: $('.gift-cert-form') });
+	}
+};
+
+/**
+ * Replaces the payment tabs and their content with those rendered after a gift certificate change
+ * @param {Object} data - AJAX response from the server
+ */
+var updatePaymentOptions = function (data) {
+	var tabs = $(data.renderedGiftCertHtml).find('.payment-options');
+	$('.payment-options').replaceWith(tabs);
+	var content = $(data.renderedGiftCertHtml).find('.payment-content');
+	$('.payment-content').replaceWith(content);
+
+	if ($('.cardNumber').length && $('#cardType').length) {
+		cleave.handleCreditCardNumber('.cardNumber', '#cardType');
+	}
+};
+
 /**
  * Function used to disable the other payment tabs if complete payment
  * is done via Gift Certificate
@@ -101,6 +138,9 @@ module.exports = {
 					$('body').trigger('checkout:enableButton', '.next-step-button button');
 					if (err.responseJSON && err.responseJSON.redirectUrl) {
 						window.location.href = err.responseJSON.redirectUrl;
+					} else if (err.responseJSON && err.responseJSON.errorMessage) {
+						$balance.html(err.responseJSON.errorMessage).removeClass('success').addClass('error');
+						handleChallenge(err.responseJSON);
 					}
 				}
 			});
@@ -116,20 +156,31 @@ module.exports = {
 			}
 
 			var giftCertCode = $('.giftCertCode').val();
+			var giftCertPin = $('.giftCertPin').val();
 			var $balance = $('.balance');
+			var $history = $('.balance-history').empty();
 			var url = $(this).data('url');
+			// the PIN is posted, so it ends up in no URL
+			var formData = $('#dwfrm_billing input[name="csrf_token"]').serialize() + '&' + $.param({ giftCertCode: giftCertCode, giftCertPin: giftCertPin });
 
 			$.ajax({
 				url: url,
-				type: 'get',
+				type: 'post',
 				dataType: 'json',
-				data: { giftCertCode: giftCertCode },
+				data: formData,
 				success: function (data) {
 					if (!data.giftCertificate) {
 						$balance.html(data.error).removeClass('success').addClass('error');
 						return;
 					}
 					$balance.html(data.giftCertificate.balance).removeClass('error').addClass('success');
+					$history.html(data.renderedHistoryHtml);
+				},
+				error: function (err) {
+					if (err.responseJSON && err.responseJSON.error) {
+						$balance.html(err.responseJSON.error).removeClass('success').addClass('error');
+						handleChallenge(err.responseJSON);
+					}
 				}
 			});
 
@@ -139,24 +190,67 @@ module.exports = {
 	deleteGiftCert: function () {
 		$('body').on('click', '.giftcert-pi .remove', function (e) {
 			e.preventDefault();
-			var url = $(this).attr('href');
 			var $balance = $('.balance');
 			$.ajax({
-				url: url,
-				type: 'get',
+				url: $(this).data('url'),
+				type: 'post',
 				dataType: 'json',
+				data: $('#dwfrm_billing input[name="csrf_token"]').serialize(),
 				success: function (data) {
 					if (data.error) {
 						$balance.html(data.errorMessage).removeClass('success').addClass('error');
 					} else {
-						var tabs = $(data.renderedGiftCertHtml).find('.payment-options');
-						$('.payment-options').replaceWith(tabs);
-						var content = $(data.renderedGiftCertHtml).find('.payment-content');
-						$('.payment-content').replaceWith(content);
-
-						if ($('.cardNumber').length && $('#cardType').length) {
-							cleave.handleCreditCardNumber('.cardNumber', '#cardType');
+						updatePaymentOptions(data);
+					}
+				}
+			});
+		});
+	},
+	updateGiftCertAmount: function () {
+		$('body').on('click', '.giftcert-pi .update-amount', function (e) {
+			e.preventDefault();
+			var amount = $(this).closest('.giftcert-pi').find('.giftcert-pi-amount').val();
+			var $balance = $('.balance');
+			var formData = $('#dwfrm_billing input[name="csrf_token"]').serialize() + '&' + $.param({ amount: amount });
+			$.ajax({
+				url: $(this).data('url'),
+				type: 'post',
+				dataType: 'json',
+				data: formData,
+				success: function (data) {
+					if (data.redirectUrl) {
+						window.location.href = data.redirectUrl;
+					} else if (data.error) {
+						// the gift certificate was removed if nothing was left to redeem
+						if (data.renderedGiftCertHtml) {
+							updatePaymentOptions(data);
+							$balance = $('.balance');
 						}
+						$balance.html(data.errorMessage).removeClass('success').addClass('error');
+					} else {
+						updatePaymentOptions(data);
+						$('.gift-cert-tab').trigger('click');
+					}
+				}
+			});
+		});
+	},
+	updateRebalancedGiftCerts: function () {
+		$('body').on('checkout:updateCheckoutView', function (e, data) {
+			if (!data.order || !data.order.giftCertRebalancedMessage) {
+				return;
+			}
+
+			$.ajax({
+				url: $('.redemption.giftcert').data('url'),
+				type: 'get',
+				dataType: 'json',
+				success: function (response) {
+					if (response.redirectUrl) {
+						window.location.href = response.redirectUrl;
+					} else if (!response.error) {
+						updatePaymentOptions(response);
+						$('.balance').html(data.order.giftCertRebalancedMessage).removeClass('error').addClass('success');
 					}
 				}
 			});
@@ -0,0 +1,87 @@
+var formValidation = require('base/components/formValidation');
+var createErrorNotification = require('base/components/errorNotification');
+
+/**
+ * Shows the errors of the recipient list, one list entry per invalid row
+ * @param {Object} form - bulk purchase form
+ * @param {Object} data - ajax response with message and errors per row
+ */
+function showRowErrors(form, data) {
+	var $errors = form.find('.gift-cert-bulk-errors');
+	var $list = $errors.find('.gift-cert-bulk-errors-list');
+	var rowLabel = $list.data('row-label');
+
+	$errors.find('.gift-cert-bulk-errors-message').text(data.message);
+	$list.empty();
+
+	(data.rowErrors || []).forEach(function (rowError) {
+		var label = rowLabel.replace('{0}', rowError.row);
+		if (rowError.recipientEmail) {
+			label += ' (' + rowError.recipientEmail + ')';
+		}
+		$('<li>').text(label + ': ' + rowError.errors.join(' ')).appendTo($list);
+	});
+
+	$errors.removeClass('d-none');
+}
+
+/**
+ * Hides the errors of the recipient list
+ * @param {Object} form - bulk purchase form
+ */
+function hideRowErrors(form) {
+	form.find('.gift-cert-bulk-errors').addClass('d-none');
+	form.find('.gift-cert-bulk-errors-list').empty();
+}
+
+module.exports = {
+	loadFile: function () {
+		$('body').on('change', '.gift-cert-bulk-file', function () {
+			var file = this.files && this.files[0];
+			var $recipients = $(this).closest('form').find('.gift-cert-bulk-recipients');
+
+			if (!file) {
+				return;
+			}
+
+			var reader = new FileReader();
+			reader.onload = function () {
+				$recipients.val(reader.result);
+			};
+			reader.readAsText(file);
+		});
+	},
+	bulkAddToBasket: function () {
+		$('form.giftcert-bulk').submit(function (e) {
+			var form = $(this);
+			e.preventDefault();
+			hideRowErrors(form);
+			form.spinner().start();
+			$.ajax({
+				url: form.attr('action'),
+				type: 'post',
+				dataType: 'json',
+				data: form.serialize(),
+				success: function (data) {
+					form.spinner().stop();
+					if (data.success) {
+						window.location.href = data.redirectUrl;
+					} else if (data.fields) {
+						formValidation(form, data);
+					} else {
+						showRowErrors(form, data);
+					}
+				},
+				error: function (err) {
+					form.spinner().stop();
+					if (err.responseJSON && err.responseJSON.redirectUrl) {
+						window.location.href = err.responseJSON.redirectUrl;
+					} else if (err.responseJSON && err.responseJSON.errorMessage) {
+						createErrorNotification($('.error-messaging'), err.responseJSON.errorMessage);
+					}
+				}
+			});
+			return false;
+		});
+	}
+};
@@ -0,0 +1,79 @@
+var formValidation = require('base/components/formValidation');
+var createErrorNotification = require('base/components/errorNotification');
+
+/**
+ * Shows the gift certificates redeemed for the basket and the remaining total
+ * @param {Object} data - AJAX response from the server
+ */
+var updateGiftCertPayments = function (data) {
+	$('.cart-gift-cert-payments').replaceWith(data.renderedGiftCertHtml);
+};
+
+/**
+ * Shows the error of a failed redemption
+ * @param {Object} err - AJAX error response from the server
+ */
+var handleError = function (err) {
+	if (err.responseJSON && err.responseJSON.redirectUrl) {
+		window.location.href = err.responseJSON.redirectUrl;
+	} else if (err.responseJSON && err.responseJSON.errorMessage) {
+		createErrorNotification($('.cart-gift-cert-message'), err.responseJSON.errorMessage);
+		if (err.responseJSON.challengeRequired) {
+			$('body').trigger('giftcert:challengeRequired', { form: $('.cart-gift-cert-form') });
+		}
+	}
+};
+
+module.exports = {
+	addGiftCertToCart: function () {
+		$('body').on('submit', '.cart-gift-cert-form', function (e) {
+			var form = $(this);
+			e.preventDefault();
+			$('.cart-gift-cert-message').empty();
+			form.spinner().start();
+			$.ajax({
+				url: form.attr('action'),
+				type: 'post',
+				dataType: 'json',
+				data: form.serialize(),
+				success: function (data) {
+					form.spinner().stop();
+					if (data.fields) {
+						formValidation(form, data);
+					} else if (data.error && data.redirectUrl) {
+						window.location.href = data.redirectUrl;
+					} else if (data.error) {
+						createErrorNotification($('.cart-gift-cert-message'), data.errorMessage);
+					} else {
+						form.find('input[type="text"], input[type="password"]').val('').removeClass('is-invalid');
+						updateGiftCertPayments(data);
+					}
+				},
+				error: function (err) {
+					form.spinner().stop();
+					handleError(err);
+				}
+			});
+		});
+	},
+	removeGiftCertFromCart: function () {
+		$('body').on('click', '.cart-gift-cert-payments .remove', function (e) {
+			e.preventDefault();
+			$('.cart-gift-cert-message').empty();
+			$.ajax({
+				url: $(this).data('url'),
+				type: 'post',
+				dataType: 'json',
+				data: $('.cart-gift-cert-form input[name="csrf_token"]').serialize(),
+				success: function (data) {
+					if (data.error) {
+						createErrorNotification($('.cart-gift-cert-message'), data.errorMessage);
+					} else {
+						updateGiftCertPayments(data);
+					}
+				},
+				error: handleError
+			});
+		});
+	}
+};
@@ -28,6 +28,48 @@ function handlePostCartAdd(response) {
 	}, 5000);
 }
 
+/**
+ * Numbers the further recipient rows consecutively, so the server reads their fields in order
+ * @param {Object} $container - further recipients container
+ */
+function renumberRecipients($container) {
+	var $rows = $container.find('.gift-cert-recipient-row');
+
+	$rows.each(function (index) {
+		$(this).find('input').each(function () {
+			$(this).attr('name', $(this).attr('name').replace(/_i\d+_/, '_i' + index + '_'));
+			$(this).attr('id', $(this).attr('id').replace(/_\d+_/, '_' + index + '_'));
+		});
+		$(this).find('label').each(function () {
+			$(this).attr('for', $(this).attr('for').replace(/_\d+_/, '_' + index + '_'));
+		});
+	});
+
+	$container.find('.gift-cert-add-recipient').toggleClass('d-none', $rows.length >= $container.data('max-recipients'));
+}
+
+/**
+ * Renders the gift certificate email for the current values of the purchase form into the preview
+ * @param {Object} form - gift certificate form
+ */
+function updatePreview(form) {
+	var $preview = $('.gift-cert-preview');
+
+	if ($preview.length === 0) {
+		return;
+	}
+
+	$.ajax({
+		url: $preview.data('url'),
+		type: 'get',
+		dataType: 'html',
+		data: form.find(':input').not('[name="csrf_token"]').serialize(),
+		success: function (html) {
+			$preview.find('.gift-cert-preview-frame').attr('srcdoc', html);
+		}
+	});
+}
+
 /**
  * Used to initiate ajax call and update the form
  * @param {Object} form - gift certificate form
@@ -49,7 +91,16 @@ var updateGiftCertForm = function (form, isUpdate) {
 			} else {
 				if (!isUpdate) {
 					handlePostCartAdd(data);
-					form.find('input,textarea').val('');
+					form.find('input[type="text"],textarea').val('');
+					form.find('.gift-cert-delivery-type').first().prop('checked', true);
+					form.find('.gift-cert-email-delivery').removeClass('d-none');
+					form.find('.gift-cert-recipient-row').remove();
+					renumberRecipients(form.find('.gift-cert-additional-recipients'));
+					updatePreview(form);
+					if (form.find('.gift-cert-amount-option').length > 0) {
+						form.find('.gift-cert-amount-option').prop('checked', false);
+						form.find('.gift-cert-amount').addClass('d-none');
+					}
 					return false;
 				}
 				location.href = data.redirectUrl;
@@ -82,20 +133,26 @@ var checkBalance = function (form) {
 	form.spinner().start();
 	$.ajax({
 		url: url,
-		type: 'get',
+		type: 'post',
 		dataType: 'json',
 		data: form.serialize(),
 		success: function (data) {
 			form.spinner().stop();
 			if (!data.success) {
+				$('#gift-balance-history').empty();
 				formValidation(form, data);
 			} else {
 				$('#gift-balance-msg').html(data.giftCertificate.balance).removeClass('red');
+				$('#gift-balance-history').html(data.renderedHistoryHtml);
 			}
 		},
 		error: function (err) {
 			form.spinner().stop();
+			$('#gift-balance-history').empty();
 			$('#gift-balance-msg').html(err.responseJSON.error).addClass('red');
+			if (err.responseJSON.challengeRequired) {
+				$('body').trigger('giftcert:challengeRequired', { form: form });
+			}
 		}
 	});
 };
@@ -115,6 +172,57 @@ module.exports = {
 			updateGiftCertForm(form, true);
 		});
 	},
+	selectAmount: function () {
+		$('body').on('change', '.gift-cert-amount-option', function () {
+			var $amount = $(this).closest('form').find('.gift-cert-amount');
+			if ($(this).val() === 'custom') {
+				$amount.val('').removeClass('d-none').focus();
+			} else {
+				$amount.val($(this).val()).addClass('d-none');
+			}
+		});
+	},
+	selectDeliveryType: function () {
+		$('body').on('change', '.gift-cert-delivery-type', function () {
+			var physical = $(this).val() === 'PHYSICAL';
+			$(this).closest('form').find('.gift-cert-email-delivery').toggleClass('d-none', physical);
+		});
+	},
+	addRecipient: function () {
+		$('body').on('click', '.gift-cert-add-recipient', function (e) {
+			var $container = $(this).closest('.gift-cert-additional-recipients');
+			var physical = $(this).closest('form').find('.gift-cert-delivery-type:checked').val() === 'PHYSICAL';
+			var $row = $($container.find('.gift-cert-recipient-template').html().replace(/__index__/g, '0'));
+			e.preventDefault();
+
+			$row.find('.gift-cert-email-delivery').toggleClass('d-none', physical);
+			$container.find('.gift-cert-recipient-rows').append($row);
+			renumberRecipients($container);
+			$row.find('input').first().focus();
+		});
+	},
+	removeRecipient: function () {
+		$('body').on('click', '.gift-cert-remove-recipient', function (e) {
+			var $container = $(this).closest('.gift-cert-additional-recipients');
+			e.preventDefault();
+
+			$(this).closest('.gift-cert-recipient-row').remove();
+			renumberRecipients($container);
+		});
+	},
+	preview: function () {
+		var timeout;
+
+		$('body').on('input change', 'form.giftcert', function () {
+			var form = $(this);
+			clearTimeout(timeout);
+			timeout = setTimeout(function () {
+				updatePreview(form);
+			}, 500);
+		});
+
+		updatePreview($('form.giftcert'));
+	},
 	checkGiftCertBalance: function () {
 		$('body').on('click', '#CheckBalanceButton', function (e) {
 			var form = $('.check-balance');
@@ -0,0 +1,102 @@
+var formValidation = require('base/components/formValidation');
+var createErrorNotification = require('base/components/errorNotification');
+
+/**
+ * Shows the response of a product list action
+ * @param {Object} $container - message container
+ * @param {string} message - message to show
+ * @param {boolean} error - whether the action failed
+ */
+function showMessage($container, message, error) {
+	$container.empty();
+
+	if (error) {
+		createErrorNotification($container, message);
+	} else {
+		$('<div class="alert alert-success" role="alert">').text(message).appendTo($container);
+	}
+}
+
+/**
+ * Posts a product list action and follows the redirect of the response
+ * @param {Object} form - form of the product list entry
+ * @param {string} url - action URL
+ */
+function productListAction(form, url) {
+	var $page = $('.gift-certificate-product-list');
+
+	$page.spinner().start();
+	$.ajax({
+		url: url,
+		type: 'post',
+		dataType: 'json',
+		data: form.serialize(),
+		success: function (data) {
+			window.location.href = data.redirectUrl;
+		},
+		error: function (err) {
+			$page.spinner().stop();
+			if (err.responseJSON && err.responseJSON.redirectUrl) {
+				window.location.href = err.responseJSON.redirectUrl;
+			} else if (err.responseJSON && err.responseJSON.errorMessage) {
+				showMessage($('.product-list-message'), err.responseJSON.errorMessage, true);
+			}
+		}
+	});
+}
+
+module.exports = {
+	addToProductList: function () {
+		$('body').on('click', '.gift-cert-add-to-list', function (e) {
+			var button = $(this);
+			var form = button.closest('form.giftcert');
+			var $message = form.find('.gift-cert-product-list-message');
+			var data = form.serialize();
+			e.preventDefault();
+
+			if (button.data('registry')) {
+				data += '&' + $.param({ listId: form.find('.gift-cert-registry').val() });
+			}
+
+			form.spinner().start();
+			$.ajax({
+				url: button.data('url'),
+				type: 'post',
+				dataType: 'json',
+				data: data,
+				success: function (response) {
+					form.spinner().stop();
+					if (response.success) {
+						showMessage($message, response.message, false);
+					} else if (response.fields) {
+						formValidation(form, response);
+					} else if (response.redirectUrl) {
+						window.location.href = response.redirectUrl;
+					}
+				},
+				error: function (err) {
+					form.spinner().stop();
+					if (err.responseJSON && err.responseJSON.redirectUrl) {
+						window.location.href = err.responseJSON.redirectUrl;
+					} else if (err.responseJSON && err.responseJSON.errorMessage) {
+						showMessage($message, err.responseJSON.errorMessage, true);
+					}
+				}
+			});
+		});
+	},
+	moveToBasket: function () {
+		$('form.product-list-move').submit(function (e) {
+			var form = $(this);
+			e.preventDefault();
+			productListAction(form, form.attr('action'));
+			return false;
+		});
+	},
+	removeFromProductList: function () {
+		$('body').on('click', '.product-list-remove', function (e) {
+			e.preventDefault();
+			productListAction($(this).closest('form'), $(this).data('url'));
+		});
+	}
+};
@@ -0,0 +1,76 @@
+var formValidation = require('base/components/formValidation');
+var createErrorNotification = require('base/components/errorNotification');
+
+/**
+ * Posts a wallet action of a gift certificate and follows the redirect of the response
+ * @param {Object} button - button of the wallet entry
+ */
+var walletAction = function (button) {
+	var $wallet = $('.gift-certificate-wallet');
+	var $csrf = $wallet.find('.wallet-save input[type="hidden"]');
+	var data = { uuid: button.data('uuid') };
+	data[$csrf.attr('name')] = $csrf.val();
+
+	$wallet.spinner().start();
+	$.ajax({
+		url: button.data('url'),
+		type: 'post',
+		dataType: 'json',
+		data: data,
+		success: function (response) {
+			window.location.href = response.redirectUrl;
+		},
+		error: function (err) {
+			$wallet.spinner().stop();
+			if (err.responseJSON && err.responseJSON.errorMessage) {
+				createErrorNotification($('.wallet-message'), err.responseJSON.errorMessage);
+			}
+		}
+	});
+};
+
+module.exports = {
+	saveToWallet: function () {
+		$('form.wallet-save').submit(function (e) {
+			var form = $(this);
+			e.preventDefault();
+			form.spinner().start();
+			$.ajax({
+				url: form.attr('action'),
+				type: 'post',
+				dataType: 'json',
+				data: form.serialize(),
+				success: function (data) {
+					if (!data.success) {
+						form.spinner().stop();
+						formValidation(form, data);
+					} else {
+						window.location.href = data.redirectUrl;
+					}
+				},
+				error: function (err) {
+					form.spinner().stop();
+					if (err.responseJSON && err.responseJSON.error) {
+						createErrorNotification($('.wallet-message'), err.responseJSON.error);
+						if (err.responseJSON.challengeRequired) {
+							$('body').trigger('giftcert:challengeRequired', { form: form });
+						}
+					}
+				}
+			});
+			return false;
+		});
+	},
+	applyFromWallet: function () {
+		$('body').on('click', '.wallet-apply', function (e) {
+			e.preventDefault();
+			walletAction($(this));
+		});
+	},
+	removeFromWallet: function () {
+		$('body').on('click', '.wallet-remove', function (e) {
+			e.preventDefault();
+			walletAction($(this));
+		});
+	}
+};
@@ -13,6 +13,10 @@ $(document).ready(function () {
 	processInclude(require('base/components/countrySelector'));
 	processInclude(require('base/components/toolTip'));
 	processInclude(require('./giftcert/giftcert'));
+	processInclude(require('./giftcert/wallet'));
+	processInclude(require('./giftcert/bulkPurchase'));
+	processInclude(require('./giftcert/productList'));
+	processInclude(require('./giftcert/cartRedemption'));
 });
 
 require('base/thirdParty/bootstrap');
@@ -5,24 +5,131 @@ var cart = module.superModule;
 
 server.extend(cart);
 
+var csrfProtection = require('*/cartridge/scripts/middleware/csrf');
+
+/**
+ * Renders the gift certificates redeemed for the basket on the cart page
+ * @param {Object} giftCertPayment - redeemed gift certificates of the cart model
+ * @returns {string} rendered html
+ */
+function getRenderedGiftCertPayments(giftCertPayment) {
+	var renderTemplateHelper = require('*/cartridge/scripts/renderTemplateHelper');
+	return renderTemplateHelper.getRenderedHtml({ giftCertPayment: giftCertPayment }, 'cart/giftcert/giftCertPayments');
+}
+
+server.append('Show', function (req, res, next) {
+	res.setViewData({
+		giftCertFields: server.forms.getForm('billing').giftCertFields
+	});
+	next();
+});
+
 server.append('MiniCart', function (req, res, next) {
-    var BasketMgr = require('dw/order/BasketMgr');
-
-    var currentBasket = BasketMgr.getCurrentBasket();
-    var quantityTotal;
-
-    if (currentBasket) {
-        quantityTotal = currentBasket.productQuantityTotal;
-        if (currentBasket.giftCertificateLineItems.size() > 0) {
-            quantityTotal += currentBasket.giftCertificateLineItems.size();
-        }
-    } else {
-        quantityTotal = 0;
-    }
-    res.setViewData({
-        quantityTotal: quantityTotal
-    })
-    next();
+	var BasketMgr = require('dw/order/BasketMgr');
+
+	var currentBasket = BasketMgr.getCurrentBasket();
+	var quantityTotal;
+
+	if (currentBasket) {
+		quantityTotal = currentBasket.productQuantityTotal;
+		if (currentBasket.giftCertificateLineItems.size() > 0) {
+			quantityTotal += currentBasket.giftCertificateLineItems.size();
+		}
+	} else {
+		quantityTotal = 0;
+	}
+	res.setViewData({
+		quantityTotal: quantityTotal
+	})
+	next();
+});
+
+/**
+ * Redeems a gift certificate on the cart page, see CheckoutServices-AddGiftCertificate
+ */
+server.post('AddGiftCertificate', server.middleware.https, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var BasketMgr = require('dw/order/BasketMgr');
+	var URLUtils = require('dw/web/URLUtils');
+	var CartModel = require('*/cartridge/models/cart');
+	var giftCertRedemptionHelpers = require('*/cartridge/scripts/helpers/giftCertRedemptionHelpers');
+	var formErrors = require('*/cartridge/scripts/formErrors');
+
+	var currentBasket = BasketMgr.getCurrentBasket();
+
+	if (!currentBasket) {
+		res.json({
+			error: true,
+			redirectUrl: URLUtils.url('Cart-Show').toString()
+		});
+		return next();
+	}
+
+	var paymentForm = server.forms.getForm('billing');
+	var giftCertFields = paymentForm.giftCertFields;
+
+	if (!giftCertRedemptionHelpers.validateFields(giftCertFields)) {
+		res.json({
+			fields: formErrors.getFormErrors(giftCertFields)
+		});
+		return next();
+	}
+
+	var result = giftCertRedemptionHelpers.applyGiftCertificate(req, currentBasket, giftCertFields.giftCertCode.value, giftCertFields.giftCertPin.value);
+
+	if (result.locked) {
+		res.setStatusCode(429);
+		res.json({
+			error: true,
+			errorMessage: result.message,
+			challengeRequired: result.challengeRequired
+		});
+		return next();
+	}
+
+	if (result.error) {
+		res.json({
+			error: true,
+			errorMessage: result.message
+		});
+		return next();
+	}
+
+	giftCertFields.clear();
+
+	var basketModel = new CartModel(currentBasket);
+	basketModel.renderedGiftCertHtml = getRenderedGiftCertPayments(basketModel.giftCertPayment);
+	res.json(basketModel);
+
+	return next();
+});
+
+/**
+ * Removes a redeemed gift certificate on the cart page, see CheckoutServices-RemoveGiftCertificate
+ */
+server.post('RemoveGiftCertificate', server.middleware.https, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var BasketMgr = require('dw/order/BasketMgr');
+	var Resource = require('dw/web/Resource');
+	var CartModel = require('*/cartridge/models/cart');
+	var giftCertRedemptionHelpers = require('*/cartridge/scripts/helpers/giftCertRedemptionHelpers');
+
+	var currentBasket = BasketMgr.getCurrentBasket();
+	var giftCertCode = req.querystring.giftCertificateID;
+
+	if (!currentBasket || !giftCertCode) {
+		res.json({
+			error: true,
+			errorMessage: Resource.msg('billinggiftcert.giftcertinvalid', 'giftcert', null)
+		});
+		return next();
+	}
+
+	giftCertRedemptionHelpers.removeGiftCertificate(currentBasket, giftCertCode);
+
+	var basketModel = new CartModel(currentBasket);
+	basketModel.renderedGiftCertHtml = getRenderedGiftCertPayments(basketModel.giftCertPayment);
+	res.json(basketModel);
+
+	return next();
 });
 
 module.exports = server.exports();
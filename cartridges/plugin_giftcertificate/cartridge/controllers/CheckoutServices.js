@@ -7,144 +7,219 @@ server.extend(checkoutServices);
 
 var Resource = require('dw/web/Resource');
 var BasketMgr = require('dw/order/BasketMgr');
-var Transaction = require('dw/system/Transaction');
 
 var csrfProtection = require('*/cartridge/scripts/middleware/csrf');
 
 /**
- * Rednerd the gift certificate form to edit an existing added certificate
+ * Removes a redeemed gift certificate on the billing page
+ */
+server.post('RemoveGiftCertificate', server.middleware.https, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var COHelpers = require('*/cartridge/scripts/checkout/checkoutHelpers');
+	var giftCertRedemptionHelpers = require('*/cartridge/scripts/helpers/giftCertRedemptionHelpers');
+	var giftCertCode = req.querystring.giftCertificateID;
+
+	if (!empty(giftCertCode)) {
+		var currentBasket = BasketMgr.getCurrentOrNewBasket();
+		var paymentForm = server.forms.getForm('billing');
+
+		giftCertRedemptionHelpers.removeGiftCertificate(currentBasket, giftCertCode);
+
+		paymentForm.clear();
+		var renderedGiftCertHtml = COHelpers.getRenderedGCInstruments(req, currentBasket, paymentForm);
+
+		res.json({
+			success: true,
+			renderedGiftCertHtml: renderedGiftCertHtml,
+		});
+	} else {
+		res.json({
+			error: true,
+			errorMessage: Resource.msg('billinggiftcert.giftcertinvalid', 'giftcert', null)
+		});
+	}
+
+	return next();
+});
+
+/**
+ * Renders the gift certificate payment, e.g. after the redeemed amounts were rebalanced
  */
-server.get('RemoveGiftCertificate', server.middleware.https, function (req, res, next) {
-    var COHelpers = require('*/cartridge/scripts/checkout/checkoutHelpers');
-    var basketCalculationHelpers = require('*/cartridge/scripts/helpers/basketCalculationHelpers');
-    var giftCertCode = req.querystring.giftCertificateID;
-
-    if (!empty(giftCertCode)) {
-        var currentBasket = BasketMgr.getCurrentOrNewBasket();
-        var paymentForm = server.forms.getForm('billing');
-
-        var response = Transaction.wrap(function () {
-            COHelpers.removeGiftCertificatePaymentInstrument(currentBasket, giftCertCode);
-            basketCalculationHelpers.calculateTotals(currentBasket);
-            return true;
-        });
-
-        paymentForm.clear();
-        var renderedGiftCertHtml = COHelpers.getRenderedGCInstruments(req, currentBasket, paymentForm);
-
-        if (response) {
-            res.json({
-                success: true,
-                renderedGiftCertHtml: renderedGiftCertHtml,
-            });
-        }
-    } else {
-        res.json({
-            error: true,
-            errorMessage: Resource.msg('billinggiftcert.giftcertinvalid', 'giftcert', null)
-        });
-    }
-
-    return next();
+server.get('RenderGiftCertificates', server.middleware.https, function (req, res, next) {
+	var URLUtils = require('dw/web/URLUtils');
+	var COHelpers = require('*/cartridge/scripts/checkout/checkoutHelpers');
+	var currentBasket = BasketMgr.getCurrentBasket();
+
+	if (!currentBasket) {
+		res.json({
+			error: true,
+			redirectUrl: URLUtils.url('Cart-Show').toString()
+		});
+		return next();
+	}
+
+	res.json({
+		success: true,
+		renderedGiftCertHtml: COHelpers.getRenderedGCInstruments(req, currentBasket, server.forms.getForm('billing'))
+	});
+
+	return next();
+});
+
+/**
+ * Changes the amount redeemed from a gift certificate applied at checkout
+ */
+server.post('UpdateGiftCertificate', server.middleware.https, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var URLUtils = require('dw/web/URLUtils');
+	var COHelpers = require('*/cartridge/scripts/checkout/checkoutHelpers');
+	var giftCertRedemptionHelpers = require('*/cartridge/scripts/helpers/giftCertRedemptionHelpers');
+	var currentBasket = BasketMgr.getCurrentBasket();
+
+	if (!currentBasket) {
+		res.json({
+			error: true,
+			redirectUrl: URLUtils.url('Cart-Show').toString()
+		});
+		return next();
+	}
+
+	var result = giftCertRedemptionHelpers.updateGiftCertificateAmount(currentBasket, req.querystring.giftCertificateID, parseFloat(req.form.amount));
+
+	if (result.error) {
+		res.json({
+			error: true,
+			errorMessage: result.message,
+			renderedGiftCertHtml: result.removed ? COHelpers.getRenderedGCInstruments(req, currentBasket, server.forms.getForm('billing')) : null
+		});
+		return next();
+	}
+
+	var paymentForm = server.forms.getForm('billing');
+	paymentForm.clear();
+
+	res.json({
+		success: true,
+		renderedGiftCertHtml: COHelpers.getRenderedGCInstruments(req, currentBasket, paymentForm)
+	});
+
+	return next();
 });
 
 /**
  * Rednerd the gift certificate form to edit an existing added certificate
  */
-server.get('CheckBalance', server.middleware.https, function (req, res, next) {
-    var formatMoney = require('dw/util/StringUtils').formatMoney;
-    var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
-    var giftCertCode = req.querystring.giftCertCode;
-
-    // fetch the gift certificate
-    var giftCertificate = GiftCertificateMgr.getGiftCertificateByCode(giftCertCode);
-
-    if (giftCertificate && giftCertificate.isEnabled()) {
-        res.json({
-            giftCertificate: {
-                ID: giftCertificate.getGiftCertificateCode(),
-                balance: Resource.msgf('billing.giftcertbalance','giftcert', null, formatMoney(giftCertificate.getBalance()))
-            }
-        });
-    } else {
-        res.json({
-            error: Resource.msg('billing.giftcertinvalid', 'giftcert', null)
-        });
-    }
-
-    return next();
+server.post('CheckBalance', server.middleware.https, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var formatMoney = require('dw/util/StringUtils').formatMoney;
+	var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+	var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+	var giftCertLookupHelpers = require('*/cartridge/scripts/helpers/giftCertLookupHelpers');
+	var giftCertPinHelpers = require('*/cartridge/scripts/helpers/giftCertPinHelpers');
+	var giftCertHistoryHelpers = require('*/cartridge/scripts/helpers/giftCertHistoryHelpers');
+	var giftCertCode = req.form.giftCertCode;
+
+	var lookup = giftCertLookupHelpers.checkLookup(req);
+	if (!lookup.allowed) {
+		res.setStatusCode(429);
+		res.json({
+			error: lookup.message,
+			challengeRequired: lookup.challengeRequired
+		});
+		return next();
+	}
+
+	// fetch the gift certificate, a wrong PIN is treated like an unknown code
+	var giftCertificate = GiftCertificateMgr.getGiftCertificateByCode(giftCertCode);
+	if (giftCertificate && !giftCertPinHelpers.verifyPin(giftCertificate, req.form.giftCertPin)) {
+		giftCertificate = null;
+	}
+
+	// expired codes are only told apart from unknown codes once the PIN proved the shopper holds the certificate
+	var expired = giftCertificate && giftCertHelper.isExpired(giftCertificate);
+
+	if (expired && giftCertPinHelpers.isPinEnabled()) {
+		giftCertLookupHelpers.recordFailedLookup(req);
+		res.json({
+			error: Resource.msg('billinggiftcert.giftcertexpired', 'giftcert', null)
+		});
+	} else if (giftCertificate && !expired && giftCertificate.isEnabled() && giftCertificate.getStatus() !== giftCertificate.STATUS_REDEEMED) {
+		res.json({
+			giftCertificate: {
+				ID: giftCertificate.getGiftCertificateCode(),
+				balance: Resource.msgf('billing.giftcertbalance','giftcert', null, formatMoney(giftCertificate.getBalance()))
+			},
+			renderedHistoryHtml: giftCertHistoryHelpers.getRenderedHistory(giftCertificate)
+		});
+	} else {
+		// same response for unknown, disabled, fully redeemed and, without PINs, expired codes to not reveal which codes exist
+		giftCertLookupHelpers.recordFailedLookup(req);
+		res.json({
+			error: Resource.msg('billing.giftcertinvalid', 'giftcert', null)
+		});
+	}
+
+	return next();
 });
 
 /**
  * Rednerd the gift certificate form to edit an existing added certificate
  */
 server.post('AddGiftCertificate', server.middleware.https, csrfProtection.validateAjaxRequest, function (req, res, next) {
-    var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
-
-    var COHelpers = require('*/cartridge/scripts/checkout/checkoutHelpers');
-    var basketCalculationHelpers = require('*/cartridge/scripts/helpers/basketCalculationHelpers');
-    var formErrors = require('*/cartridge/scripts/formErrors');
-
-    var currentBasket = BasketMgr.getCurrentOrNewBasket();
-    var gc, newGCPaymentInstrument;
-
-    if (!currentBasket) {
-        res.json({
-            error: true,
-            redirectUrl: URLUtils.url('Cart-Show').toString()
-        });
-        return next();
-    }
-
-    var paymentForm = server.forms.getForm('billing');
-    var giftCertCode = paymentForm.giftCertFields.giftCertCode;
-
-    if (empty(giftCertCode.value)) {
-		giftCertCode.valid = false;
-		giftCertCode.error = Resource.msg('billinggiftcert.giftcertinvalid', 'giftcert', null);
-        paymentForm.valid = false;
-        
-        res.json({
-            fields: formErrors.getFormErrors(paymentForm)
-        });
-
-        return next();
+	var URLUtils = require('dw/web/URLUtils');
+	var COHelpers = require('*/cartridge/scripts/checkout/checkoutHelpers');
+	var giftCertRedemptionHelpers = require('*/cartridge/scripts/helpers/giftCertRedemptionHelpers');
+	var formErrors = require('*/cartridge/scripts/formErrors');
+
+	var currentBasket = BasketMgr.getCurrentOrNewBasket();
+
+	if (!currentBasket) {
+		res.json({
+			error: true,
+			redirectUrl: URLUtils.url('Cart-Show').toString()
+		});
+		return next();
 	}
 
-    if (!empty(giftCertCode.value)) {
-        gc = GiftCertificateMgr.getGiftCertificateByCode(giftCertCode.value);
-
-        if (!gc || !gc.isEnabled() || (gc.getStatus() === gc.STATUS_PENDING)) {// make sure exists
-            result = Resource.msg('billinggiftcert.giftcertinvalid', 'giftcert', null);
-        } else if (gc.getStatus() === gc.STATUS_REDEEMED) {// make sure it has not been fully redeemed
-            result = Resource.msg('billinggiftcert.giftcertnofunds', 'giftcert', null);
-        } else if (gc.balance.currencyCode !== currentBasket.getCurrencyCode()) {// make sure the GC is in the right currency
-            result = Resource.msg('billing.GIFTCERTIFICATE_CURRENCY_MISMATCH', 'giftcert', null);
-        } else {
-            newGCPaymentInstrument = Transaction.wrap(function () {
-                gcPaymentInstrument = COHelpers.createGiftCertificatePaymentInstrument(currentBasket, gc);
-                basketCalculationHelpers.calculateTotals(currentBasket);
-                return gcPaymentInstrument;
-            });
-
-            paymentForm.clear();
-            var renderedGiftCertHtml = COHelpers.getRenderedGCInstruments(req, currentBasket, paymentForm);
-
-            res.json({
-                renderedGiftCertHtml: renderedGiftCertHtml,
-                error: false
-            });
-
-            return next();
-        }
-    }
-
-    res.json({
-        error: true,
-        errorMessage: result
-    });
-
-    return next();
+	var paymentForm = server.forms.getForm('billing');
+	var giftCertFields = paymentForm.giftCertFields;
+
+	if (!giftCertRedemptionHelpers.validateFields(giftCertFields)) {
+		paymentForm.valid = false;
+
+		res.json({
+			fields: formErrors.getFormErrors(paymentForm)
+		});
+
+		return next();
+	}
+
+	var result = giftCertRedemptionHelpers.applyGiftCertificate(req, currentBasket, giftCertFields.giftCertCode.value, giftCertFields.giftCertPin.value, giftCertFields.giftCertAmount.value);
+
+	if (result.locked) {
+		res.setStatusCode(429);
+		res.json({
+			error: true,
+			errorMessage: result.message,
+			challengeRequired: result.challengeRequired
+		});
+		return next();
+	}
+
+	if (result.error) {
+		res.json({
+			error: true,
+			errorMessage: result.message
+		});
+		return next();
+	}
+
+	paymentForm.clear();
+	var renderedGiftCertHtml = COHelpers.getRenderedGCInstruments(req, currentBasket, paymentForm);
+
+	res.json({
+		renderedGiftCertHtml: renderedGiftCertHtml,
+		error: false
+	});
+
+	return next();
 });
 
 module.exports = server.exports();
@@ -12,111 +12,211 @@ var Resource = require('dw/web/Resource');
 var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
 var basketCalculationHelpers = require('*/cartridge/scripts/helpers/basketCalculationHelpers');
 var csrfProtection = require('*/cartridge/scripts/middleware/csrf');
+var userLoggedIn = require('*/cartridge/scripts/middleware/userLoggedIn');
 
 /**
  * Renders form for adding gift certificate
  */
 server.get('Purchase', csrfProtection.generateToken, function (req, res, next) {
-    var giftCertForm = server.forms.getForm('giftcert');
-    giftCertForm.clear();
-
-    var actionUrl = URLUtils.https('GiftCert-AddToBasket');
-    res.render('checkout/giftcert/giftcertpurchase', {
-        giftCertForm: giftCertForm,
-        actionUrl: actionUrl,
-        action: 'add'
-    });
+	var giftCertDesignHelpers = require('*/cartridge/scripts/helpers/giftCertDesignHelpers');
+	var giftCertForm = server.forms.getForm('giftcert');
+	giftCertForm.clear();
+
+	var actionUrl = URLUtils.https('GiftCert-AddToBasket');
+	var registries = null;
+
+	if (req.currentCustomer.profile) {
+		var giftCertProductListHelpers = require('*/cartridge/scripts/helpers/giftCertProductListHelpers');
+		registries = giftCertProductListHelpers.getGiftRegistries(req.currentCustomer.raw).map(function (registry) {
+			return { ID: registry.ID, name: registry.name };
+		});
+	}
+
+	res.render('checkout/giftcert/giftcertpurchase', {
+		giftCertForm: giftCertForm,
+		actionUrl: actionUrl,
+		action: 'add',
+		amountSelection: giftCertHelper.getAmountSelection(req.session.currency.currencyCode),
+		designs: giftCertDesignHelpers.getDesigns(),
+		registries: registries
+	});
     
-    next();
+	next();
 });
 
 /**
  * Adds a gift certificate in basket
  */
 server.post('AddToBasket', csrfProtection.validateAjaxRequest, server.middleware.https, function (req, res, next) {
-    var formErrors = require('*/cartridge/scripts/formErrors');
-    var giftCertForm = giftCertHelper.processAddToBasket(server.forms.getForm('giftcert'));
-    var ProductLineItemsModel = require('*/cartridge/models/productLineItems');
-
-    if (giftCertForm.valid) {
-        var currentBasket = BasketMgr.getCurrentOrNewBasket();
-        var giftCertificateLineItem = giftCertHelper.createGiftCert(currentBasket);
-
-        if (empty(giftCertificateLineItem)) {
-            res.setStatusCode(500);
-            res.json({
-                success: false,
-                errorMessage: Resource.msg('giftcert.server.error', 'forms', null)
-            });
-
-            return next();
-        }
+	var formErrors = require('*/cartridge/scripts/formErrors');
+	var giftCertForm = giftCertHelper.processAddToBasket(server.forms.getForm('giftcert'), req.session.currency.currencyCode);
+	var ProductLineItemsModel = require('*/cartridge/models/productLineItems');
+	var additionalRecipients = giftCertHelper.getAdditionalRecipients(giftCertForm, req.form);
+	var recipientErrors = giftCertHelper.validateAdditionalRecipients(additionalRecipients, giftCertForm);
+
+	if (giftCertForm.valid && Object.keys(recipientErrors).length === 0) {
+		var currentBasket = BasketMgr.getCurrentOrNewBasket();
+		var giftCertificateLineItem = giftCertHelper.createGiftCert(currentBasket, additionalRecipients);
+
+		if (empty(giftCertificateLineItem)) {
+			res.setStatusCode(500);
+			res.json({
+				success: false,
+				errorMessage: Resource.msg('giftcert.server.error', 'forms', null)
+			});
+
+			return next();
+		}
         
-        Transaction.wrap(function() {
-            basketCalculationHelpers.calculateTotals(currentBasket);
-        });
+		Transaction.wrap(function() {
+			basketCalculationHelpers.calculateTotals(currentBasket);
+		});
 
         
-        var quantityTotal = ProductLineItemsModel.getTotalQuantity(currentBasket.productLineItems);
+		var quantityTotal = ProductLineItemsModel.getTotalQuantity(currentBasket.productLineItems);
+
+		if (currentBasket.getGiftCertificateLineItems().size() > 0) {
+			quantityTotal += currentBasket.getGiftCertificateLineItems().size()
+		}
+
+		res.json({
+			success: true,
+			redirectUrl: URLUtils.https('Cart-Show').toString(),
+			quantityTotal: quantityTotal,
+			minicartCountOfItems: Resource.msgf('minicart.count', 'common', null, quantityTotal),
+			message: additionalRecipients.length > 0
+				? Resource.msgf('giftcert.add.success.multiple', 'giftcert', null, additionalRecipients.length + 1)
+				: Resource.msg('giftcert.add.success', 'giftcert', null)
+		});
+	} else {
+		var fields = formErrors.getFormErrors(giftCertForm);
+		Object.keys(recipientErrors).forEach(function (htmlName) {
+			fields[htmlName] = recipientErrors[htmlName];
+		});
+
+		res.json({
+			fields: fields
+		});
+	}
+
+	return next();
 
-        if (currentBasket.getGiftCertificateLineItems().size() > 0) {
-            quantityTotal += currentBasket.getGiftCertificateLineItems().size()
-        }
+});
 
-        res.json({
-            success: true,
-            redirectUrl: URLUtils.https('Cart-Show').toString(),
-            quantityTotal: quantityTotal,
-            minicartCountOfItems: Resource.msgf('minicart.count', 'common', null, quantityTotal),
-            message: Resource.msg('giftcert.add.success', 'giftcert', null)
-        });
-    } else {
-        res.json({
-            fields: formErrors.getFormErrors(giftCertForm)
-        });
-    }
+/**
+ * Renders the gift certificate email for a draft of the purchase form
+ */
+server.get('Preview', server.middleware.https, function (req, res, next) {
+	var giftCertForm = server.forms.getForm('giftcert');
 
-    return next();
+	res.render('mail/giftcert', giftCertHelper.getPreviewContext(giftCertForm.purchase, req.session.currency.currencyCode));
 
+	next();
+});
+
+/**
+ * Renders the form for ordering gift certificates for a list of recipients
+ */
+server.get('BulkPurchase', csrfProtection.generateToken, function (req, res, next) {
+	var giftCertForm = server.forms.getForm('giftcert');
+	giftCertForm.clear();
+
+	res.render('checkout/giftcert/bulkPurchase', {
+		giftCertForm: giftCertForm,
+		actionUrl: URLUtils.https('GiftCert-BulkAddToBasket')
+	});
+
+	next();
+});
+
+/**
+ * Adds a gift certificate for every recipient of an uploaded CSV list to the basket
+ */
+server.post('BulkAddToBasket', csrfProtection.validateAjaxRequest, server.middleware.https, function (req, res, next) {
+	var formErrors = require('*/cartridge/scripts/formErrors');
+	var giftCertBulkHelpers = require('*/cartridge/scripts/helpers/giftCertBulkHelpers');
+	var ProductLineItemsModel = require('*/cartridge/models/productLineItems');
+	var giftCertForm = server.forms.getForm('giftcert');
+
+	if (!giftCertForm.bulk.valid) {
+		res.json({
+			fields: formErrors.getFormErrors(giftCertForm.bulk)
+		});
+		return next();
+	}
+
+	var currentBasket = BasketMgr.getCurrentOrNewBasket();
+	var result = giftCertBulkHelpers.addRecipientsToBasket(
+		currentBasket,
+		giftCertForm.bulk.from.value,
+		giftCertForm.bulk.recipients.value,
+		req.session.currency.currencyCode
+	);
+
+	if (result.error) {
+		res.json({
+			success: false,
+			message: result.message,
+			rowErrors: result.rowErrors
+		});
+		return next();
+	}
+
+	Transaction.wrap(function () {
+		basketCalculationHelpers.calculateTotals(currentBasket);
+	});
+
+	var quantityTotal = ProductLineItemsModel.getTotalQuantity(currentBasket.productLineItems)
+        + currentBasket.getGiftCertificateLineItems().size();
+
+	res.json({
+		success: true,
+		redirectUrl: URLUtils.https('Cart-Show').toString(),
+		quantityTotal: quantityTotal,
+		minicartCountOfItems: Resource.msgf('minicart.count', 'common', null, quantityTotal),
+		message: Resource.msgf('giftcert.bulk.success', 'giftcert', null, result.count)
+	});
+
+	return next();
 });
 
 /**
  * Updates a gift certificate in basket
  */
 server.post('Update', server.middleware.https, function (req, res, next) {
-    var formErrors = require('*/cartridge/scripts/formErrors');
-    var giftCertForm = giftCertHelper.processAddToBasket(server.forms.getForm('giftcert'));
-
-    if (giftCertForm.valid) {
-        var currentBasket = BasketMgr.getCurrentOrNewBasket();
-        var giftCertificateLineItem = giftCertHelper.updateGiftCert(currentBasket);
-
-        if (empty(giftCertificateLineItem)) {
-            res.setStatusCode(500);
-            res.json({
-                success: false,
-                errorMessage: Resource.msg('giftcert.server.update.error', 'forms', null)
-            });
-
-            return next();
-        }
+	var formErrors = require('*/cartridge/scripts/formErrors');
+	var giftCertForm = giftCertHelper.processAddToBasket(server.forms.getForm('giftcert'), req.session.currency.currencyCode);
+
+	if (giftCertForm.valid) {
+		var currentBasket = BasketMgr.getCurrentOrNewBasket();
+		var giftCertificateLineItem = giftCertHelper.updateGiftCert(currentBasket);
+
+		if (empty(giftCertificateLineItem)) {
+			res.setStatusCode(500);
+			res.json({
+				success: false,
+				errorMessage: Resource.msg('giftcert.server.update.error', 'forms', null)
+			});
+
+			return next();
+		}
         
-        Transaction.wrap(function() {
-            basketCalculationHelpers.calculateTotals(currentBasket);
-        });
-
-        res.json({
-            success: true,
-            redirectUrl: URLUtils.https('Cart-Show').toString()
-        });
+		Transaction.wrap(function() {
+			basketCalculationHelpers.calculateTotals(currentBasket);
+		});
+
+		res.json({
+			success: true,
+			redirectUrl: URLUtils.https('Cart-Show').toString()
+		});
         
-    } else {
-        res.json({
-            fields: formErrors.getFormErrors(giftCertForm)
-        });
-    }
+	} else {
+		res.json({
+			fields: formErrors.getFormErrors(giftCertForm)
+		});
+	}
 
-    return next();
+	return next();
 
 });
 
@@ -124,110 +224,490 @@ server.post('Update', server.middleware.https, function (req, res, next) {
  * Removes the gift certificate from the basket
  */
 server.get('RemoveGiftCertLineItem', server.middleware.https, function (req, res, next) {
-    var CartModel = require('*/cartridge/models/cart');
-    var giftCertificateLineItemUUID = req.querystring.uuid;
-    var giftCertificateLineItem = null;
-    var currentBasket = BasketMgr.getCurrentOrNewBasket();
-    var giftCertificateLineItems = currentBasket.getGiftCertificateLineItems();
-    if (giftCertificateLineItems.length > 0 && !empty(giftCertificateLineItemUUID)) {
-        giftCertificateLineItem = giftCertHelper.getGiftCertificateLineItemByUUID(giftCertificateLineItems, giftCertificateLineItemUUID);
-    }
+	var CartModel = require('*/cartridge/models/cart');
+	var giftCertificateLineItemUUID = req.querystring.uuid;
+	var giftCertificateLineItem = null;
+	var currentBasket = BasketMgr.getCurrentOrNewBasket();
+	var giftCertificateLineItems = currentBasket.getGiftCertificateLineItems();
+	if (giftCertificateLineItems.length > 0 && !empty(giftCertificateLineItemUUID)) {
+		giftCertificateLineItem = giftCertHelper.getGiftCertificateLineItemByUUID(giftCertificateLineItems, giftCertificateLineItemUUID);
+	}
     
-    var giftItemDeleted = false;
-    if (!empty(giftCertificateLineItem)) {
-        Transaction.wrap(function () {
-            currentBasket.removeGiftCertificateLineItem(giftCertificateLineItem);
-            basketCalculationHelpers.calculateTotals(currentBasket);
-            giftItemDeleted = true;
-        });
-    }
-
-    if (giftItemDeleted) {
-        var basketModel = new CartModel(currentBasket);
-        var basketModelPlus = {
-            basket: basketModel,
-            giftLineItemAvailable: giftCertificateLineItems > 1 ? true : false
-        };
-        res.json(basketModelPlus);
-    } else {
-        res.setStatusCode(500);
-        res.json({ errorMessage: Resource.msg('error.cannot.remove.product', 'cart', null) });
-    }
-
-    return next();
+	var giftItemDeleted = false;
+	if (!empty(giftCertificateLineItem)) {
+		Transaction.wrap(function () {
+			currentBasket.removeGiftCertificateLineItem(giftCertificateLineItem);
+			basketCalculationHelpers.calculateTotals(currentBasket);
+			giftItemDeleted = true;
+		});
+	}
+
+	if (giftItemDeleted) {
+		var basketModel = new CartModel(currentBasket);
+		var basketModelPlus = {
+			basket: basketModel,
+			giftLineItemAvailable: giftCertificateLineItems > 1 ? true : false
+		};
+		res.json(basketModelPlus);
+	} else {
+		res.setStatusCode(500);
+		res.json({ errorMessage: Resource.msg('error.cannot.remove.product', 'cart', null) });
+	}
+
+	return next();
 });
 
 /**
  * Rednerd the gift certificate form to edit an existing added certificate
  */
 server.get('Edit', server.middleware.https, function (req, res, next) {
-    var currentBasket = BasketMgr.getCurrentOrNewBasket();
-    var giftCertificateLineItem = null;
-    var giftCertificateLineItemUUID = req.querystring.uuid;
-    var giftCertificateLineItems = currentBasket.getGiftCertificateLineItems();
-
-    if (giftCertificateLineItems.length > 0 && !empty(giftCertificateLineItemUUID)) {
-        giftCertificateLineItem = giftCertHelper.getGiftCertificateLineItemByUUID(giftCertificateLineItems, giftCertificateLineItemUUID);
-    } else {
-        res.setStatusCode(500);
-        res.json({ errorMessage: Resource.msg('error.cannot.remove.product', 'cart', null) });
-        return next();
-    }
-
-    var giftCertForm = server.forms.getForm('giftcert');
-    giftCertForm.clear();
-    if (!empty(giftCertificateLineItem)) {
-        var giftLineItemObj = giftCertHelper.getGiftLineItemObj(giftCertificateLineItem);
-        giftCertForm.copyFrom(giftLineItemObj);
-    }
+	var currentBasket = BasketMgr.getCurrentOrNewBasket();
+	var giftCertificateLineItem = null;
+	var giftCertificateLineItemUUID = req.querystring.uuid;
+	var giftCertificateLineItems = currentBasket.getGiftCertificateLineItems();
+
+	if (giftCertificateLineItems.length > 0 && !empty(giftCertificateLineItemUUID)) {
+		giftCertificateLineItem = giftCertHelper.getGiftCertificateLineItemByUUID(giftCertificateLineItems, giftCertificateLineItemUUID);
+	} else {
+		res.setStatusCode(500);
+		res.json({ errorMessage: Resource.msg('error.cannot.remove.product', 'cart', null) });
+		return next();
+	}
+
+	var giftCertForm = server.forms.getForm('giftcert');
+	giftCertForm.clear();
+	if (!empty(giftCertificateLineItem)) {
+		var giftLineItemObj = giftCertHelper.getGiftLineItemObj(giftCertificateLineItem);
+		giftCertForm.copyFrom(giftLineItemObj);
+	}
     
-    var actionUrl = URLUtils.https('GiftCert-Update');
-    var renderedHtml  = giftCertHelper.editGCLIHtmlRenderedHtml(giftCertForm, actionUrl);
+	var actionUrl = URLUtils.https('GiftCert-Update');
+	var amountSelection = giftCertHelper.getAmountSelection(req.session.currency.currencyCode);
+	var renderedHtml  = giftCertHelper.editGCLIHtmlRenderedHtml(giftCertForm, actionUrl, amountSelection);
     
-    res.json({
-        renderedTemplate: renderedHtml
-    });
+	res.json({
+		renderedTemplate: renderedHtml
+	});
 
-    return next();
+	return next();
     
 });
 
 /**
  * Rednerd the gift certificate form to edit an existing added certificate
  */
-server.get('CheckBalance', server.middleware.https, function (req, res, next) {
-    var formErrors = require('*/cartridge/scripts/formErrors');
-    var giftCertForm = giftCertHelper.processCheckBalance(server.forms.getForm('giftcert'));
-
-    if (giftCertForm.valid) {
-        var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
-        var formatMoney = require('dw/util/StringUtils').formatMoney;
-        var giftCertCode = giftCertForm.balance.giftCertID.value;
-
-        // fetch the gift certificate
-        var giftCertificate = GiftCertificateMgr.getGiftCertificateByCode(giftCertCode);
-
-        if (giftCertificate && giftCertificate.isEnabled()) {
-            res.json({
-                success: true,
-                giftCertificate: {
-                    ID: giftCertificate.getGiftCertificateCode(),
-                    balance: Resource.msgf('billing.giftcertbalance','giftcert', null, formatMoney(giftCertificate.getBalance()))
-                }
-            });
-        } else {
-            res.setStatusCode(500);
-            res.json({
-                error: Resource.msg('billing.giftcertinvalid', 'giftcert', null)
-            });
-        }
-    } else {
-        res.json({
-            fields: formErrors.getFormErrors(giftCertForm)
-        });
-    }
-
-    return next();
+server.post('CheckBalance', server.middleware.https, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var formErrors = require('*/cartridge/scripts/formErrors');
+	var giftCertForm = giftCertHelper.processCheckBalance(server.forms.getForm('giftcert'));
+
+	if (giftCertForm.valid) {
+		var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+		var formatMoney = require('dw/util/StringUtils').formatMoney;
+		var giftCertLookupHelpers = require('*/cartridge/scripts/helpers/giftCertLookupHelpers');
+		var giftCertPinHelpers = require('*/cartridge/scripts/helpers/giftCertPinHelpers');
+		var giftCertHistoryHelpers = require('*/cartridge/scripts/helpers/giftCertHistoryHelpers');
+		var giftCertCode = giftCertForm.balance.giftCertID.value;
+
+		var lookup = giftCertLookupHelpers.checkLookup(req);
+		if (!lookup.allowed) {
+			res.setStatusCode(429);
+			res.json({
+				error: lookup.message,
+				challengeRequired: lookup.challengeRequired
+			});
+			return next();
+		}
+
+		// fetch the gift certificate, a wrong PIN is treated like an unknown code
+		var giftCertificate = GiftCertificateMgr.getGiftCertificateByCode(giftCertCode);
+		if (giftCertificate && !giftCertPinHelpers.verifyPin(giftCertificate, giftCertForm.balance.giftCertPin.value)) {
+			giftCertificate = null;
+		}
+
+		// expired codes are only told apart from unknown codes once the PIN proved the shopper holds the certificate
+		var expired = giftCertificate && giftCertHelper.isExpired(giftCertificate);
+
+		if (expired && giftCertPinHelpers.isPinEnabled()) {
+			giftCertLookupHelpers.recordFailedLookup(req);
+			res.setStatusCode(500);
+			res.json({
+				error: Resource.msg('billinggiftcert.giftcertexpired', 'giftcert', null)
+			});
+		} else if (giftCertificate && !expired && giftCertificate.isEnabled() && giftCertificate.getStatus() !== giftCertificate.STATUS_REDEEMED) {
+			res.json({
+				success: true,
+				giftCertificate: {
+					ID: giftCertificate.getGiftCertificateCode(),
+					balance: Resource.msgf('billing.giftcertbalance','giftcert', null, formatMoney(giftCertificate.getBalance()))
+				},
+				renderedHistoryHtml: giftCertHistoryHelpers.getRenderedHistory(giftCertificate)
+			});
+		} else {
+			// same response for unknown, disabled, fully redeemed and, without PINs, expired codes to not reveal which codes exist
+			giftCertLookupHelpers.recordFailedLookup(req);
+			res.setStatusCode(500);
+			res.json({
+				error: Resource.msg('billing.giftcertinvalid', 'giftcert', null)
+			});
+		}
+	} else {
+		res.json({
+			fields: formErrors.getFormErrors(giftCertForm)
+		});
+	}
+
+	return next();
+});
+
+/**
+ * Resends the email of a gift certificate to the original or a corrected email address.
+ * Only available to customers of the customer service customer group.
+ */
+server.post('Resend', server.middleware.https, userLoggedIn.validateLoggedInAjax, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var Site = require('dw/system/Site');
+	var data = res.getViewData();
+
+	if (data && !data.loggedin) {
+		res.json();
+		return next();
+	}
+
+	var customerServiceGroup = Site.current.getCustomPreferenceValue('giftCertCustomerServiceGroup') || 'CustomerService';
+	if (!req.currentCustomer.raw.isMemberOfCustomerGroup(customerServiceGroup)) {
+		res.setStatusCode(403);
+		res.json({
+			success: false,
+			errorMessage: Resource.msg('giftcert.resend.forbidden', 'giftcert', null)
+		});
+		return next();
+	}
+
+	var result = giftCertHelper.resendGiftCertificateEmail(req.form.giftCertCode, req.form.recipientEmail);
+
+	if (result.error) {
+		res.setStatusCode(500);
+		res.json({
+			success: false,
+			errorMessage: result.message
+		});
+	} else {
+		res.json({
+			success: true,
+			message: result.message
+		});
+	}
+
+	return next();
+});
+
+/**
+ * Renders the gift certificate wallet of the customer: purchased, received and saved gift certificates
+ */
+server.get('Wallet', server.middleware.https, userLoggedIn.validateLoggedIn, csrfProtection.generateToken, function (req, res, next) {
+	var GiftCertificateWalletModel = require('*/cartridge/models/giftCertificateWallet');
+
+	var wallet = new GiftCertificateWalletModel(req.currentCustomer.raw, BasketMgr.getCurrentBasket(), parseInt(req.querystring.start, 10) || 0);
+
+	res.render('account/giftcert/wallet', {
+		wallet: wallet,
+		giftCertForm: server.forms.getForm('giftcert'),
+		breadcrumbs: [
+			{
+				htmlValue: Resource.msg('global.home', 'common', null),
+				url: URLUtils.home().toString()
+			},
+			{
+				htmlValue: Resource.msg('page.title.myaccount', 'account', null),
+				url: URLUtils.url('Account-Show').toString()
+			}
+		]
+	});
+
+	next();
+});
+
+/**
+ * Saves a gift certificate code to the wallet of the customer, after verifying it like a balance check
+ */
+server.post('SaveToWallet', server.middleware.https, userLoggedIn.validateLoggedInAjax, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var data = res.getViewData();
+
+	if (data && !data.loggedin) {
+		res.json();
+		return next();
+	}
+
+	var formErrors = require('*/cartridge/scripts/formErrors');
+	var giftCertForm = giftCertHelper.processCheckBalance(server.forms.getForm('giftcert'));
+
+	if (!giftCertForm.valid) {
+		res.json({
+			fields: formErrors.getFormErrors(giftCertForm)
+		});
+		return next();
+	}
+
+	var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+	var giftCertLookupHelpers = require('*/cartridge/scripts/helpers/giftCertLookupHelpers');
+	var giftCertPinHelpers = require('*/cartridge/scripts/helpers/giftCertPinHelpers');
+	var giftCertWalletHelpers = require('*/cartridge/scripts/helpers/giftCertWalletHelpers');
+
+	var lookup = giftCertLookupHelpers.checkLookup(req);
+	if (!lookup.allowed) {
+		res.setStatusCode(429);
+		res.json({
+			error: lookup.message,
+			challengeRequired: lookup.challengeRequired
+		});
+		return next();
+	}
+
+	// a wrong PIN is treated like an unknown code
+	var giftCertificate = GiftCertificateMgr.getGiftCertificateByCode(giftCertForm.balance.giftCertID.value);
+	if (giftCertificate && !giftCertPinHelpers.verifyPin(giftCertificate, giftCertForm.balance.giftCertPin.value)) {
+		giftCertificate = null;
+	}
+
+	// fully redeemed codes are treated like unknown codes to not reveal which codes exist
+	if (!giftCertificate || !giftCertificate.isEnabled() || giftCertificate.getStatus() === giftCertificate.STATUS_REDEEMED) {
+		giftCertLookupHelpers.recordFailedLookup(req);
+		res.setStatusCode(500);
+		res.json({
+			error: Resource.msg('billing.giftcertinvalid', 'giftcert', null)
+		});
+		return next();
+	}
+
+	giftCertWalletHelpers.saveGiftCertificate(req.currentCustomer.raw, giftCertificate);
+
+	res.json({
+		success: true,
+		redirectUrl: URLUtils.url('GiftCert-Wallet').toString()
+	});
+
+	return next();
+});
+
+/**
+ * Removes a saved gift certificate from the wallet of the customer
+ */
+server.post('RemoveFromWallet', server.middleware.https, userLoggedIn.validateLoggedInAjax, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var giftCertWalletHelpers = require('*/cartridge/scripts/helpers/giftCertWalletHelpers');
+	var data = res.getViewData();
+
+	if (data && !data.loggedin) {
+		res.json();
+		return next();
+	}
+
+	if (!giftCertWalletHelpers.removeGiftCertificate(req.currentCustomer.raw, req.form.uuid)) {
+		res.setStatusCode(500);
+		res.json({
+			success: false,
+			errorMessage: Resource.msg('billing.giftcertinvalid', 'giftcert', null)
+		});
+		return next();
+	}
+
+	res.json({
+		success: true,
+		redirectUrl: URLUtils.url('GiftCert-Wallet').toString()
+	});
+
+	return next();
+});
+
+/**
+ * Redeems a gift certificate from the wallet for the current basket and continues with the payment step of the checkout
+ */
+server.post('ApplyFromWallet', server.middleware.https, userLoggedIn.validateLoggedInAjax, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var giftCertRedemptionHelpers = require('*/cartridge/scripts/helpers/giftCertRedemptionHelpers');
+	var giftCertWalletHelpers = require('*/cartridge/scripts/helpers/giftCertWalletHelpers');
+	var data = res.getViewData();
+
+	if (data && !data.loggedin) {
+		res.json();
+		return next();
+	}
+
+	var currentBasket = BasketMgr.getCurrentBasket();
+	if (!currentBasket || currentBasket.getAllLineItems().isEmpty()) {
+		res.setStatusCode(500);
+		res.json({
+			success: false,
+			errorMessage: Resource.msg('giftcert.wallet.emptybasket', 'giftcert', null)
+		});
+		return next();
+	}
+
+	// saved gift certificates were verified with their PIN, the checks of the cart and checkout apply all the same
+	var giftCertificate = giftCertWalletHelpers.findWalletGiftCertificate(req.currentCustomer.raw, req.form.uuid);
+	var result = giftCertRedemptionHelpers.redeemGiftCertificate(currentBasket, giftCertificate);
+
+	if (result.error) {
+		res.setStatusCode(500);
+		res.json({
+			success: false,
+			errorMessage: result.message
+		});
+		return next();
+	}
+
+	res.json({
+		success: true,
+		redirectUrl: URLUtils.https('Checkout-Begin', 'stage', 'payment').toString()
+	});
+
+	return next();
+});
+
+/**
+ * Saves the gift certificate configured on the purchase form to the wish list or a gift registry of the customer
+ */
+server.post('AddToProductList', server.middleware.https, userLoggedIn.validateLoggedInAjax, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var formErrors = require('*/cartridge/scripts/formErrors');
+	var giftCertProductListHelpers = require('*/cartridge/scripts/helpers/giftCertProductListHelpers');
+	var data = res.getViewData();
+
+	if (data && !data.loggedin) {
+		res.json();
+		return next();
+	}
+
+	var giftCertForm = giftCertHelper.processAddToBasket(server.forms.getForm('giftcert'), req.session.currency.currencyCode);
+	if (!giftCertForm.valid) {
+		res.json({
+			fields: formErrors.getFormErrors(giftCertForm)
+		});
+		return next();
+	}
+
+	var productList = giftCertProductListHelpers.getOwnedProductList(req.currentCustomer.raw, req.form.listId);
+	if (!productList) {
+		res.setStatusCode(500);
+		res.json({
+			success: false,
+			errorMessage: Resource.msg('giftcert.productlist.invalid', 'giftcert', null)
+		});
+		return next();
+	}
+
+	giftCertProductListHelpers.saveGiftCertificate(productList, giftCertForm.purchase);
+
+	res.json({
+		success: true,
+		message: Resource.msg('giftcert.productlist.saved', 'giftcert', null)
+	});
+
+	return next();
+});
+
+/**
+ * Renders the gift certificate of the wish list of the customer or of a gift registry
+ */
+server.get('ProductList', server.middleware.https, csrfProtection.generateToken, function (req, res, next) {
+	var ProductList = require('dw/customer/ProductList');
+	var giftCertProductListHelpers = require('*/cartridge/scripts/helpers/giftCertProductListHelpers');
+	var listId = req.querystring.listId;
+
+	if (!listId && !req.currentCustomer.profile) {
+		res.redirect(URLUtils.url('Login-Show'));
+		return next();
+	}
+
+	var productList = giftCertProductListHelpers.getShoppableProductList(req.currentCustomer.raw, listId);
+	if (!productList) {
+		res.setStatusCode(404);
+		res.render('error/notFound');
+		return next();
+	}
+
+	var owned = giftCertProductListHelpers.isOwner(productList, req.currentCustomer.raw);
+
+	res.render('account/giftcert/productList', {
+		productList: {
+			ID: productList.ID,
+			name: productList.name,
+			registry: productList.type === ProductList.TYPE_GIFT_REGISTRY,
+			owned: owned
+		},
+		giftCertificate: giftCertProductListHelpers.getGiftCertificate(productList, req.session.currency.currencyCode, owned),
+		senderName: req.currentCustomer.profile
+			? req.currentCustomer.profile.firstName + ' ' + req.currentCustomer.profile.lastName
+			: ''
+	});
+
+	return next();
+});
+
+/**
+ * Moves the gift certificate of a product list to the basket, with the recipient details saved on the list
+ */
+server.post('MoveToBasket', server.middleware.https, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var giftCertProductListHelpers = require('*/cartridge/scripts/helpers/giftCertProductListHelpers');
+	var productList = giftCertProductListHelpers.getShoppableProductList(req.currentCustomer.raw, req.form.listId);
+
+	if (!productList) {
+		res.setStatusCode(500);
+		res.json({
+			success: false,
+			errorMessage: Resource.msg('giftcert.productlist.invalid', 'giftcert', null)
+		});
+		return next();
+	}
+
+	var currentBasket = BasketMgr.getCurrentOrNewBasket();
+	var result = giftCertProductListHelpers.moveToBasket(currentBasket, productList, (req.form.from || '').trim(), currentBasket.getCurrencyCode());
+
+	if (result.error) {
+		res.setStatusCode(500);
+		res.json({
+			success: false,
+			errorMessage: result.message
+		});
+		return next();
+	}
+
+	Transaction.wrap(function () {
+		basketCalculationHelpers.calculateTotals(currentBasket);
+	});
+
+	res.json({
+		success: true,
+		redirectUrl: URLUtils.https('Cart-Show').toString()
+	});
+
+	return next();
+});
+
+/**
+ * Removes the gift certificate from the wish list or a gift registry of the customer
+ */
+server.post('RemoveFromProductList', server.middleware.https, userLoggedIn.validateLoggedInAjax, csrfProtection.validateAjaxRequest, function (req, res, next) {
+	var giftCertProductListHelpers = require('*/cartridge/scripts/helpers/giftCertProductListHelpers');
+	var data = res.getViewData();
+
+	if (data && !data.loggedin) {
+		res.json();
+		return next();
+	}
+
+	var productList = giftCertProductListHelpers.getOwnedProductList(req.currentCustomer.raw, req.form.listId);
+	if (!productList || !giftCertProductListHelpers.removeGiftCertificate(productList)) {
+		res.setStatusCode(500);
+		res.json({
+			success: false,
+			errorMessage: Resource.msg('giftcert.productlist.invalid', 'giftcert', null)
+		});
+		return next();
+	}
+
+	res.json({
+		success: true,
+		redirectUrl: URLUtils.url('GiftCert-ProductList', 'listId', productList.ID).toString()
+	});
+
+	return next();
 });
 
 module.exports = server.exports();
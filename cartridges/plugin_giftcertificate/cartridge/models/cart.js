@@ -1,8 +1,51 @@
 var base = module.superModule;
 
 var GiftCertificateLineItemsModel = require('*/cartridge/models/giftCertificateLineItems');
+var GiftCertificatePIModel = require('*/cartridge/models/giftCertificatePaymentInstrument');
+var giftCertPaymentPolicyHelpers = require('*/cartridge/scripts/helpers/giftCertPaymentPolicyHelpers');
+var giftCertRebalanceHelpers = require('*/cartridge/scripts/helpers/giftCertRebalanceHelpers');
+var Resource = require('dw/web/Resource');
 var URLUtils = require('dw/web/URLUtils');
 
+/**
+ * Gets the total still due after the gift certificates redeemed for the basket.
+ * @param {dw.order.Basket} basket - Current users's basket
+ * @return {string} formatted remaining total, '-' if the total is not calculated yet
+ */
+function getRemainingTotal(basket) {
+	var formatMoney = require('dw/util/StringUtils').formatMoney;
+	var Money = require('dw/value/Money');
+	var totalGrossPrice = basket.getTotalGrossPrice();
+
+	if (!totalGrossPrice.available) {
+		return '-';
+	}
+
+	var remaining = totalGrossPrice.value;
+	basket.getGiftCertificatePaymentInstruments().toArray().forEach(function (paymentInstrument) {
+		remaining -= paymentInstrument.getPaymentTransaction().getAmount().value;
+	});
+
+	return formatMoney(new Money(Math.max(Math.round(remaining * 100) / 100, 0), basket.getCurrencyCode()));
+}
+
+/**
+ * Gets the gift certificates redeemed for the basket on the cart page or at checkout.
+ * @param {dw.order.Basket} basket - Current users's basket
+ * @return {Object} redeemed gift certificates, remaining total, whether gift certificates can pay for the basket
+ * and a notice if their amounts were rebalanced during this request
+ */
+function getGiftCertPayment(basket) {
+	var gcPaymentInstrument = new GiftCertificatePIModel(basket.getGiftCertificatePaymentInstruments());
+
+	return {
+		gcPIs: gcPaymentInstrument.gcPIs || [],
+		remainingTotal: getRemainingTotal(basket),
+		allowed: giftCertPaymentPolicyHelpers.isGiftCertPaymentAllowed(basket),
+		rebalancedMessage: giftCertRebalanceHelpers.wasRebalanced() ? Resource.msg('billing.giftcertrebalanced', 'giftcert', null) : null
+	};
+}
+
 /**
  * @constructor
  * @classdesc CartModel class that represents the current basket
@@ -17,8 +60,10 @@ function CartModel(basket) {
 		var giftCertificateLineItemsModel = new GiftCertificateLineItemsModel(basket.getGiftCertificateLineItems(), 'basket');
 		this.giftCertificateItems = giftCertificateLineItemsModel.items;
 		this.actionUrls.removeGiftCertificate = URLUtils.url('GiftCert-RemoveGiftCertLineItem').toString();
+		this.giftCertPayment = getGiftCertPayment(basket);
 	} else {
 		this.giftCertificateItems = [];
+		this.giftCertPayment = { gcPIs: [], remainingTotal: '-', allowed: false, rebalancedMessage: null };
 	}
 }
 
@@ -2,6 +2,8 @@
 
 var collections = require('*/cartridge/scripts/util/collections');
 var formatMoney = require('dw/util/StringUtils').formatMoney;
+var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+var giftCertDesignHelpers = require('*/cartridge/scripts/helpers/giftCertDesignHelpers');
 
 /**
  * Function filter out the required field from gift certificate line item
@@ -15,6 +17,12 @@ function filterGCLineitem(lineItem) {
 	gcLineItem.recipientEmail = lineItem.recipientEmail;
 	gcLineItem.lineItemText = lineItem.lineItemText;
 	gcLineItem.senderName = lineItem.senderName;
+	gcLineItem.deliveryDate = giftCertHelper.formatSiteDate(lineItem.custom.deliveryDate, 'MM/dd/yyyy');
+	gcLineItem.physical = giftCertHelper.isPhysical(lineItem);
+	gcLineItem.design = giftCertDesignHelpers.getDesign(lineItem.custom.designId);
+	gcLineItem.recipientGroup = lineItem.custom.recipientGroup || null;
+	gcLineItem.groupSize = 1;
+	gcLineItem.groupStart = false;
 
 	gcLineItem.price = {
 		basePrice: formatMoney(lineItem.basePrice),
@@ -24,6 +32,39 @@ function filterGCLineitem(lineItem) {
 	return gcLineItem;
 }
 
+/**
+ * Orders the line items so the ones added for several recipients at once follow each other, and marks
+ * the first line item of every recipient group with the size of the group.
+ * @param {Array<Object>} lineItems - line item objects
+ * @return {Array<Object>} ordered line item objects
+ */
+function groupByRecipientGroup(lineItems) {
+	var groups = {};
+	var orderedGroups = [];
+
+	lineItems.forEach(function (item) {
+		var recipientGroup = item.lineItem.recipientGroup;
+
+		if (!recipientGroup) {
+			orderedGroups.push([item]);
+		} else if (!groups[recipientGroup]) {
+			groups[recipientGroup] = [item];
+			orderedGroups.push(groups[recipientGroup]);
+		} else {
+			groups[recipientGroup].push(item);
+		}
+	});
+
+	return orderedGroups.reduce(function (ordered, group) {
+		group.forEach(function (item, index) {
+			var gcLineItem = item.lineItem;
+			gcLineItem.groupSize = group.length;
+			gcLineItem.groupStart = index === 0 && group.length > 1;
+		});
+		return ordered.concat(group);
+	}, []);
+}
+
 /**
  * Creates an array of product line items
  * @param {dw.util.Collection<dw.order.GiftCertificateLineItem>} allLineItems - All product
@@ -50,7 +91,7 @@ function createGcliObject(allLineItems, view) {
 		lineItems.push(params);
 	});
 
-	return { lineItems: lineItems, totalQuantity: totalQuantity, subTotal: subTotal };
+	return { lineItems: groupByRecipientGroup(lineItems), totalQuantity: totalQuantity, subTotal: subTotal };
 }
 
 /**
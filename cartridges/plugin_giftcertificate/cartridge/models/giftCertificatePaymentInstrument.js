@@ -1,11 +1,36 @@
 'use strict';
 
+/**
+ * Explains why a gift certificate payment instrument got its amount.
+ * @param {dw.order.OrderPaymentInstrument} gcPI - the gift certificate payment instrument
+ * @param {boolean} multiple - whether several gift certificates are applied, i.e. the allocation strategy matters
+ * @returns {string|null} allocation reason or null if the amount was not allocated yet
+ */
+function getAllocationReason(gcPI, multiple) {
+	var Resource = require('dw/web/Resource');
+	var COHelpers = require('*/cartridge/scripts/checkout/checkoutHelpers');
+	var reason = gcPI.custom.giftCertAllocationReason;
+
+	if (!reason) {
+		return null;
+	}
+
+	var message = Resource.msg('giftcert.allocation.reason.' + reason, 'giftcert', null);
+
+	if (multiple) {
+		message = Resource.msg('giftcert.allocation.strategy.' + COHelpers.getGiftCertificateAllocationStrategy(), 'giftcert', null) + ' ' + message;
+	}
+
+	return message;
+}
+
 /**
  * @constructor
  * @param {dw.util.Collection} gcPIs - the gift certificate payment instruments
  */
 function GiftCertificatePI(gcPIs) {
 	var formatMoney = require('dw/util/StringUtils').formatMoney;
+	var Resource = require('dw/web/Resource');
 	var gc = {};
 	var gcObj = [];
 	var total = 0;
@@ -16,7 +41,10 @@ function GiftCertificatePI(gcPIs) {
 			total += gcPI.paymentTransaction.amount;
 			gcPiObj.maskedGiftCertifiacte = gcPI.getMaskedGiftCertificateCode();
 			gcPiObj.amount = formatMoney(gcPI.paymentTransaction.amount);
+			gcPiObj.amountValue = gcPI.paymentTransaction.amount.value;
 			gcPiObj.giftCertCode = gcPI.getGiftCertificateID();
+			gcPiObj.message = Resource.msgf('billing.giftcertredeemed', 'giftcert', null, gcPiObj.amount, gcPiObj.maskedGiftCertifiacte);
+			gcPiObj.allocationReason = getAllocationReason(gcPI, gcPIs.size() > 1);
 			gcObj.push(gcPiObj);
 		}
 
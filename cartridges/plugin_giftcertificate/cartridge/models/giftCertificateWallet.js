@@ -0,0 +1,123 @@
+'use strict';
+
+var GiftCertificate = require('dw/order/GiftCertificate');
+var Resource = require('dw/web/Resource');
+var formatMoney = require('dw/util/StringUtils').formatMoney;
+
+var GiftCertificatePIModel = require('*/cartridge/models/giftCertificatePaymentInstrument');
+var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+var giftCertWalletHelpers = require('*/cartridge/scripts/helpers/giftCertWalletHelpers');
+var giftCertHistoryHelpers = require('*/cartridge/scripts/helpers/giftCertHistoryHelpers');
+
+/**
+ * Gets the status of a gift certificate as shown to the customer
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @return {string} status label
+ */
+function getStatus(giftCertificate) {
+	if (giftCertHelper.isExpired(giftCertificate)) {
+		return Resource.msg('giftcert.wallet.status.expired', 'giftcert', null);
+	}
+
+	if (!giftCertificate.isEnabled()) {
+		return Resource.msg('giftcert.wallet.status.disabled', 'giftcert', null);
+	}
+
+	switch (giftCertificate.getStatus()) {
+		case GiftCertificate.STATUS_PENDING:
+			return Resource.msg('giftcert.wallet.status.pending', 'giftcert', null);
+		case GiftCertificate.STATUS_PARTIALLY_REDEEMED:
+			return Resource.msg('giftcert.wallet.status.partiallyredeemed', 'giftcert', null);
+		case GiftCertificate.STATUS_REDEEMED:
+			return Resource.msg('giftcert.wallet.status.redeemed', 'giftcert', null);
+		default:
+			return Resource.msg('giftcert.wallet.status.issued', 'giftcert', null);
+	}
+}
+
+/**
+ * Function filter out the required fields from a gift certificate
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @param {boolean} saved - whether the customer saved the certificate with its PIN and may redeem it from the wallet
+ * @param {Array<string>} appliedCodes - codes of the gift certificates applied to the current basket
+ * @return {Object} wallet entry
+ */
+function createEntry(giftCertificate, saved, appliedCodes) {
+	var status = giftCertificate.getStatus();
+	var usable = giftCertificate.isEnabled()
+		&& !giftCertHelper.isExpired(giftCertificate)
+		&& (status === GiftCertificate.STATUS_ISSUED || status === GiftCertificate.STATUS_PARTIALLY_REDEEMED);
+
+	return {
+		UUID: giftCertificate.UUID,
+		maskedCode: giftCertificate.getMaskedGiftCertificateCode(),
+		balance: formatMoney(giftCertificate.getBalance()),
+		status: getStatus(giftCertificate),
+		expirationDate: giftCertHelper.formatSiteDate(giftCertificate.custom.expirationDate, 'MM/dd/yyyy'),
+		recipientName: giftCertificate.getRecipientName(),
+		senderName: giftCertificate.getSenderName(),
+		redeemable: saved && usable,
+		applied: appliedCodes.indexOf(giftCertificate.getGiftCertificateCode()) !== -1,
+		// the redemptions are private to whoever proved to hold the certificate with its PIN
+		history: saved ? giftCertHistoryHelpers.getHistory(giftCertificate) : []
+	};
+}
+
+/**
+ * Creates the entries of a page of the gift certificates a customer bought
+ * @param {dw.customer.Customer} customer - registered customer
+ * @param {number} start - index of the first gift certificate of the page
+ * @param {Array<string>} appliedCodes - codes of the gift certificates applied to the current basket
+ * @return {Object} wallet entries and paging
+ */
+function getPurchased(customer, start, appliedCodes) {
+	var pageSize = giftCertWalletHelpers.PURCHASED_PAGE_SIZE;
+	var page = giftCertWalletHelpers.getPurchasedGiftCertificates(customer, start, pageSize);
+
+	return {
+		entries: page.giftCertificates.map(function (giftCertificate) {
+			var entry = createEntry(giftCertificate, false, appliedCodes);
+			entry.orderNumber = giftCertificate.getOrderNo();
+			entry.recipientEmail = giftCertificate.getRecipientEmail();
+			return entry;
+		}),
+		paging: {
+			total: page.total,
+			previousStart: start > 0 ? Math.max(start - pageSize, 0) : null,
+			nextStart: start + pageSize < page.total ? start + pageSize : null
+		}
+	};
+}
+
+/**
+ * @constructor
+ * @classdesc The gift certificates of a registered customer: bought ones and saved codes
+ *
+ * @param {dw.customer.Customer} customer - registered customer
+ * @param {dw.order.Basket|null} currentBasket - the current basket
+ * @param {number} [purchasedStart] - index of the first purchased gift certificate shown
+ */
+function GiftCertificateWallet(customer, currentBasket, purchasedStart) {
+	var appliedCodes = [];
+
+	if (currentBasket) {
+		var gcPIModel = new GiftCertificatePIModel(currentBasket.giftCertificatePaymentInstruments);
+		appliedCodes = (gcPIModel.gcPIs || []).map(function (gcPI) {
+			return gcPI.giftCertCode;
+		});
+	}
+
+	var saved = giftCertWalletHelpers.getSavedGiftCertificates(customer);
+	var purchased = getPurchased(customer, Math.max(purchasedStart || 0, 0), appliedCodes);
+
+	this.purchased = purchased.entries;
+	this.purchasedPaging = purchased.paging;
+	// received certificates are only listed once the customer saved them with their PIN, the email address
+	// of a profile is not verified
+	this.saved = saved.map(function (giftCertificate) {
+		return createEntry(giftCertificate, true, appliedCodes);
+	});
+	this.isEmpty = purchased.paging.total === 0 && this.saved.length === 0;
+}
+
+module.exports = GiftCertificateWallet;
@@ -3,6 +3,10 @@ var base = module.superModule;
 
 var GiftCertificateLineItemsModel = require('*/cartridge/models/giftCertificateLineItems');
 var GiftCertificatePIModel = require('*/cartridge/models/giftCertificatePaymentInstrument');
+var giftCertExclusionHelpers = require('*/cartridge/scripts/helpers/giftCertExclusionHelpers');
+var giftCertPaymentPolicyHelpers = require('*/cartridge/scripts/helpers/giftCertPaymentPolicyHelpers');
+var giftCertRebalanceHelpers = require('*/cartridge/scripts/helpers/giftCertRebalanceHelpers');
+var Resource = require('dw/web/Resource');
 
 /**
  * Order class that represents the current order
@@ -24,6 +28,11 @@ function OrderModel(lineItemContainer, options) {
 			this.items.totalQuantity += giftCertificateLineItemsModel.totalQuantity;
 		}
 		this.gcPaymentInstrument = new GiftCertificatePIModel(lineItemContainer.giftCertificatePaymentInstruments);
+		this.giftCertPaymentAllowed = giftCertPaymentPolicyHelpers.isGiftCertPaymentAllowed(lineItemContainer);
+		this.giftCertRebalancedMessage = giftCertRebalanceHelpers.wasRebalanced()
+			? Resource.msg('billing.giftcertrebalanced', 'giftcert', null)
+			: null;
+		this.giftCertExclusionMessage = giftCertExclusionHelpers.getExclusionMessage(lineItemContainer);
 		this.totalGrossPrice = lineItemContainer.totalGrossPrice;
 		this.productLineItemSize = lineItemContainer.getProductLineItems().size();
 
@@ -41,6 +50,9 @@ function OrderModel(lineItemContainer, options) {
 	} else {
 		this.giftCertificateItems = [];
 		this.gcPaymentInstrument = [];
+		this.giftCertPaymentAllowed = true;
+		this.giftCertRebalancedMessage = null;
+		this.giftCertExclusionMessage = null;
 		this.productLineItemSize = 0;
 		this.usingMultiShipping = null;
 	}
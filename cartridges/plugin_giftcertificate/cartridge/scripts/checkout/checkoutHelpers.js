@@ -12,8 +12,18 @@ var Money = require('dw/value/Money');
 var BasketMgr = require('dw/order/BasketMgr');
 
 var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+var giftCertRestoreHelpers = require('*/cartridge/scripts/helpers/giftCertRestoreHelpers');
+var giftCertBonusHelpers = require('*/cartridge/scripts/helpers/giftCertBonusHelpers');
+var giftCertPaymentPolicyHelpers = require('*/cartridge/scripts/helpers/giftCertPaymentPolicyHelpers');
+var giftCertLimitHelpers = require('*/cartridge/scripts/helpers/giftCertLimitHelpers');
+var giftCertExclusionHelpers = require('*/cartridge/scripts/helpers/giftCertExclusionHelpers');
+var giftCertProductListHelpers = require('*/cartridge/scripts/helpers/giftCertProductListHelpers');
 var AddressModel = require('*/cartridge/models/address');
 
+var GIFT_CERT_ALLOCATION_ENTRY_ORDER = 'ENTRY_ORDER';
+var GIFT_CERT_ALLOCATION_EXPIRING_FIRST = 'EXPIRING_FIRST';
+var GIFT_CERT_ALLOCATION_SMALLEST_BALANCE_FIRST = 'SMALLEST_BALANCE_FIRST';
+
 /**
  * Attempts to place the order
  * @param {dw.order.Order} order - The order object to be placed
@@ -39,21 +49,64 @@ function placeOrder(order, fraudDetectionStatus) {
 		order.setExportStatus(Order.EXPORT_STATUS_READY);
 
 		// Creates gift certificates for all gift certificate line items in the order
-		// and sends an email to the gift certificate receiver
+		// and sends an email to the gift certificate receiver, unless the delivery
+		// is scheduled for a later date (see job step custom.GiftCertificate.SendScheduled).
+		// Gift certificates of flagged orders are held until the order is confirmed
+		// (see job step custom.GiftCertificate.ReleaseHeld)
+		var holdGiftCertificates = fraudDetectionStatus.status === 'flag';
+
+		// Gift certificates bought from a gift registry are recorded as purchases of the registry
+		order.getGiftCertificateLineItems().toArray().forEach(function (lineItem) {
+			giftCertProductListHelpers.recordPurchase(lineItem, order);
+		});
+
+		// Gift certificates reaching the threshold of a bonus promotion earn a bonus gift certificate
+		// (see site preference giftCertBonusRules)
+		var bonusRules = giftCertBonusHelpers.getActiveRules(order.getCurrencyCode());
+		var giftCertificates = [];
+
+		order.getGiftCertificateLineItems().toArray().forEach(function (lineItem) {
+			var giftCertificate = giftCertHelper.createGiftCertificateFromLineItem(lineItem, order, holdGiftCertificates);
+			var bonusCertificate = giftCertBonusHelpers.issueBonusCertificate(giftCertificate, lineItem, order, bonusRules, holdGiftCertificates);
 
-		order.getGiftCertificateLineItems().toArray().map(function (lineItem) {
-			return giftCertHelper.createGiftCertificateFromLineItem(lineItem, order.getOrderNo());
-		}).forEach(giftCertHelper.sendGiftCertificateEmail);
+			giftCertificates.push(giftCertificate);
+			if (bonusCertificate) {
+				giftCertificates.push(bonusCertificate);
+			}
+		});
+
+		giftCertificates
+			.filter(giftCertHelper.isDeliveryDue)
+			.forEach(giftCertHelper.deliverGiftCertificate);
 
 		Transaction.commit();
 	} catch (e) {
 		Transaction.wrap(function () { OrderMgr.failOrder(order); });
+		// gift certificates have already been redeemed when the payments were authorized
+		giftCertRestoreHelpers.restoreOrder(order, giftCertRestoreHelpers.REASON_FAILED);
 		result.error = true;
 	}
 
 	return result;
 }
 
+/**
+ * Handles the payments of an order and restores the redeemed gift certificates if the order is failed
+ * because a later payment instrument could not be authorized
+ * @param {dw.order.Order} order - the order object
+ * @param {string} orderNumber - The order number for the order
+ * @returns {Object} an error object
+ */
+function handlePayments(order, orderNumber) {
+	var result = base.handlePayments(order, orderNumber);
+
+	if (result.error) {
+		giftCertRestoreHelpers.restoreOrder(order, giftCertRestoreHelpers.REASON_FAILED);
+	}
+
+	return result;
+}
+
 /**
  * Calculates the amount to be paid by a non-gift certificate payment instrument based on the given basket.
  * The function subtracts the amount of all redeemed gift certificates from the order total and returns this
@@ -90,7 +143,8 @@ function getNonGiftCertificateAmount(currentBasket) {
 /**
  * Sets the payment transaction amount
  * @param {dw.order.Basket} currentBasket - The current basket
- * @returns {Object} an error object
+ * @returns {Object} an error object, with a message if gift certificates pay for gift certificates against the payment policy
+ *     or for products or shipping excluded from gift certificate payments
  */
 function calculatePaymentTransaction(currentBasket) {
 	var PaymentInstrument = require('dw/order/PaymentInstrument');
@@ -100,19 +154,32 @@ function calculatePaymentTransaction(currentBasket) {
 	var iter = currentBasket.getPaymentInstruments().iterator();
 	var paymentInstrument = null;
 	var nonGCPaymentInstrument = null;
-	var giftCertTotal = new Money(0.0, currentBasket.getCurrencyCode());
 
 	// Locates a non-gift certificate payment instrument if one exists.
 	while (iter.hasNext()) {
 		paymentInstrument = iter.next();
-		if (PaymentInstrument.METHOD_GIFT_CERTIFICATE.equals(paymentInstrument.getPaymentMethod())) {
-			giftCertTotal = giftCertTotal.add(paymentInstrument.getPaymentTransaction().getAmount());
-			continue;
+		if (!PaymentInstrument.METHOD_GIFT_CERTIFICATE.equals(paymentInstrument.getPaymentMethod())) {
+			// Captures the non-gift certificate payment instrument.
+			nonGCPaymentInstrument = paymentInstrument;
+			break;
 		}
+	}
 
-		// Captures the non-gift certificate payment instrument.
-		nonGCPaymentInstrument = paymentInstrument;
-		break;
+	// Sums all gift certificate payment instruments, wherever they are among the payment instruments.
+	var giftCertTotal = giftCertLimitHelpers.getRedeemedAmount(currentBasket);
+
+	// Gift certificates must not pay for gift certificates beyond what the payment policy allows.
+	if (giftCertPaymentPolicyHelpers.getRedeemableAmount(currentBasket) < 0) {
+		result.error = true;
+		result.message = giftCertPaymentPolicyHelpers.getRestrictionMessage();
+		return result;
+	}
+
+	// Gift certificates must not pay for excluded products or shipping.
+	if (giftCertTotal > giftCertExclusionHelpers.getEligibleAmount(currentBasket)) {
+		result.error = true;
+		result.message = giftCertExclusionHelpers.getExclusionMessage(currentBasket);
+		return result;
 	}
 
 	var orderTotal = currentBasket.totalGrossPrice;
@@ -122,7 +189,7 @@ function calculatePaymentTransaction(currentBasket) {
 	if (!nonGCPaymentInstrument) {
 		// If there are no other payment types and the gift certificate
 		// does not cover the open amount, then return false.
-		if (giftCertTotal.value >= orderTotal.value) {
+		if (giftCertTotal >= orderTotal.value) {
 			result.error = false;
 			return result;
 		}
@@ -177,26 +244,19 @@ var removeGiftCertificatePaymentInstrument = function (currentBasket, giftCertif
 };
 
 /**
- * Creates a gift certificate payment instrument from the given gift certificate ID for the basket. The
- * method attempts to redeem the current balance of the gift certificate. If the current balance exceeds the
- * order total, this amount is redeemed and the balance is lowered.
+ * Calculates the amount to redeem from a gift certificate for the basket. The method attempts to redeem the
+ * current balance of the gift certificate. If the current balance exceeds the order total, this amount is
+ * redeemed and the balance is lowered. Products and shipping excluded from gift certificate payments are left
+ * for other payment methods. Shoppers may choose to redeem less. Amounts the gift certificate itself already
+ * pays are not counted, so the amount of an applied gift certificate can be changed.
  *
- * @transactional
  * @param {dw.order.Basket} currentBasket - current basket
  * @param {dw.order.GiftCertificate} giftCertificate - The gift certificate.
- * @returns {dw.order.PaymentInstrument} The created PaymentInstrument.
+ * @param {number} [amount] - The amount the shopper chose to redeem, capped at the balance and the open order total.
+ * @returns {dw.value.Money} The amount to redeem.
  */
-var createGiftCertificatePaymentInstrument = function (currentBasket, giftCertificate) {
-	// Removes any duplicates.
-	// Iterates over the list of payment instruments to check.
-	var gcPaymentInstrs = currentBasket.getGiftCertificatePaymentInstruments(giftCertificate.getGiftCertificateCode()).iterator();
-	var existingPI = null;
-
-	// Removes found gift certificates, to prevent duplicates.
-	while (gcPaymentInstrs.hasNext()) {
-		existingPI = gcPaymentInstrs.next();
-		currentBasket.removePaymentInstrument(existingPI);
-	}
+function getGiftCertificateRedemptionAmount(currentBasket, giftCertificate, amount) {
+	var code = giftCertificate.getGiftCertificateCode();
 
 	// Fetches the balance and the order total.
 	var balance = giftCertificate.getBalance();
@@ -206,18 +266,23 @@ var createGiftCertificatePaymentInstrument = function (currentBasket, giftCertif
 	var amountToRedeem = balance;
 
 	// Since there may be multiple gift certificates, adjusts the amount applied to the current
-	// gift certificate based on the order total minus the aggregate amount of the current gift certificates.
+	// gift certificate based on the order total minus the aggregate amount of the other gift certificates.
 
 	var giftCertTotal = new Money(0.0, currentBasket.getCurrencyCode());
+	var ownTotal = new Money(0.0, currentBasket.getCurrencyCode());
 
 	// Iterates over the list of gift certificate payment instruments
 	// and updates the total redemption amount.
-	gcPaymentInstrs = currentBasket.getGiftCertificatePaymentInstruments().iterator();
+	var gcPaymentInstrs = currentBasket.getGiftCertificatePaymentInstruments().iterator();
 	var orderPI = null;
 
 	while (gcPaymentInstrs.hasNext()) {
 		orderPI = gcPaymentInstrs.next();
-		giftCertTotal = giftCertTotal.add(orderPI.getPaymentTransaction().getAmount());
+		if (orderPI.getGiftCertificateCode() === code) {
+			ownTotal = ownTotal.add(orderPI.getPaymentTransaction().getAmount());
+		} else {
+			giftCertTotal = giftCertTotal.add(orderPI.getPaymentTransaction().getAmount());
+		}
 	}
 
 	// Calculates the remaining order balance.
@@ -231,10 +296,147 @@ var createGiftCertificatePaymentInstrument = function (currentBasket, giftCertif
 		amountToRedeem = orderBalance;
 	}
 
+	// Restricted gift certificates, e.g. bonus gift certificates, cannot pay for other gift certificates.
+	if (giftCertPaymentPolicyHelpers.isRestricted(giftCertificate)) {
+		var redeemable = new Money(Math.max(Math.round((giftCertPaymentPolicyHelpers.getRedeemableAmount(currentBasket) + ownTotal.value) * 100) / 100, 0), currentBasket.getCurrencyCode());
+
+		if (redeemable.value < amountToRedeem.value) {
+			amountToRedeem = redeemable;
+		}
+	}
+
+	// Gift certificates cannot pay for excluded products or shipping.
+	var eligibleBalance = new Money(Math.max(Math.round((giftCertExclusionHelpers.getEligibleAmount(currentBasket) - giftCertTotal.value) * 100) / 100, 0), currentBasket.getCurrencyCode());
+
+	if (eligibleBalance.value < amountToRedeem.value) {
+		amountToRedeem = eligibleBalance;
+	}
+
+	// Gift certificates must not cover more than their share of the order total.
+	var maxAmount = giftCertLimitHelpers.getMaxAmount(currentBasket);
+
+	if (maxAmount !== null && maxAmount - giftCertTotal.value < amountToRedeem.value) {
+		amountToRedeem = new Money(Math.max(Math.round((maxAmount - giftCertTotal.value) * 100) / 100, 0), currentBasket.getCurrencyCode());
+	}
+
+	// The shopper chose to redeem less than possible.
+	if (amount && amount < amountToRedeem.value) {
+		amountToRedeem = new Money(amount, currentBasket.getCurrencyCode());
+	}
+
+	return amountToRedeem;
+}
+
+/**
+ * Creates a gift certificate payment instrument from the given gift certificate ID for the basket, see
+ * getGiftCertificateRedemptionAmount for the amount redeemed.
+ *
+ * @transactional
+ * @param {dw.order.Basket} currentBasket - current basket
+ * @param {dw.order.GiftCertificate} giftCertificate - The gift certificate.
+ * @param {number} [amount] - The amount the shopper chose to redeem, capped at the balance and the open order total.
+ * @returns {dw.order.PaymentInstrument} The created PaymentInstrument.
+ */
+var createGiftCertificatePaymentInstrument = function (currentBasket, giftCertificate, amount) {
+	// Removes any duplicates.
+	// Iterates over the list of payment instruments to check.
+	var gcPaymentInstrs = currentBasket.getGiftCertificatePaymentInstruments(giftCertificate.getGiftCertificateCode()).iterator();
+	var existingPI = null;
+
+	// Removes found gift certificates, to prevent duplicates.
+	while (gcPaymentInstrs.hasNext()) {
+		existingPI = gcPaymentInstrs.next();
+		currentBasket.removePaymentInstrument(existingPI);
+	}
+
 	// Creates a payment instrument from this gift certificate.
-	return currentBasket.createGiftCertificatePaymentInstrument(giftCertificate.getGiftCertificateCode(), amountToRedeem);
+	var paymentInstrument = currentBasket.createGiftCertificatePaymentInstrument(giftCertificate.getGiftCertificateCode(), getGiftCertificateRedemptionAmount(currentBasket, giftCertificate, amount));
+
+	// Remembers the amount chosen by the shopper for rebalancing after the basket totals changed.
+	paymentInstrument.custom.giftCertRequestedAmount = amount || null;
+
+	return paymentInstrument;
 };
 
+/**
+ * Changes the amount redeemed from a gift certificate applied to the basket. The payment instrument is kept,
+ * so the gift certificate keeps its place in the allocation order.
+ *
+ * @transactional
+ * @param {dw.order.Basket} currentBasket - current basket
+ * @param {dw.order.GiftCertificate} giftCertificate - The applied gift certificate.
+ * @param {number} amount - The amount the shopper chose to redeem, capped at the balance and the open order total.
+ * @returns {dw.order.PaymentInstrument|null} The updated PaymentInstrument or null if the gift certificate is not applied.
+ */
+var updateGiftCertificatePaymentInstrument = function (currentBasket, giftCertificate, amount) {
+	var gcPaymentInstrs = currentBasket.getGiftCertificatePaymentInstruments(giftCertificate.getGiftCertificateCode());
+
+	if (gcPaymentInstrs.isEmpty()) {
+		return null;
+	}
+
+	var paymentInstrument = gcPaymentInstrs.iterator().next();
+
+	paymentInstrument.getPaymentTransaction().setAmount(getGiftCertificateRedemptionAmount(currentBasket, giftCertificate, amount));
+	paymentInstrument.custom.giftCertRequestedAmount = amount;
+
+	return paymentInstrument;
+};
+
+/**
+ * Gets the order in which gift certificates applied to a basket are redeemed, see site preference
+ * giftCertAllocationStrategy: ENTRY_ORDER, EXPIRING_FIRST or SMALLEST_BALANCE_FIRST.
+ * @returns {string} allocation strategy
+ */
+function getGiftCertificateAllocationStrategy() {
+	var Site = require('dw/system/Site');
+	var strategy = Site.current.getCustomPreferenceValue('giftCertAllocationStrategy');
+
+	return strategy && strategy.value ? strategy.value : GIFT_CERT_ALLOCATION_ENTRY_ORDER;
+}
+
+/**
+ * Sorts the gift certificate payment instruments of a basket by the allocation strategy. Gift certificates
+ * that never expire come last with EXPIRING_FIRST; ties keep the order the gift certificates were entered in.
+ * @param {dw.order.LineItemCtnr} lineItemCtnr - basket
+ * @returns {Array<Object>} payment instruments with their gift certificate, in the order they are redeemed
+ */
+function getGiftCertificateAllocationOrder(lineItemCtnr) {
+	var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+	var strategy = getGiftCertificateAllocationStrategy();
+
+	var allocations = lineItemCtnr.getGiftCertificatePaymentInstruments().toArray().map(function (paymentInstrument, index) {
+		return {
+			paymentInstrument: paymentInstrument,
+			giftCertificate: GiftCertificateMgr.getGiftCertificateByCode(paymentInstrument.getGiftCertificateCode()),
+			index: index
+		};
+	});
+
+	/**
+	 * Gets the value a payment instrument is sorted by.
+	 * @param {Object} allocation - payment instrument with its gift certificate
+	 * @returns {number} sort key, the entry order is used for ties
+	 */
+	function getSortKey(allocation) {
+		var giftCertificate = allocation.giftCertificate;
+
+		if (!giftCertificate || strategy === GIFT_CERT_ALLOCATION_ENTRY_ORDER) {
+			return 0;
+		}
+
+		if (strategy === GIFT_CERT_ALLOCATION_SMALLEST_BALANCE_FIRST) {
+			return giftCertificate.getBalance().value;
+		}
+
+		return giftCertificate.custom.expirationDate ? giftCertificate.custom.expirationDate.getTime() : Number.MAX_VALUE;
+	}
+
+	return allocations.sort(function (a, b) {
+		return (getSortKey(a) - getSortKey(b)) || (a.index - b.index);
+	});
+}
+
 /**
  * renders the Gift Card payment
  * @param {Object} req - The request object
@@ -306,15 +508,33 @@ var determineUniqueShipmentID = function (currentBasket, baseID) {
 };
 
 /**
- * Cleans the shipments of the current basket by putting all gift certificate line items to single, possibly
- * new, shipments, with one shipment per gift certificate line item.
+ * Gets the gift certificate line items of a shipment that are sent by email.
+ * @param {dw.order.Shipment} shipment - shipment
+ * @returns {Array<dw.order.GiftCertificateLineItem>} gift certificate line items sent by email
+ */
+function getEmailGiftCertificateLineItems(shipment) {
+	return shipment.giftCertificateLineItems.toArray().filter(function (lineItem) {
+		return !giftCertHelper.isPhysical(lineItem);
+	});
+}
+
+/**
+ * Cleans the shipments of the current basket by putting all gift certificate line items sent by email to single,
+ * possibly new, shipments, with one shipment per gift certificate line item. Physical gift cards are moved to the
+ * default shipment, so they are shipped to its shipping address with its shipping method.
  * @param {dw.order.Basket} currentBasket - The account model for the current customer
  * @transactional
  */
 var updateGiftCertificateShipments = function (currentBasket) {
-	var ArrayList = require('dw/util/ArrayList');
+	var defaultShipment = currentBasket.getDefaultShipment();
 	// List of line items.
-	var giftCertificatesLI = new ArrayList();
+	var giftCertificatesLI = [];
+
+	collections.forEach(currentBasket.getGiftCertificateLineItems(), function (lineItem) {
+		if (giftCertHelper.isPhysical(lineItem) && lineItem.shipment.UUID !== defaultShipment.UUID) {
+			lineItem.setShipment(defaultShipment);
+		}
+	});
 
 	// Finds gift certificates in shipments that have
 	// product line items and gift certificate line items merged.
@@ -322,9 +542,10 @@ var updateGiftCertificateShipments = function (currentBasket) {
 
 	for (var i = 0; i < shipments.length; i++) {
 		var shipment = shipments[i];
+		var emailLineItems = getEmailGiftCertificateLineItems(shipment);
 
 		// Skips shipment if no gift certificates are contained.
-		if (shipment.giftCertificateLineItems.size() === 0) {
+		if (emailLineItems.length === 0) {
 			continue;
 		}
 
@@ -334,9 +555,7 @@ var updateGiftCertificateShipments = function (currentBasket) {
 		}
 
 		// If there are gift certificates, add them to the list.
-		if (shipment.giftCertificateLineItems.size() > 0) {
-			giftCertificatesLI.addAll(shipment.giftCertificateLineItems);
-		}
+		giftCertificatesLI = giftCertificatesLI.concat(emailLineItems);
 	}
 
 	// Create a shipment for each gift certificate line item.
@@ -344,8 +563,30 @@ var updateGiftCertificateShipments = function (currentBasket) {
 		var newShipmentID = determineUniqueShipmentID(currentBasket, 'Shipment #');
 		giftCertificatesLI[n].setShipment(currentBasket.createShipment(newShipmentID));
 	}
+
+	// Removes the shipments physical gift cards have been moved out of.
+	currentBasket.getShipments().toArray().filter(function (emptyShipment) {
+		return !emptyShipment.default
+			&& emptyShipment.productLineItems.size() === 0
+			&& emptyShipment.giftCertificateLineItems.size() === 0;
+	}).forEach(function (emptyShipment) {
+		currentBasket.removeShipment(emptyShipment);
+	});
 };
 
+/**
+ * Checks whether the checkout needs a shipping step, i.e. the basket contains products or physical gift cards.
+ * @param {dw.order.LineItemCtnr} lineItemContainer - the current basket
+ * @returns {boolean} true if a shipping address and shipping method are needed
+ */
+function isShippingRequired(lineItemContainer) {
+	if (lineItemContainer.getProductLineItems().size() > 0) {
+		return true;
+	}
+
+	return lineItemContainer.getGiftCertificateLineItems().toArray().some(giftCertHelper.isPhysical);
+}
+
 /**
  * Ensures that no shipment exists with 0 product line items
  * @param {Object} req - the request object needed to access session.privacyCache
@@ -425,7 +666,7 @@ module.exports = {
 	validateCreditCard: base.validateCreditCard,
 	calculatePaymentTransaction: calculatePaymentTransaction,
 	recalculateBasket: base.recalculateBasket,
-	handlePayments: base.handlePayments,
+	handlePayments: handlePayments,
 	createOrder: base.createOrder,
 	placeOrder: placeOrder,
 	savePaymentInstrumentToWallet: base.savePaymentInstrumentToWallet,
@@ -435,6 +676,13 @@ module.exports = {
 	setGift: base.setGift,
 	removeGiftCertificatePaymentInstrument: removeGiftCertificatePaymentInstrument,
 	createGiftCertificatePaymentInstrument: createGiftCertificatePaymentInstrument,
+	updateGiftCertificatePaymentInstrument: updateGiftCertificatePaymentInstrument,
 	getRenderedGCInstruments: getRenderedGCInstruments,
-	updateGiftCertificateShipments: updateGiftCertificateShipments
+	getGiftCertificateAllocationStrategy: getGiftCertificateAllocationStrategy,
+	getGiftCertificateAllocationOrder: getGiftCertificateAllocationOrder,
+	GIFT_CERT_ALLOCATION_ENTRY_ORDER: GIFT_CERT_ALLOCATION_ENTRY_ORDER,
+	GIFT_CERT_ALLOCATION_EXPIRING_FIRST: GIFT_CERT_ALLOCATION_EXPIRING_FIRST,
+	GIFT_CERT_ALLOCATION_SMALLEST_BALANCE_FIRST: GIFT_CERT_ALLOCATION_SMALLEST_BALANCE_FIRST,
+	updateGiftCertificateShipments: updateGiftCertificateShipments,
+	isShippingRequired: isShippingRequired
 };
@@ -4,6 +4,7 @@ var base = module.superModule;
 
 var collections = require('*/cartridge/scripts/util/collections');
 var ShippingModel = require('*/cartridge/models/shipping');
+var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
 
 var ArrayList = require('dw/util/ArrayList');
 
@@ -23,18 +24,16 @@ function getShippingModels(currentBasket, customer, containerView) {
 
 	var shipmentWithPLI = new ArrayList();
 
-	// skipping shipment only with gift certificate
+	// skipping shipment only with gift certificates sent by email,
+	// physical gift cards need a shipping address and shipping method
 	for (var i = 0; i < shipments.length; i++) {
-		if (shipments[i].productLineItems.length > 0) {
+		if (shipments[i].productLineItems.length > 0 || shipments[i].giftCertificateLineItems.toArray().some(giftCertHelper.isPhysical)) {
 			shipmentWithPLI.push(shipments[i]);
 		}
 	}
 
 	return collections.map(shipmentWithPLI, function (shipment) {
-		if (shipment.productLineItems.length > 0) {
-			return new ShippingModel(shipment, null, customer, containerView);
-		}
-		return false;
+		return new ShippingModel(shipment, null, customer, containerView);
 	});
 }
 
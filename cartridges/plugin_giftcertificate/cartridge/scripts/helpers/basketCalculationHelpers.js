@@ -0,0 +1,20 @@
+'use strict';
+
+var base = module.superModule;
+
+var giftCertRebalanceHelpers = require('*/cartridge/scripts/helpers/giftCertRebalanceHelpers');
+
+/**
+ * Calculates all totals of the basket and rebalances the redeemed gift certificates, as the amounts
+ * redeemed when they were applied no longer match totals changed e.g. by shipping, tax or promotions.
+ * @param {dw.order.Basket} basket - current basket
+ */
+function calculateTotals(basket) {
+	base.calculateTotals(basket);
+	giftCertRebalanceHelpers.rebalance(basket);
+}
+
+module.exports = {
+	calculateTaxes: base.calculateTaxes,
+	calculateTotals: calculateTotals
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+var Resource = require('dw/web/Resource');
+
+var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+var giftCertPinHelpers = require('*/cartridge/scripts/helpers/giftCertPinHelpers');
+
+var RECIPIENT_BUYER = 'BUYER';
+var RECIPIENT_RECIPIENT = 'RECIPIENT';
+
+/**
+ * Checks whether a bonus rule is complete and applies to a currency and date.
+ * @param {Object} rule - bonus rule of the site preference
+ * @param {string} currencyCode - currency code of the order
+ * @param {string} today - current site date as yyyy-MM-dd
+ * @return {boolean} true if the rule is active
+ */
+function isActive(rule, currencyCode, today) {
+	return !!rule
+		&& typeof rule.threshold === 'number'
+		&& typeof rule.bonusAmount === 'number'
+		&& rule.bonusAmount > 0
+		&& (!rule.currencyCode || rule.currencyCode === currencyCode)
+		&& (!rule.startDate || rule.startDate <= today)
+		&& (!rule.endDate || rule.endDate >= today);
+}
+
+/**
+ * Gets the bonus rules active today for a currency from the `giftCertBonusRules` site preference, a JSON array
+ * e.g. [{"threshold": 100, "bonusAmount": 20, "validityDays": 90, "recipient": "BUYER", "currencyCode": "USD",
+ * "startDate": "2026-11-20", "endDate": "2026-12-31"}].
+ * @param {string} currencyCode - currency code of the order
+ * @return {Array<Object>} active rules, highest threshold first
+ */
+function getActiveRules(currencyCode) {
+	var Logger = require('dw/system/Logger');
+	var Site = require('dw/system/Site');
+	var preference = Site.current.getCustomPreferenceValue('giftCertBonusRules');
+	var today = giftCertHelper.formatSiteDate(new Date());
+	var rules = [];
+
+	if (!preference) {
+		return rules;
+	}
+
+	try {
+		rules = JSON.parse(preference);
+	} catch (e) {
+		Logger.error('Invalid JSON in site preference giftCertBonusRules: {0}', e.message);
+		return [];
+	}
+
+	if (!Array.isArray(rules)) {
+		Logger.error('Site preference giftCertBonusRules must be a JSON array');
+		return [];
+	}
+
+	return rules
+		.filter(function (rule) {
+			return isActive(rule, currencyCode, today);
+		})
+		.sort(function (a, b) {
+			return b.threshold - a.threshold;
+		});
+}
+
+/**
+ * Finds the bonus rule a gift certificate line item qualifies for. A line item earns a single bonus,
+ * that of the rule with the highest threshold reached.
+ * @param {dw.order.GiftCertificateLineItem} giftCertificateLineItem - gift certificate line item of the order
+ * @param {Array<Object>} rules - active rules, highest threshold first
+ * @return {Object|null} bonus rule or null if the line item earns no bonus
+ */
+function getBonusRule(giftCertificateLineItem, rules) {
+	var amount = giftCertificateLineItem.netPrice.value;
+
+	return rules.filter(function (rule) {
+		return amount >= rule.threshold;
+	})[0] || null;
+}
+
+/**
+ * Issues the bonus gift certificate a purchased gift certificate earns. The bonus goes to the buyer or, if the rule
+ * says so, to the recipient together with the gift; physical cards have no recipient email, so their bonus always
+ * goes to the buyer. The bonus has its own validity and shares the hold of the order.
+ *
+ * @transactional
+ * @param {dw.order.GiftCertificate} giftCertificate - purchased gift certificate
+ * @param {dw.order.GiftCertificateLineItem} giftCertificateLineItem - line item of the purchased gift certificate
+ * @param {dw.order.Order} order - placed order
+ * @param {Array<Object>} rules - active rules, see getActiveRules
+ * @param {boolean} [hold] - whether the gift certificates of the order are held
+ * @return {dw.order.GiftCertificate|null} bonus gift certificate or null if no bonus is earned
+ */
+function issueBonusCertificate(giftCertificate, giftCertificateLineItem, order, rules, hold) {
+	var formatMoney = require('dw/util/StringUtils').formatMoney;
+	var rule = getBonusRule(giftCertificateLineItem, rules);
+
+	if (!rule) {
+		return null;
+	}
+
+	var toRecipient = rule.recipient === RECIPIENT_RECIPIENT && !!giftCertificateLineItem.recipientEmail;
+	var bonus = GiftCertificateMgr.createGiftCertificate(rule.bonusAmount);
+
+	bonus.setRecipientEmail(toRecipient ? giftCertificateLineItem.recipientEmail : order.getCustomerEmail());
+	bonus.setRecipientName(toRecipient ? giftCertificateLineItem.recipientName : order.getCustomerName());
+	bonus.setSenderName(Resource.msg('giftcert.bonus.sender', 'giftcert', null));
+	bonus.setMessage(Resource.msgf('giftcert.bonus.message', 'giftcert', null, formatMoney(giftCertificate.getAmount())));
+	bonus.setOrderNo(order.getOrderNo());
+	bonus.custom.bonus = true;
+	bonus.custom.bonusFor = giftCertificate.getMaskedGiftCertificateCode();
+	bonus.custom.deliveryType = giftCertHelper.DELIVERY_TYPE_EMAIL;
+	bonus.custom.designId = giftCertificateLineItem.custom.designId;
+	bonus.custom.deliveryDate = toRecipient ? giftCertificateLineItem.custom.deliveryDate : null;
+	bonus.custom.validityDays = rule.validityDays || null;
+	bonus.custom.deliveryStatus = hold ? giftCertHelper.DELIVERY_STATUS_HELD : giftCertHelper.DELIVERY_STATUS_PENDING;
+	bonus.custom.expirationDate = giftCertHelper.getExpirationDate(bonus.custom.deliveryDate, rule.validityDays);
+	giftCertPinHelpers.assignInitialPin(bonus);
+
+	if (hold) {
+		bonus.setEnabled(false);
+	}
+
+	return bonus;
+}
+
+/**
+ * Checks whether a gift certificate was issued by a bonus promotion.
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @return {boolean} true for bonus gift certificates
+ */
+function isBonus(giftCertificate) {
+	return !!giftCertificate.custom.bonus;
+}
+
+module.exports = {
+	getActiveRules: getActiveRules,
+	issueBonusCertificate: issueBonusCertificate,
+	isBonus: isBonus,
+	RECIPIENT_BUYER: RECIPIENT_BUYER,
+	RECIPIENT_RECIPIENT: RECIPIENT_RECIPIENT
+};
@@ -0,0 +1,203 @@
+'use strict';
+
+var Resource = require('dw/web/Resource');
+var Transaction = require('dw/system/Transaction');
+
+var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+
+var MAX_ROWS = 500;
+var COLUMN_RECIPIENT_NAME = 0;
+var COLUMN_RECIPIENT_EMAIL = 1;
+var COLUMN_AMOUNT = 2;
+var COLUMN_MESSAGE = 3;
+
+/**
+ * Splits CSV text into rows of fields. Fields may be quoted to contain commas, line breaks and
+ * quotes, the latter escaped by doubling them.
+ * @param {string} text - CSV text
+ * @return {Array<Array<string>>} rows of fields
+ */
+function parseCsv(text) {
+	var rows = [];
+	var row = [];
+	var field = '';
+	var quoted = false;
+
+	for (var i = 0; i < text.length; i++) {
+		var character = text.charAt(i);
+
+		if (quoted) {
+			if (character === '"' && text.charAt(i + 1) === '"') {
+				field += '"';
+				i++;
+			} else if (character === '"') {
+				quoted = false;
+			} else {
+				field += character;
+			}
+		} else if (character === '"') {
+			quoted = true;
+		} else if (character === ',') {
+			row.push(field);
+			field = '';
+		} else if (character === '\n' || character === '\r') {
+			if (character === '\r' && text.charAt(i + 1) === '\n') {
+				i++;
+			}
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += character;
+		}
+	}
+
+	row.push(field);
+	rows.push(row);
+
+	return rows;
+}
+
+/**
+ * Checks whether a CSV row contains nothing but whitespace.
+ * @param {Array<string>} fields - fields of the row
+ * @return {boolean} true for blank rows
+ */
+function isBlankRow(fields) {
+	return fields.every(function (field) {
+		return field.trim() === '';
+	});
+}
+
+/**
+ * Parses the recipient list of a bulk purchase. Every row holds recipient name, recipient email,
+ * amount and an optional message; a header row without a numeric amount is skipped.
+ * @param {string} text - recipient list as CSV text
+ * @return {Array<Object>} recipients with the row number in the CSV text
+ */
+function parseRecipients(text) {
+	var recipients = [];
+
+	parseCsv(text || '').forEach(function (fields, index) {
+		if (isBlankRow(fields)) {
+			return;
+		}
+
+		var amount = (fields[COLUMN_AMOUNT] || '').trim();
+
+		if (index === 0 && amount !== '' && isNaN(Number(amount))) {
+			return;
+		}
+
+		recipients.push({
+			row: index + 1,
+			columns: fields.length,
+			recipientName: (fields[COLUMN_RECIPIENT_NAME] || '').trim(),
+			recipientEmail: (fields[COLUMN_RECIPIENT_EMAIL] || '').trim(),
+			amount: amount === '' ? null : Number(amount),
+			message: (fields[COLUMN_MESSAGE] || '').trim()
+		});
+	});
+
+	return recipients;
+}
+
+/**
+ * Validates a recipient of a bulk purchase with the rules of the purchase form,
+ * see giftCertHelpers.processAddToBasket.
+ * @param {Object} recipient - parsed recipient
+ * @param {string} currencyCode - currency code of the purchase
+ * @return {Array<string>} error messages, empty if the recipient is valid
+ */
+function validateRecipient(recipient, currencyCode) {
+	var errors = [];
+
+	if (recipient.columns <= COLUMN_AMOUNT) {
+		return [Resource.msg('giftcert.bulk.columns-error', 'forms', null)];
+	}
+
+	if (!recipient.recipientName) {
+		errors.push(Resource.msg('giftcert.purchase.recipient.missing-error', 'forms', null));
+	}
+
+	if (!recipient.recipientEmail) {
+		errors.push(Resource.msg('giftcert.purchase.recipientemail.missing-error', 'forms', null));
+	} else if (!giftCertHelper.isValidEmail(recipient.recipientEmail)) {
+		errors.push(Resource.msg('giftcert.purchase.recipientemail.parse-error', 'forms', null));
+	}
+
+	if (recipient.amount === null) {
+		errors.push(Resource.msg('giftcert.amountmissingerror', 'forms', null));
+	} else if (isNaN(recipient.amount)) {
+		errors.push(Resource.msg('giftcert.amountvalueerror', 'forms', null));
+	} else {
+		var amountError = giftCertHelper.validateAmount(recipient.amount, currencyCode);
+		if (amountError) {
+			errors.push(amountError);
+		}
+	}
+
+	return errors;
+}
+
+/**
+ * Adds a gift certificate line item for every recipient of a bulk purchase to the basket.
+ * The recipient list is validated first; if any row is invalid, no line item is added and
+ * the errors are returned per row. Otherwise all line items are added in one transaction.
+ * @param {dw.order.Basket} currentBasket - current basket
+ * @param {string} senderName - name of the sender, e.g. the company
+ * @param {string} text - recipient list as CSV text
+ * @param {string} currencyCode - currency code of the purchase
+ * @return {Object} result with error flag, error message, errors per row and the number of added line items
+ */
+function addRecipientsToBasket(currentBasket, senderName, text, currencyCode) {
+	var recipients = parseRecipients(text);
+	var result = { error: false, message: null, rowErrors: [], count: 0 };
+
+	if (recipients.length === 0) {
+		result.error = true;
+		result.message = Resource.msg('giftcert.bulk.empty-error', 'forms', null);
+		return result;
+	}
+
+	if (recipients.length > MAX_ROWS) {
+		result.error = true;
+		result.message = Resource.msgf('giftcert.bulk.maxrows-error', 'forms', null, MAX_ROWS);
+		return result;
+	}
+
+	recipients.forEach(function (recipient) {
+		var errors = validateRecipient(recipient, currencyCode);
+		if (errors.length > 0) {
+			result.rowErrors.push({ row: recipient.row, recipientEmail: recipient.recipientEmail, errors: errors });
+		}
+	});
+
+	if (result.rowErrors.length > 0) {
+		result.error = true;
+		result.message = Resource.msgf('giftcert.bulk.rows-error', 'forms', null, result.rowErrors.length);
+		return result;
+	}
+
+	Transaction.wrap(function () {
+		recipients.forEach(function (recipient) {
+			giftCertHelper.addGiftCertificateLineItem(currentBasket, {
+				amount: recipient.amount,
+				recipientName: recipient.recipientName,
+				recipientEmail: recipient.recipientEmail,
+				senderName: senderName,
+				message: recipient.message
+			});
+		});
+	});
+
+	result.count = recipients.length;
+	return result;
+}
+
+module.exports = {
+	parseRecipients: parseRecipients,
+	validateRecipient: validateRecipient,
+	addRecipientsToBasket: addRecipientsToBasket
+};
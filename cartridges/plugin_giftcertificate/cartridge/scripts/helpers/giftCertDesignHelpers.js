@@ -0,0 +1,101 @@
+'use strict';
+
+var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+var URLUtils = require('dw/web/URLUtils');
+
+var DESIGN_TYPE = 'GiftCertificateDesign';
+var DEFAULT_IMAGE = '/images/gift-card.jpg';
+var DEFAULT_BACKGROUND_COLOR = '#e0e0e0';
+var DEFAULT_TEXT_COLOR = '#000000';
+
+/**
+ * Gets the design used for gift certificates without a design, e.g. if no designs are set up.
+ * @return {Object} default design
+ */
+function getDefaultDesign() {
+	var Resource = require('dw/web/Resource');
+
+	return {
+		ID: null,
+		name: Resource.msg('giftcert.design.default', 'giftcert', null),
+		occasion: null,
+		imageUrl: URLUtils.staticURL(DEFAULT_IMAGE).toString(),
+		absImageUrl: URLUtils.absStatic(DEFAULT_IMAGE).toString(),
+		backgroundColor: DEFAULT_BACKGROUND_COLOR,
+		textColor: DEFAULT_TEXT_COLOR
+	};
+}
+
+/**
+ * Converts a design custom object into a plain object, falling back to the default image and colors.
+ * @param {dw.object.CustomObject} designObject - GiftCertificateDesign custom object
+ * @return {Object} design with ID, name, occasion, image URLs and colors
+ */
+function toDesign(designObject) {
+	var design = getDefaultDesign();
+	var image = designObject.custom.image;
+
+	design.ID = designObject.custom.ID;
+	design.name = designObject.custom.name || designObject.custom.ID;
+	design.occasion = designObject.custom.occasion || null;
+
+	if (image) {
+		design.imageUrl = image.getURL().toString();
+		design.absImageUrl = image.getAbsURL().toString();
+	}
+
+	design.backgroundColor = designObject.custom.backgroundColor || DEFAULT_BACKGROUND_COLOR;
+	design.textColor = designObject.custom.textColor || DEFAULT_TEXT_COLOR;
+
+	return design;
+}
+
+/**
+ * Gets the designs shoppers can choose from on the purchase form.
+ * @return {Array<Object>} enabled designs, sorted by position
+ */
+function getDesigns() {
+	var designObjects = CustomObjectMgr.queryCustomObjects(DESIGN_TYPE, 'custom.enabled = {0}', 'custom.position asc', true);
+	var designs = [];
+
+	try {
+		while (designObjects.hasNext()) {
+			designs.push(toDesign(designObjects.next()));
+		}
+	} finally {
+		designObjects.close();
+	}
+
+	return designs;
+}
+
+/**
+ * Gets the design of a gift certificate or gift certificate line item. Designs disabled after the
+ * purchase are still returned, deleted ones are replaced by the default design.
+ * @param {string} designId - ID of the design
+ * @return {Object} design
+ */
+function getDesign(designId) {
+	var designObject = designId ? CustomObjectMgr.getCustomObject(DESIGN_TYPE, designId) : null;
+	return designObject ? toDesign(designObject) : getDefaultDesign();
+}
+
+/**
+ * Checks whether a design can be chosen for a new gift certificate.
+ * @param {string} designId - ID of the design, empty for the default design
+ * @return {boolean} true if no design or an enabled design was chosen
+ */
+function isSelectable(designId) {
+	if (!designId) {
+		return true;
+	}
+
+	var designObject = CustomObjectMgr.getCustomObject(DESIGN_TYPE, designId);
+	return !!designObject && !!designObject.custom.enabled;
+}
+
+module.exports = {
+	getDesigns: getDesigns,
+	getDesign: getDesign,
+	isSelectable: isSelectable
+};
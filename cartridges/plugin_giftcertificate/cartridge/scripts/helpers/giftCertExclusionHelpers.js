@@ -0,0 +1,133 @@
+'use strict';
+
+var Resource = require('dw/web/Resource');
+var StringUtils = require('dw/util/StringUtils');
+var Money = require('dw/value/Money');
+
+/**
+ * Gets the values of a set-of-string site preference.
+ * @param {string} preferenceName - site preference ID
+ * @return {string[]} values, empty if not configured
+ */
+function getPreferenceValues(preferenceName) {
+	var Site = require('dw/system/Site');
+	var values = Site.current.getCustomPreferenceValue(preferenceName);
+	return values ? Array.prototype.slice.call(values) : [];
+}
+
+/**
+ * Checks whether shipping cannot be paid with gift certificates, see site preference giftCertExcludeShipping.
+ * @return {boolean} true if shipping is excluded
+ */
+function isShippingExcluded() {
+	var Site = require('dw/system/Site');
+	return !!Site.current.getCustomPreferenceValue('giftCertExcludeShipping');
+}
+
+/**
+ * Checks whether a category or one of its parent categories is excluded.
+ * @param {dw.catalog.Category} category - category the product is assigned to
+ * @param {string[]} excludedCategories - IDs of excluded categories
+ * @return {boolean} true if the category is excluded
+ */
+function isCategoryExcluded(category, excludedCategories) {
+	var current = category;
+
+	while (current) {
+		if (excludedCategories.indexOf(current.getID()) >= 0) {
+			return true;
+		}
+		current = current.getParent();
+	}
+
+	return false;
+}
+
+/**
+ * Checks whether a product cannot be paid with gift certificates, see site preferences giftCertExcludedProducts
+ * and giftCertExcludedCategories. Variants are excluded with their master, products with any of their categories
+ * and the parents of those.
+ * @param {dw.catalog.Product} product - product
+ * @return {boolean} true if the product is excluded
+ */
+function isProductExcluded(product) {
+	var excludedProducts = getPreferenceValues('giftCertExcludedProducts');
+	var excludedCategories = getPreferenceValues('giftCertExcludedCategories');
+
+	if (!product) {
+		return false;
+	}
+
+	var products = product.isVariant() ? [product, product.getMasterProduct()] : [product];
+
+	return products.some(function (candidate) {
+		if (excludedProducts.indexOf(candidate.getID()) >= 0) {
+			return true;
+		}
+
+		return excludedCategories.length > 0 && candidate.getCategories().toArray().some(function (category) {
+			return isCategoryExcluded(category, excludedCategories);
+		});
+	});
+}
+
+/**
+ * Gets the part of a basket or order total gift certificates cannot pay, i.e. the excluded products including
+ * their options and, if configured, shipping. Product prices are taken before order discounts.
+ * @param {dw.order.LineItemCtnr} lineItemCtnr - basket or order
+ * @return {number} excluded amount
+ */
+function getExcludedAmount(lineItemCtnr) {
+	var amount = 0;
+
+	lineItemCtnr.getAllProductLineItems().toArray().forEach(function (lineItem) {
+		// options are excluded with the product they belong to
+		var product = lineItem.isOptionProductLineItem() ? lineItem.getParent().getProduct() : lineItem.getProduct();
+		var price = lineItem.getAdjustedGrossPrice();
+
+		if (price.available && isProductExcluded(product)) {
+			amount += price.value;
+		}
+	});
+
+	if (isShippingExcluded() && lineItemCtnr.getAdjustedShippingTotalGrossPrice().available) {
+		amount += lineItemCtnr.getAdjustedShippingTotalGrossPrice().value;
+	}
+
+	// rounds away floating point errors of the sum
+	return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Gets the part of a basket or order total gift certificates can pay.
+ * @param {dw.order.LineItemCtnr} lineItemCtnr - basket or order
+ * @return {number} eligible amount, never negative
+ */
+function getEligibleAmount(lineItemCtnr) {
+	var amount = lineItemCtnr.getTotalGrossPrice().value - getExcludedAmount(lineItemCtnr);
+	return Math.max(Math.round(amount * 100) / 100, 0);
+}
+
+/**
+ * Gets the explanation shown at checkout when gift certificates cannot pay for the whole basket.
+ * @param {dw.order.LineItemCtnr} lineItemCtnr - basket or order
+ * @return {string|null} explanation, null if nothing is excluded
+ */
+function getExclusionMessage(lineItemCtnr) {
+	if (!lineItemCtnr.getTotalGrossPrice().available || !getExcludedAmount(lineItemCtnr)) {
+		return null;
+	}
+
+	var eligibleAmount = new Money(getEligibleAmount(lineItemCtnr), lineItemCtnr.getCurrencyCode());
+	var key = isShippingExcluded() ? 'billinggiftcert.exclusion.shipping' : 'billinggiftcert.exclusion';
+
+	return Resource.msgf(key, 'giftcert', null, StringUtils.formatMoney(eligibleAmount));
+}
+
+module.exports = {
+	isShippingExcluded: isShippingExcluded,
+	isProductExcluded: isProductExcluded,
+	getExcludedAmount: getExcludedAmount,
+	getEligibleAmount: getEligibleAmount,
+	getExclusionMessage: getExclusionMessage
+};
@@ -2,6 +2,81 @@
 var Transaction = require('dw/system/Transaction');
 var Money = require('dw/value/Money');
 
+var DEFAULT_MIN_AMOUNT = 5;
+var DEFAULT_MAX_AMOUNT = 5000;
+var AMOUNT_MODE_DENOMINATIONS = 'DENOMINATIONS';
+var DATE_FORMAT = 'yyyy-MM-dd';
+var MAX_DELIVERY_DAYS = 365;
+var DELIVERY_STATUS_PENDING = 'PENDING';
+var DELIVERY_STATUS_SENT = 'SENT';
+var DELIVERY_STATUS_FAILED = 'FAILED';
+var DELIVERY_STATUS_HELD = 'HELD';
+var DELIVERY_STATUS_VOIDED = 'VOIDED';
+var DELIVERY_TYPE_EMAIL = 'EMAIL';
+var DELIVERY_TYPE_PHYSICAL = 'PHYSICAL';
+var EMAIL_REGEX = /^[\w.%+-]+@[\w.-]+\.[\w]{2,6}$/;
+var DEFAULT_MAX_ADDITIONAL_RECIPIENTS = 9;
+var FULFILLMENT_HOOK = 'app.giftcert.fulfillment';
+
+/**
+ * Formats a date in the site time zone.
+ * @param {Date} date - date to format
+ * @param {string} [pattern] - date pattern, defaults to yyyy-MM-dd
+ * @return {string} formatted date or an empty string if no date is given
+ */
+function formatSiteDate(date, pattern) {
+	var Calendar = require('dw/util/Calendar');
+	var Site = require('dw/system/Site');
+	var StringUtils = require('dw/util/StringUtils');
+
+	if (!date) {
+		return '';
+	}
+
+	var calendar = new Calendar(date);
+	calendar.setTimeZone(Site.current.getTimezone());
+	return StringUtils.formatCalendar(calendar, pattern || DATE_FORMAT);
+}
+
+/**
+ * Parses a delivery date entered as yyyy-MM-dd into the start of that day in the site time zone.
+ * @param {string} value - delivery date as entered in the purchase form
+ * @return {Date|null} delivery date or null if no date was entered
+ */
+function parseDeliveryDate(value) {
+	var Calendar = require('dw/util/Calendar');
+	var Site = require('dw/system/Site');
+
+	// eslint-disable-next-line no-undef
+	if (empty(value)) {
+		return null;
+	}
+
+	var calendar = new Calendar();
+	calendar.setTimeZone(Site.current.getTimezone());
+	calendar.parseByFormat(value, DATE_FORMAT);
+	return calendar.getTime();
+}
+
+/**
+ * Gets the delivery type of a gift certificate or gift certificate line item.
+ * @param {dw.order.GiftCertificate|dw.order.GiftCertificateLineItem} item - gift certificate or line item
+ * @return {string} delivery type, EMAIL for items created before physical cards were introduced
+ */
+function getDeliveryType(item) {
+	var deliveryType = item.custom.deliveryType;
+	return deliveryType ? deliveryType.value : DELIVERY_TYPE_EMAIL;
+}
+
+/**
+ * Checks whether a gift certificate or gift certificate line item is a physical card that is shipped with the order.
+ * @param {dw.order.GiftCertificate|dw.order.GiftCertificateLineItem} item - gift certificate or line item
+ * @return {boolean} true for physical cards
+ */
+function isPhysical(item) {
+	return getDeliveryType(item) === DELIVERY_TYPE_PHYSICAL;
+}
+
 /**
  * Gets a gift certificate line item.
  *
@@ -33,6 +108,9 @@ var getGiftLineItemObj = function (giftCertificateLineItem) {
 	giftLineItemObj.confirmRecipientEmail = giftCertificateLineItem.recipientEmail;
 	giftLineItemObj.message = giftCertificateLineItem.message;
 	giftLineItemObj.amount = giftCertificateLineItem.price.value;
+	giftLineItemObj.deliveryDate = formatSiteDate(giftCertificateLineItem.custom.deliveryDate);
+	giftLineItemObj.deliveryType = getDeliveryType(giftCertificateLineItem);
+	giftLineItemObj.designId = giftCertificateLineItem.custom.designId;
 
 	return giftLineItemObj;
 };
@@ -41,39 +119,98 @@ var getGiftLineItemObj = function (giftCertificateLineItem) {
  * Generated HTML for edit gift certificate form
  * @param {Object} giftCertForm Gift Certificate Form object
  * @param {string} actionUrl ActionUrl for submitting the edit form
+ * @param {Object} amountSelection amount selection of the purchase form, see getAmountSelection
  * @return {string} template text
  */
-var editGCLIHtmlRenderedHtml = function (giftCertForm, actionUrl) {
+var editGCLIHtmlRenderedHtml = function (giftCertForm, actionUrl, amountSelection) {
 	var HashMap = require('dw/util/HashMap');
 	var Template = require('dw/util/Template');
+	var giftCertDesignHelpers = require('*/cartridge/scripts/helpers/giftCertDesignHelpers');
 	var context = new HashMap();
 	context.put('giftCertForm', giftCertForm);
 	context.put('actionUrl', actionUrl);
+	context.put('amountSelection', amountSelection);
+	context.put('designs', giftCertDesignHelpers.getDesigns());
 	context.put('action', 'update');
 	var template = new Template('checkout/giftcert/giftCertificateNoDecorator');
 	return template.render(context).text;
 };
 
+/**
+ * Adds a gift certificate line item to the basket.
+ * __Note:__ the values must be validated before this function is called.
+ *
+ * @transactional
+ * @param {dw.order.Basket} currentBasket - current Basket.
+ * @param {Object} values - gift certificate values
+ * @param {number} values.amount - amount of the gift certificate
+ * @param {string} values.recipientName - name of the recipient
+ * @param {string} values.recipientEmail - email address of the recipient, ignored for physical cards
+ * @param {string} values.senderName - name of the sender
+ * @param {string} [values.message] - message to the recipient
+ * @param {string} [values.deliveryType] - EMAIL (default) or PHYSICAL
+ * @param {string} [values.designId] - ID of the chosen design
+ * @param {Date} [values.deliveryDate] - scheduled delivery date of the email
+ * @return {dw.order.GiftCertificateLineItem} gift certificate line item
+ */
+function addGiftCertificateLineItem(currentBasket, values) {
+	var physical = values.deliveryType === DELIVERY_TYPE_PHYSICAL;
+	var giftCertificateLineItem = currentBasket.createGiftCertificateLineItem(values.amount, physical ? '' : values.recipientEmail);
+
+	giftCertificateLineItem.setRecipientName(values.recipientName);
+	giftCertificateLineItem.setSenderName(values.senderName);
+	giftCertificateLineItem.setMessage(values.message || null);
+	giftCertificateLineItem.custom.deliveryType = physical ? DELIVERY_TYPE_PHYSICAL : DELIVERY_TYPE_EMAIL;
+	giftCertificateLineItem.custom.designId = values.designId || null;
+	// physical cards are shipped with the order, the delivery date only applies to emails
+	giftCertificateLineItem.custom.deliveryDate = physical ? null : values.deliveryDate || null;
+
+	return giftCertificateLineItem;
+}
+
 /**
  * Creates a gift certificate in the customer basket using form input values.
- * If a gift certificate is added to a product list, a ProductListItem is added, otherwise a GiftCertificateLineItem
- * is added.
- * __Note:__ the form must be validated before this function is called.
+ * Gift certificates saved to a product list are added as ProductListItem instead, see
+ * giftCertProductListHelpers.saveGiftCertificate. A line item with the same gift is added for every additional recipient; all line items of the
+ * submission share a recipient group, so the cart shows them together.
+ * __Note:__ the form and the additional recipients must be validated before this function is called.
  *
  * @param {dw.order.Basket} currentBasket -  current Basket.
+ * @param {Array<Object>} [additionalRecipients] - further recipients, see getAdditionalRecipients
  * @return {dw.order.GiftCertificateLineItem} gift certificate line item added to the
  * current basket or product list.
  */
-function createGiftCert(currentBasket) {
+function createGiftCert(currentBasket, additionalRecipients) {
 	var giftCertificateLineItem;
 	// eslint-disable-next-line no-undef
 	var purchaseForm = session.forms.giftcert.purchase;
 
 	Transaction.wrap(function () {
-		giftCertificateLineItem = currentBasket.createGiftCertificateLineItem(purchaseForm.amount.value, purchaseForm.recipientEmail.value);
-		giftCertificateLineItem.setRecipientName(purchaseForm.recipient.value);
-		giftCertificateLineItem.setSenderName(purchaseForm.from.value);
-		giftCertificateLineItem.setMessage(purchaseForm.message.value);
+		var values = {
+			amount: purchaseForm.amount.value,
+			recipientName: purchaseForm.recipient.value,
+			recipientEmail: purchaseForm.recipientEmail.value,
+			senderName: purchaseForm.from.value,
+			message: purchaseForm.message.value,
+			deliveryType: purchaseForm.deliveryType.value,
+			designId: purchaseForm.designId.value,
+			deliveryDate: parseDeliveryDate(purchaseForm.deliveryDate.value)
+		};
+
+		giftCertificateLineItem = addGiftCertificateLineItem(currentBasket, values);
+
+		if (additionalRecipients && additionalRecipients.length > 0) {
+			var UUIDUtils = require('dw/util/UUIDUtils');
+			var recipientGroup = UUIDUtils.createUUID();
+			giftCertificateLineItem.custom.recipientGroup = recipientGroup;
+
+			additionalRecipients.forEach(function (recipient) {
+				values.recipientName = recipient.recipientName;
+				values.recipientEmail = recipient.recipientEmail;
+				addGiftCertificateLineItem(currentBasket, values).custom.recipientGroup = recipientGroup;
+			});
+		}
+
 		return giftCertificateLineItem;
 	});
 
@@ -110,11 +247,16 @@ function updateGiftCert(currentBasket) {
 		return null;
 	}
 
+	var physical = purchaseForm.deliveryType.value === DELIVERY_TYPE_PHYSICAL;
+
 	Transaction.wrap(function () {
 		giftCertificateLineItem.senderName = purchaseForm.from.value;
 		giftCertificateLineItem.recipientName = purchaseForm.recipient.value;
-		giftCertificateLineItem.recipientEmail = purchaseForm.recipientEmail.value;
+		giftCertificateLineItem.recipientEmail = physical ? '' : purchaseForm.recipientEmail.value;
 		giftCertificateLineItem.message = purchaseForm.message.value;
+		giftCertificateLineItem.custom.deliveryType = physical ? DELIVERY_TYPE_PHYSICAL : DELIVERY_TYPE_EMAIL;
+		giftCertificateLineItem.custom.designId = purchaseForm.designId.value || null;
+		giftCertificateLineItem.custom.deliveryDate = physical ? null : parseDeliveryDate(purchaseForm.deliveryDate.value);
 
 		var amount = purchaseForm.amount.value;
 		giftCertificateLineItem.basePrice = new Money(amount, giftCertificateLineItem.basePrice.currencyCode);
@@ -126,34 +268,289 @@ function updateGiftCert(currentBasket) {
 	return giftCertificateLineItem;
 }
 
+/**
+ * Gets the purchase limits for gift certificates in the given currency.
+ * The limits are read from the `giftCertAmountLimits` site preference, a JSON object keyed by currency code
+ * (or `default`) e.g. {"USD": {"min": 5, "max": 5000, "denominations": [25, 50, 100, 250]}}.
+ * Falls back to a range of 5 to 5000 without denominations if nothing is configured.
+ * @param {string} currencyCode - currency code of the purchase
+ * @return {Object} limits object with min, max and denominations
+ */
+function getAmountLimits(currencyCode) {
+	var Site = require('dw/system/Site');
+	var Logger = require('dw/system/Logger');
+	var limits = { min: DEFAULT_MIN_AMOUNT, max: DEFAULT_MAX_AMOUNT, denominations: [] };
+	var preference = Site.current.getCustomPreferenceValue('giftCertAmountLimits');
+	var config = null;
+
+	if (preference) {
+		try {
+			var allLimits = JSON.parse(preference);
+			config = allLimits[currencyCode] || allLimits.default || null;
+		} catch (e) {
+			Logger.error('Invalid JSON in site preference giftCertAmountLimits: {0}', e.message);
+		}
+	}
+
+	if (config) {
+		if (typeof config.min === 'number') {
+			limits.min = config.min;
+		}
+		if (typeof config.max === 'number') {
+			limits.max = config.max;
+		}
+		if (Array.isArray(config.denominations)) {
+			limits.denominations = config.denominations.filter(function (denomination) {
+				return typeof denomination === 'number' && denomination >= limits.min && denomination <= limits.max;
+			});
+		}
+	}
+
+	return limits;
+}
+
+/**
+ * Checks whether amounts other than the configured denominations may be purchased
+ * (`giftCertAllowCustomAmount` site preference).
+ * @return {boolean} true if custom amounts are allowed
+ */
+function isCustomAmountAllowed() {
+	var Site = require('dw/system/Site');
+	return !!Site.current.getCustomPreferenceValue('giftCertAllowCustomAmount');
+}
+
+/**
+ * Checks whether shoppers pick the amount from the configured denominations, i.e. the `giftCertAmountMode`
+ * site preference is set to DENOMINATIONS and denominations are configured for the currency.
+ * @param {Object} limits - purchase limits of the currency, see getAmountLimits
+ * @return {boolean} true if the denomination picker is used
+ */
+function isDenominationMode(limits) {
+	var Site = require('dw/system/Site');
+	var mode = Site.current.getCustomPreferenceValue('giftCertAmountMode');
+	return !!mode && mode.value === AMOUNT_MODE_DENOMINATIONS && limits.denominations.length > 0;
+}
+
+/**
+ * Builds the amount selection of the purchase form for the given currency.
+ * With the `giftCertAmountMode` site preference set to DENOMINATIONS, shoppers pick one of the
+ * configured denominations (plus a custom amount if allowed), otherwise they enter the amount freely.
+ * @param {string} currencyCode - currency code of the purchase
+ * @return {Object} amount selection with mode, denominations and allowCustomAmount
+ */
+function getAmountSelection(currencyCode) {
+	var formatMoney = require('dw/util/StringUtils').formatMoney;
+	var limits = getAmountLimits(currencyCode);
+	var usePicker = isDenominationMode(limits);
+
+	return {
+		mode: usePicker ? 'denominations' : 'free',
+		denominations: limits.denominations.map(function (denomination) {
+			return {
+				value: denomination,
+				label: formatMoney(new Money(denomination, currencyCode))
+			};
+		}),
+		allowCustomAmount: !usePicker || isCustomAmountAllowed()
+	};
+}
+
+/**
+ * Validates a gift certificate amount against the purchase limits of the given currency.
+ * In DENOMINATIONS mode, amounts other than the configured denominations are only accepted if custom amounts
+ * are allowed, as the form offers no custom amount otherwise. Entered freely, any amount within the limits is accepted.
+ * @param {number} amount - amount to validate
+ * @param {string} currencyCode - currency code of the purchase
+ * @return {string|null} error message or null if the amount is allowed
+ */
+function validateAmount(amount, currencyCode) {
+	var Resource = require('dw/web/Resource');
+	var formatMoney = require('dw/util/StringUtils').formatMoney;
+	var limits = getAmountLimits(currencyCode);
+
+	if (limits.denominations.indexOf(amount) >= 0) {
+		return null;
+	}
+
+	if (isDenominationMode(limits) && !isCustomAmountAllowed()) {
+		return Resource.msgf('giftcert.amountdenominationerror', 'forms', null, limits.denominations.map(function (denomination) {
+			return formatMoney(new Money(denomination, currencyCode));
+		}).join(', '));
+	}
+
+	if (amount < limits.min || amount > limits.max) {
+		return Resource.msgf('giftcert.amountparseerror', 'forms', null,
+			formatMoney(new Money(limits.min, currencyCode)),
+			formatMoney(new Money(limits.max, currencyCode)));
+	}
+
+	return null;
+}
+
+/**
+ * Checks whether an email address is valid for a gift certificate recipient.
+ * @param {string} email - email address
+ * @return {boolean} true if the email address is valid
+ */
+function isValidEmail(email) {
+	return !!email && EMAIL_REGEX.test(email);
+}
+
+/**
+ * Gets the number of further recipients a shopper may add to one purchase form submission.
+ * @return {number} giftCertMaxAdditionalRecipients site preference, defaults to 9
+ */
+function getMaxAdditionalRecipients() {
+	var Site = require('dw/system/Site');
+	var preference = Site.current.getCustomPreferenceValue('giftCertMaxAdditionalRecipients');
+
+	return typeof preference === 'number' ? preference : DEFAULT_MAX_ADDITIONAL_RECIPIENTS;
+}
+
+/**
+ * Gets the further recipients of the same gift submitted with the purchase form. The recipient rows are
+ * added on the client, so they are read from the request parameters, e.g.
+ * dwfrm_giftcert_purchase_additionalRecipients_i0_recipient, up to getMaxAdditionalRecipients rows.
+ * Rows left empty are skipped.
+ * @param {Object} giftCertForm - gift certificate form object
+ * @param {Object} params - request parameters, e.g. req.form
+ * @return {Array<Object>} recipients with name, email, confirmed email and the html names of their fields
+ */
+function getAdditionalRecipients(giftCertForm, params) {
+	var recipients = [];
+	var maxRecipients = getMaxAdditionalRecipients();
+
+	for (var i = 0; i < maxRecipients; i++) {
+		var prefix = giftCertForm.purchase.htmlName + '_additionalRecipients_i' + i + '_';
+		var recipient = {
+			recipientName: (params[prefix + 'recipient'] || '').trim(),
+			recipientEmail: (params[prefix + 'recipientEmail'] || '').trim(),
+			confirmRecipientEmail: (params[prefix + 'confirmRecipientEmail'] || '').trim(),
+			htmlNames: {
+				recipient: prefix + 'recipient',
+				recipientEmail: prefix + 'recipientEmail',
+				confirmRecipientEmail: prefix + 'confirmRecipientEmail'
+			}
+		};
+
+		if (recipient.recipientName || recipient.recipientEmail || recipient.confirmRecipientEmail) {
+			recipients.push(recipient);
+		}
+	}
+
+	return recipients;
+}
+
+/**
+ * Validates the further recipients of the purchase form like the first recipient, see processAddToBasket.
+ * @param {Array<Object>} recipients - further recipients, see getAdditionalRecipients
+ * @param {Object} giftCertForm - gift certificate form object
+ * @return {Object} error messages keyed by the html names of the invalid fields, empty if all recipients are valid
+ */
+function validateAdditionalRecipients(recipients, giftCertForm) {
+	var Resource = require('dw/web/Resource');
+	var physical = giftCertForm.purchase.deliveryType.value === DELIVERY_TYPE_PHYSICAL;
+	var errors = {};
+
+	recipients.forEach(function (recipient) {
+		if (!recipient.recipientName) {
+			errors[recipient.htmlNames.recipient] = Resource.msg('giftcert.purchase.recipient.missing-error', 'forms', null);
+		}
+
+		if (physical) {
+			return;
+		}
+
+		if (!recipient.recipientEmail) {
+			errors[recipient.htmlNames.recipientEmail] = Resource.msg('giftcert.purchase.recipientemail.missing-error', 'forms', null);
+		} else if (!isValidEmail(recipient.recipientEmail)) {
+			errors[recipient.htmlNames.recipientEmail] = Resource.msg('giftcert.purchase.recipientemail.parse-error', 'forms', null);
+		}
+
+		if (!recipient.confirmRecipientEmail) {
+			errors[recipient.htmlNames.confirmRecipientEmail] = Resource.msg('giftcert.confirmrecipientemailmissingerror', 'forms', null);
+		} else if (recipient.recipientEmail.toLowerCase() !== recipient.confirmRecipientEmail.toLowerCase()) {
+			errors[recipient.htmlNames.confirmRecipientEmail] = Resource.msg('error.message.mismatch.email', 'forms', null);
+		}
+	});
+
+	return errors;
+}
+
 /**
  * Internal helper function that validates the gift certificate form.
  * Validates the giftcert.purchase form and handles any errors.
  * @param {Object} form - gift certificate form object
+ * @param {string} currencyCode - currency code of the purchase, defaults to the session currency
  * @return {Object} giftCertForm
  */
-var processAddToBasket = function (form) {
+var processAddToBasket = function (form, currencyCode) {
 	var Resource = require('dw/web/Resource');
+	var giftCertDesignHelpers = require('*/cartridge/scripts/helpers/giftCertDesignHelpers');
 	var giftCertForm = form;
+	// Physical cards are shipped to the shipping address of the order and need no recipient email
+	// and no delivery date.
+	var physical = giftCertForm.purchase.deliveryType.value === DELIVERY_TYPE_PHYSICAL;
+
 	// Validates confirmation of email address.
 	var recipientEmailForm = giftCertForm.purchase.recipientEmail;
 	var confirmRecipientEmailForm = giftCertForm.purchase.confirmRecipientEmail;
 
-	if ((recipientEmailForm.value.toLowerCase() !== confirmRecipientEmailForm.value.toLowerCase())) {
-		recipientEmailForm.valid = false;
-		confirmRecipientEmailForm.valid = false;
-		confirmRecipientEmailForm.error = Resource.msg('error.message.mismatch.email', 'forms', null);
-		giftCertForm.valid = false;
+	if (!physical) {
+		if (!recipientEmailForm.value) {
+			recipientEmailForm.valid = false;
+			recipientEmailForm.error = Resource.msg('giftcert.purchase.recipientemail.missing-error', 'forms', null);
+			giftCertForm.valid = false;
+		}
+
+		if (!confirmRecipientEmailForm.value) {
+			confirmRecipientEmailForm.valid = false;
+			confirmRecipientEmailForm.error = Resource.msg('giftcert.confirmrecipientemailmissingerror', 'forms', null);
+			giftCertForm.valid = false;
+		} else if (recipientEmailForm.value && recipientEmailForm.value.toLowerCase() !== confirmRecipientEmailForm.value.toLowerCase()) {
+			recipientEmailForm.valid = false;
+			confirmRecipientEmailForm.valid = false;
+			confirmRecipientEmailForm.error = Resource.msg('error.message.mismatch.email', 'forms', null);
+			giftCertForm.valid = false;
+		}
 	}
 
-	// Validates amount in range.
+	// Validates amount against the site and currency specific limits.
 	var amountForm = giftCertForm.purchase.amount;
-	if (amountForm.valid && ((amountForm.value < 5) || (amountForm.value > 5000))) {
+	// eslint-disable-next-line no-undef
+	var amountError = amountForm.valid ? validateAmount(amountForm.value, currencyCode || session.currency.currencyCode) : null;
+	if (amountError) {
 		amountForm.valid = false;
-		amountForm.error = Resource.msg('giftcert.amountparseerror', 'forms', null);
+		amountForm.error = amountError;
 		giftCertForm.valid = false;
 	}
 
+	// Validates the chosen design is still available.
+	var designIdForm = giftCertForm.purchase.designId;
+	if (!giftCertDesignHelpers.isSelectable(designIdForm.value)) {
+		designIdForm.valid = false;
+		designIdForm.error = Resource.msg('giftcert.purchase.design.value-error', 'forms', null);
+		giftCertForm.valid = false;
+	}
+
+	// Validates the delivery date is neither in the past nor too far in the future.
+	var deliveryDateForm = giftCertForm.purchase.deliveryDate;
+	// eslint-disable-next-line no-undef
+	if (!physical && deliveryDateForm.valid && !empty(deliveryDateForm.value)) {
+		var Calendar = require('dw/util/Calendar');
+		var Site = require('dw/system/Site');
+		var calendar = Site.getCalendar();
+		var today = formatSiteDate(calendar.getTime());
+		calendar.add(Calendar.DAY_OF_YEAR, MAX_DELIVERY_DAYS);
+		var lastDeliveryDate = formatSiteDate(calendar.getTime());
+
+		if (deliveryDateForm.value < today || deliveryDateForm.value > lastDeliveryDate) {
+			deliveryDateForm.valid = false;
+			deliveryDateForm.error = Resource.msgf('giftcert.purchase.deliverydate.value-error', 'forms', null, MAX_DELIVERY_DAYS);
+			giftCertForm.valid = false;
+		}
+	}
+
 	return giftCertForm;
 };
 
@@ -164,6 +561,8 @@ var processAddToBasket = function (form) {
  * @return {Object} giftCertForm
  */
 var processCheckBalance = function (form) {
+	var Resource = require('dw/web/Resource');
+	var giftCertPinHelpers = require('*/cartridge/scripts/helpers/giftCertPinHelpers');
 	var checkBalanceForm = form;
 
 	// Validates confirmation of email address.
@@ -174,45 +573,281 @@ var processCheckBalance = function (form) {
 		checkBalanceForm.valid = false;
 	}
 
+	// Validates the PIN, if gift certificates are protected by one.
+	var giftCertPinForm = checkBalanceForm.balance.giftCertPin;
+
+	// eslint-disable-next-line no-undef
+	if (giftCertPinHelpers.isPinEnabled() && empty(giftCertPinForm.value)) {
+		giftCertPinForm.valid = false;
+		giftCertPinForm.error = Resource.msg('giftcert.balance.giftCertPin.missing-error', 'forms', null);
+		checkBalanceForm.valid = false;
+	}
+
 	return checkBalanceForm;
 };
 
+/**
+ * Calculates the expiration date of a new gift certificate from the `giftCertValidityDays` site preference.
+ * The validity period starts with the delivery date, if the certificate is delivered later.
+ * @param {Date} [deliveryDate] - scheduled delivery date of the gift certificate
+ * @param {number} [validityDays] - validity of the gift certificate in days, e.g. of a bonus gift certificate;
+ * defaults to the site preference
+ * @return {Date|null} expiration date or null if gift certificates do not expire
+ */
+function getExpirationDate(deliveryDate, validityDays) {
+	var Calendar = require('dw/util/Calendar');
+	var Site = require('dw/system/Site');
+	var days = validityDays || Site.current.getCustomPreferenceValue('giftCertValidityDays');
+
+	if (!days) {
+		return null;
+	}
+
+	var calendar = Site.getCalendar();
+	if (deliveryDate && deliveryDate.getTime() > calendar.getTime().getTime()) {
+		calendar.setTime(deliveryDate);
+	}
+	calendar.add(Calendar.DAY_OF_YEAR, days);
+	return calendar.getTime();
+}
+
+/**
+ * Hands a new physical card to the fulfillment through the app.giftcert.fulfillment hook. The PIN is not
+ * stored anywhere, so it is only passed to the hook that prints it on the card.
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate of the physical card
+ * @param {string|null} pin - PIN to print on the card, null if PINs are disabled
+ * @param {dw.order.Order} order - order the card is shipped with
+ */
+function fulfillPhysicalCard(giftCertificate, pin, order) {
+	var HookMgr = require('dw/system/HookMgr');
+	var Logger = require('dw/system/Logger');
+
+	if (HookMgr.hasHook(FULFILLMENT_HOOK)) {
+		HookMgr.callHook(FULFILLMENT_HOOK, 'printCard', giftCertificate, pin, order);
+	} else if (pin) {
+		Logger.error('No {0} hook registered, the PIN of the physical gift certificate {1} of order {2} cannot be printed',
+			FULFILLMENT_HOOK, giftCertificate.getMaskedGiftCertificateCode(), order.getOrderNo());
+	}
+}
+
 /**
  * Create a gift certificate for a gift certificate line item in the order
  * @param {dw.order.GiftCertificateLineItem} giftCertificateLineItem - gift certificate line item in basket
- * @param {string} orderNo the order number of the order to associate gift certificate to
+ * @param {dw.order.Order} order - the order to associate the gift certificate to, its customer is recorded as purchaser
+ * @param {boolean} [hold] - creates the gift certificate disabled and holds its email, e.g. for orders flagged by fraud detection
  * @return {dw.order.GiftCertificate} - gift certificate
  */
-function createGiftCertificateFromLineItem(giftCertificateLineItem, orderNo) {
+function createGiftCertificateFromLineItem(giftCertificateLineItem, order, hold) {
 	var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+	var giftCertPinHelpers = require('*/cartridge/scripts/helpers/giftCertPinHelpers');
 	var giftCertificate = GiftCertificateMgr.createGiftCertificate(giftCertificateLineItem.netPrice.value);
 	giftCertificate.setRecipientEmail(giftCertificateLineItem.recipientEmail);
 	giftCertificate.setRecipientName(giftCertificateLineItem.recipientName);
 	giftCertificate.setSenderName(giftCertificateLineItem.senderName);
 	giftCertificate.setMessage(giftCertificateLineItem.message);
-	giftCertificate.setOrderNo(orderNo);
+	giftCertificate.setOrderNo(order.getOrderNo());
+	giftCertificate.custom.purchaserCustomerNo = order.getCustomerNo();
+	giftCertificate.custom.deliveryType = getDeliveryType(giftCertificateLineItem);
+	giftCertificate.custom.designId = giftCertificateLineItem.custom.designId;
+	giftCertificate.custom.deliveryDate = giftCertificateLineItem.custom.deliveryDate;
+	giftCertificate.custom.deliveryStatus = hold ? DELIVERY_STATUS_HELD : DELIVERY_STATUS_PENDING;
+	giftCertificate.custom.expirationDate = getExpirationDate(giftCertificateLineItem.custom.deliveryDate);
+
+	// physical cards are never emailed, their PIN is passed straight to the fulfillment
+	var pin = giftCertPinHelpers.assignInitialPin(giftCertificate);
+	if (isPhysical(giftCertificateLineItem)) {
+		fulfillPhysicalCard(giftCertificate, pin, order);
+	}
+
+	if (hold) {
+		giftCertificate.setEnabled(false);
+	}
 
 	return giftCertificate;
 }
 
 /**
- * Send an email to recipient of gift certificate
+ * Gets the delivery status of a gift certificate.
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @return {string|null} delivery status, e.g. PENDING, or null for gift certificates without status
+ */
+function getDeliveryStatus(giftCertificate) {
+	var deliveryStatus = giftCertificate.custom.deliveryStatus;
+	return deliveryStatus ? deliveryStatus.value : null;
+}
+
+/**
+ * Checks whether a gift certificate has passed its expiration date.
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @return {boolean} true if the gift certificate is expired
+ */
+function isExpired(giftCertificate) {
+	var expirationDate = giftCertificate.custom.expirationDate;
+	return !!expirationDate && expirationDate.getTime() < Date.now();
+}
+
+/**
+ * Checks whether the email of a gift certificate is due, i.e. it is not held, it is no physical card
+ * and it has no delivery date or the delivery date has been reached.
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @return {boolean} true if the email should be sent now
+ */
+function isDeliveryDue(giftCertificate) {
+	var deliveryDate = giftCertificate.custom.deliveryDate;
+	var deliveryStatus = getDeliveryStatus(giftCertificate);
+
+	if (deliveryStatus === DELIVERY_STATUS_HELD || deliveryStatus === DELIVERY_STATUS_VOIDED || isPhysical(giftCertificate)) {
+		return false;
+	}
+
+	return !deliveryDate || deliveryDate.getTime() <= Date.now();
+}
+
+/**
+ * Builds the context of the gift certificate email for a draft of the purchase form, so shoppers and
+ * merchandisers see what the recipient will get before the gift certificate exists. The code and the
+ * PIN are placeholders, as they are only generated when the order is placed.
+ * @param {Object} purchaseForm - purchase group of the gift certificate form object, need not be valid
+ * @param {string} currencyCode - currency code of the purchase
+ * @return {Object} context for the mail/giftcert template
+ */
+function getPreviewContext(purchaseForm, currencyCode) {
+	var Resource = require('dw/web/Resource');
+	var giftCertDesignHelpers = require('*/cartridge/scripts/helpers/giftCertDesignHelpers');
+	var giftCertPinHelpers = require('*/cartridge/scripts/helpers/giftCertPinHelpers');
+	var designId = giftCertDesignHelpers.isSelectable(purchaseForm.designId.value) ? purchaseForm.designId.value : null;
+	var physical = purchaseForm.deliveryType.value === DELIVERY_TYPE_PHYSICAL;
+	var deliveryDate = !physical && purchaseForm.deliveryDate.valid ? parseDeliveryDate(purchaseForm.deliveryDate.value) : null;
+
+	return {
+		GiftCertificate: {
+			recipientName: purchaseForm.recipient.value,
+			senderName: purchaseForm.from.value,
+			message: purchaseForm.message.value,
+			amount: new Money((purchaseForm.amount.valid && purchaseForm.amount.value) || 0, currencyCode),
+			giftCertificateCode: Resource.msg('giftcert.preview.code', 'giftcert', null)
+		},
+		ExpirationDate: formatSiteDate(getExpirationDate(deliveryDate), 'MM/dd/yyyy'),
+		Pin: giftCertPinHelpers.isPinEnabled() ? Resource.msg('giftcert.preview.pin', 'giftcert', null) : null,
+		Design: giftCertDesignHelpers.getDesign(designId)
+	};
+}
+
+/**
+ * Send an email to recipient of gift certificate. The mail is sent directly rather than through the email
+ * helpers, as their sendEmail does not return the status needed to track the delivery.
  * @param {dw.order.GiftCertificate} GiftCertificate - gift certificate object
+ * @param {string} [pin] - PIN required to redeem the gift certificate
+ * @return {dw.system.Status} status of the mail
  */
-function sendGiftCertificateEmail(GiftCertificate) {
+function sendGiftCertificateEmail(GiftCertificate, pin) {
+	var Mail = require('dw/net/Mail');
 	var Resource = require('dw/web/Resource');
 	var Site = require('dw/system/Site');
 
-	var emailHelpers = require('*/cartridge/scripts/helpers/emailHelpers');
+	var renderTemplateHelper = require('*/cartridge/scripts/renderTemplateHelper');
+	var giftCertDesignHelpers = require('*/cartridge/scripts/helpers/giftCertDesignHelpers');
 
-	var emailObj = {
-		to: GiftCertificate.getRecipientEmail(),
-		subject: Resource.msg('resource.ordergcemsg', 'email', null) + ' ' + GiftCertificate.getSenderName(),
-		from: Site.current.getCustomPreferenceValue('customerServiceEmail') || 'no-reply@salesforce.com',
-		type: emailHelpers.emailTypes.orderConfirmation
+	var context = {
+		GiftCertificate: GiftCertificate,
+		ExpirationDate: formatSiteDate(GiftCertificate.custom.expirationDate, 'MM/dd/yyyy'),
+		Pin: pin || null,
+		Design: giftCertDesignHelpers.getDesign(GiftCertificate.custom.designId)
 	};
 
-	emailHelpers.sendEmail(emailObj, 'mail/giftcert', GiftCertificate);
+	var mail = new Mail();
+	mail.addTo(GiftCertificate.getRecipientEmail());
+	mail.setSubject(Resource.msg('resource.ordergcemsg', 'email', null) + ' ' + GiftCertificate.getSenderName());
+	mail.setFrom(Site.current.getCustomPreferenceValue('customerServiceEmail') || 'no-reply@salesforce.com');
+	mail.setContent(renderTemplateHelper.getRenderedHtml(context, 'mail/giftcert'), 'text/html', 'UTF-8');
+
+	return mail.send();
+}
+
+/**
+ * Sends the gift certificate email and records the delivery attempt on the gift certificate.
+ * A failed delivery is marked as FAILED and retried by the job step custom.GiftCertificate.RetryFailed.
+ * If PINs are enabled, every email comes with a new PIN.
+ *
+ * @transactional
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @return {boolean} true if the email was sent
+ */
+function deliverGiftCertificate(giftCertificate) {
+	var Logger = require('dw/system/Logger');
+	var giftCertPinHelpers = require('*/cartridge/scripts/helpers/giftCertPinHelpers');
+	var gc = giftCertificate;
+	var errorMessage = null;
+	var pin = giftCertPinHelpers.isPinEnabled() ? giftCertPinHelpers.assignPin(gc) : null;
+
+	try {
+		var status = sendGiftCertificateEmail(gc, pin);
+		if (status.isError()) {
+			errorMessage = status.getMessage() || status.getCode();
+		}
+	} catch (e) {
+		errorMessage = e.message;
+	}
+
+	gc.custom.deliveryAttempts = (gc.custom.deliveryAttempts || 0) + 1;
+	gc.custom.lastDeliveryAttempt = new Date();
+
+	if (errorMessage) {
+		Logger.error('Could not send gift certificate {0}: {1}', gc.getMaskedGiftCertificateCode(), errorMessage);
+		gc.custom.deliveryStatus = DELIVERY_STATUS_FAILED;
+		gc.custom.deliveryError = errorMessage;
+		return false;
+	}
+
+	gc.custom.deliveryStatus = DELIVERY_STATUS_SENT;
+	gc.custom.deliveryError = null;
+	return true;
+}
+
+/**
+ * Resends the email of a gift certificate, optionally to a corrected recipient email address.
+ * @param {string} giftCertificateCode - code of the gift certificate
+ * @param {string} [recipientEmail] - corrected recipient email address
+ * @return {Object} result object with error flag and message
+ */
+function resendGiftCertificateEmail(giftCertificateCode, recipientEmail) {
+	var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+	var Resource = require('dw/web/Resource');
+	var giftCertificate = GiftCertificateMgr.getGiftCertificateByCode(giftCertificateCode);
+
+	if (!giftCertificate) {
+		return { error: true, message: Resource.msg('billing.giftcertinvalid', 'giftcert', null) };
+	}
+
+	var deliveryStatus = getDeliveryStatus(giftCertificate);
+	if (deliveryStatus === DELIVERY_STATUS_HELD || deliveryStatus === DELIVERY_STATUS_VOIDED) {
+		return { error: true, message: Resource.msg('giftcert.resend.held', 'giftcert', null) };
+	}
+
+	// physical cards are shipped, they only have an email address if customer service entered one
+	if (!recipientEmail && !giftCertificate.getRecipientEmail()) {
+		return { error: true, message: Resource.msg('giftcert.resend.noemail', 'giftcert', null) };
+	}
+
+	if (recipientEmail && !EMAIL_REGEX.test(recipientEmail)) {
+		return { error: true, message: Resource.msg('giftcert.purchase.recipientemail.parse-error', 'forms', null) };
+	}
+
+	var delivered = Transaction.wrap(function () {
+		if (recipientEmail) {
+			giftCertificate.setRecipientEmail(recipientEmail);
+		}
+		return deliverGiftCertificate(giftCertificate);
+	});
+
+	if (!delivered) {
+		return { error: true, message: Resource.msg('giftcert.resend.error', 'giftcert', null) };
+	}
+
+	return {
+		error: false,
+		message: Resource.msgf('giftcert.resend.success', 'giftcert', null, giftCertificate.getMaskedGiftCertificateCode(), giftCertificate.getRecipientEmail())
+	};
 }
 
 module.exports = {
@@ -222,7 +857,33 @@ module.exports = {
 	createGiftCert: createGiftCert,
 	updateGiftCert: updateGiftCert,
 	processAddToBasket: processAddToBasket,
+	getMaxAdditionalRecipients: getMaxAdditionalRecipients,
+	getAdditionalRecipients: getAdditionalRecipients,
+	validateAdditionalRecipients: validateAdditionalRecipients,
+	addGiftCertificateLineItem: addGiftCertificateLineItem,
+	isValidEmail: isValidEmail,
+	getAmountLimits: getAmountLimits,
+	getAmountSelection: getAmountSelection,
+	validateAmount: validateAmount,
 	createGiftCertificateFromLineItem: createGiftCertificateFromLineItem,
 	sendGiftCertificateEmail: sendGiftCertificateEmail,
+	getPreviewContext: getPreviewContext,
+	deliverGiftCertificate: deliverGiftCertificate,
+	resendGiftCertificateEmail: resendGiftCertificateEmail,
+	isDeliveryDue: isDeliveryDue,
+	getDeliveryStatus: getDeliveryStatus,
+	getDeliveryType: getDeliveryType,
+	isPhysical: isPhysical,
+	getExpirationDate: getExpirationDate,
+	isExpired: isExpired,
+	formatSiteDate: formatSiteDate,
+	parseDeliveryDate: parseDeliveryDate,
+	DELIVERY_STATUS_PENDING: DELIVERY_STATUS_PENDING,
+	DELIVERY_STATUS_SENT: DELIVERY_STATUS_SENT,
+	DELIVERY_STATUS_FAILED: DELIVERY_STATUS_FAILED,
+	DELIVERY_STATUS_HELD: DELIVERY_STATUS_HELD,
+	DELIVERY_STATUS_VOIDED: DELIVERY_STATUS_VOIDED,
+	DELIVERY_TYPE_EMAIL: DELIVERY_TYPE_EMAIL,
+	DELIVERY_TYPE_PHYSICAL: DELIVERY_TYPE_PHYSICAL,
 	processCheckBalance: processCheckBalance
 };
@@ -0,0 +1,150 @@
+'use strict';
+
+var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+
+var HISTORY_TYPE = 'GiftCertificateTransaction';
+var TRANSACTION_TYPE_REDEMPTION = 'REDEMPTION';
+var TRANSACTION_TYPE_RESTORE = 'RESTORE';
+
+/**
+ * Records a transaction against a gift certificate, e.g. a redemption.
+ *
+ * @transactional
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object, balance already updated
+ * @param {string} type - transaction type
+ * @param {string} orderNo - order number of the transaction
+ * @param {dw.value.Money} amount - transaction amount
+ * @param {Object} [details] - additional details of the transaction
+ * @param {string} [details.reason] - reason of the transaction, e.g. why a balance was restored
+ * @param {string} [details.replacement] - masked code of the gift certificate issued as replacement
+ * @return {dw.object.CustomObject} transaction custom object
+ */
+function recordTransaction(giftCertificate, type, orderNo, amount, details) {
+	var UUIDUtils = require('dw/util/UUIDUtils');
+	var transaction = CustomObjectMgr.createCustomObject(HISTORY_TYPE, UUIDUtils.createUUID());
+
+	transaction.custom.giftCertificateCode = giftCertificate.getGiftCertificateCode();
+	transaction.custom.type = type;
+	transaction.custom.orderNo = orderNo;
+	transaction.custom.amount = amount.value;
+	transaction.custom.currencyCode = amount.currencyCode;
+	transaction.custom.balanceAfter = giftCertificate.getBalance().value;
+
+	if (details) {
+		transaction.custom.reason = details.reason || null;
+		transaction.custom.replacement = details.replacement || null;
+	}
+
+	return transaction;
+}
+
+/**
+ * Records the redemption of a gift certificate payment instrument.
+ *
+ * @transactional
+ * @param {dw.order.OrderPaymentInstrument} paymentInstrument - redeemed gift certificate payment instrument
+ * @param {string} orderNo - order number
+ * @return {dw.object.CustomObject|null} transaction custom object or null if the gift certificate does not exist
+ */
+function recordRedemption(paymentInstrument, orderNo) {
+	var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+	var giftCertificate = GiftCertificateMgr.getGiftCertificateByCode(paymentInstrument.getGiftCertificateCode());
+
+	if (!giftCertificate) {
+		return null;
+	}
+
+	return recordTransaction(giftCertificate, TRANSACTION_TYPE_REDEMPTION, orderNo, paymentInstrument.paymentTransaction.amount);
+}
+
+/**
+ * Gets the amount of a gift certificate redeemed for an order that has not been restored yet.
+ * @param {string} orderNo - order number
+ * @param {string} giftCertificateCode - gift certificate code
+ * @return {number} restorable amount
+ */
+function getRestorableAmount(orderNo, giftCertificateCode) {
+	var transactions = CustomObjectMgr.queryCustomObjects(
+		HISTORY_TYPE,
+		'custom.orderNo = {0} AND custom.giftCertificateCode = {1}',
+		null,
+		orderNo,
+		giftCertificateCode
+	);
+	var amount = 0;
+
+	try {
+		while (transactions.hasNext()) {
+			var transaction = transactions.next();
+
+			if (transaction.custom.type.value === TRANSACTION_TYPE_REDEMPTION) {
+				amount += transaction.custom.amount;
+			} else if (transaction.custom.type.value === TRANSACTION_TYPE_RESTORE) {
+				amount -= transaction.custom.amount;
+			}
+		}
+	} finally {
+		transactions.close();
+	}
+
+	// rounds away floating point errors of the sum
+	return Math.max(Math.round(amount * 100) / 100, 0);
+}
+
+/**
+ * Gets the transaction history of a gift certificate, newest first.
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @return {Array<Object>} transactions with order number, date, amount and balance after the transaction
+ */
+function getHistory(giftCertificate) {
+	var Money = require('dw/value/Money');
+	var Resource = require('dw/web/Resource');
+	var formatMoney = require('dw/util/StringUtils').formatMoney;
+	var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+
+	var transactions = CustomObjectMgr.queryCustomObjects(
+		HISTORY_TYPE,
+		'custom.giftCertificateCode = {0}',
+		'creationDate desc',
+		giftCertificate.getGiftCertificateCode()
+	);
+	var history = [];
+
+	try {
+		while (transactions.hasNext()) {
+			var transaction = transactions.next();
+
+			history.push({
+				type: Resource.msg('giftcert.history.type.' + transaction.custom.type.value.toLowerCase(), 'giftcert', transaction.custom.type.value),
+				orderNumber: transaction.custom.orderNo,
+				date: giftCertHelper.formatSiteDate(transaction.creationDate, 'MM/dd/yyyy'),
+				amount: formatMoney(new Money(transaction.custom.amount, transaction.custom.currencyCode)),
+				balanceAfter: formatMoney(new Money(transaction.custom.balanceAfter, transaction.custom.currencyCode))
+			});
+		}
+	} finally {
+		transactions.close();
+	}
+
+	return history;
+}
+
+/**
+ * Renders the transaction history of a gift certificate.
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @return {string} rendered HTML
+ */
+function getRenderedHistory(giftCertificate) {
+	var renderTemplateHelper = require('*/cartridge/scripts/renderTemplateHelper');
+	return renderTemplateHelper.getRenderedHtml({ history: getHistory(giftCertificate) }, 'checkout/giftcert/giftCertHistory');
+}
+
+module.exports = {
+	recordTransaction: recordTransaction,
+	recordRedemption: recordRedemption,
+	getRestorableAmount: getRestorableAmount,
+	getHistory: getHistory,
+	getRenderedHistory: getRenderedHistory,
+	TRANSACTION_TYPE_REDEMPTION: TRANSACTION_TYPE_REDEMPTION,
+	TRANSACTION_TYPE_RESTORE: TRANSACTION_TYPE_RESTORE
+};
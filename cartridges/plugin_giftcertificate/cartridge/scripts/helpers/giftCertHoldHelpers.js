@@ -0,0 +1,91 @@
+'use strict';
+
+var SystemObjectMgr = require('dw/object/SystemObjectMgr');
+var Transaction = require('dw/system/Transaction');
+
+var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+
+/**
+ * Gets the held gift certificates of an order.
+ * @param {string} orderNo - order number
+ * @return {Array<dw.order.GiftCertificate>} held gift certificates
+ */
+function getHeldGiftCertificates(orderNo) {
+	var iterator = SystemObjectMgr.querySystemObjects(
+		'GiftCertificate',
+		'orderNo = {0} AND custom.deliveryStatus = {1}',
+		'creationDate asc',
+		orderNo,
+		giftCertHelper.DELIVERY_STATUS_HELD
+	);
+	var giftCertificates = [];
+
+	try {
+		while (iterator.hasNext()) {
+			giftCertificates.push(iterator.next());
+		}
+	} finally {
+		iterator.close();
+	}
+
+	return giftCertificates;
+}
+
+/**
+ * Releases a held gift certificate: enables it and sends its email, unless the delivery is scheduled for a later date.
+ * The validity period starts again with the release.
+ * @param {dw.order.GiftCertificate} giftCertificate - held gift certificate
+ */
+function release(giftCertificate) {
+	var gc = giftCertificate;
+
+	Transaction.wrap(function () {
+		gc.setEnabled(true);
+		gc.custom.deliveryStatus = giftCertHelper.DELIVERY_STATUS_PENDING;
+		gc.custom.expirationDate = giftCertHelper.getExpirationDate(gc.custom.deliveryDate, gc.custom.validityDays);
+
+		if (giftCertHelper.isDeliveryDue(gc)) {
+			giftCertHelper.deliverGiftCertificate(gc);
+		}
+	});
+}
+
+/**
+ * Voids a held gift certificate, it stays disabled and its email is never sent.
+ * @param {dw.order.GiftCertificate} giftCertificate - held gift certificate
+ */
+function voidGiftCertificate(giftCertificate) {
+	var gc = giftCertificate;
+
+	Transaction.wrap(function () {
+		gc.setEnabled(false);
+		gc.custom.deliveryStatus = giftCertHelper.DELIVERY_STATUS_VOIDED;
+	});
+}
+
+/**
+ * Releases the held gift certificates of a confirmed order.
+ * @param {dw.order.Order} order - confirmed order
+ * @return {number} number of released gift certificates
+ */
+function releaseOrder(order) {
+	var giftCertificates = getHeldGiftCertificates(order.getOrderNo());
+	giftCertificates.forEach(release);
+	return giftCertificates.length;
+}
+
+/**
+ * Voids the held gift certificates of a cancelled or failed order.
+ * @param {dw.order.Order} order - cancelled or failed order
+ * @return {number} number of voided gift certificates
+ */
+function voidOrder(order) {
+	var giftCertificates = getHeldGiftCertificates(order.getOrderNo());
+	giftCertificates.forEach(voidGiftCertificate);
+	return giftCertificates.length;
+}
+
+module.exports = {
+	releaseOrder: releaseOrder,
+	voidOrder: voidOrder
+};
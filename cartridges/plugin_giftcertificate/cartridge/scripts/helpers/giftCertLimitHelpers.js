@@ -0,0 +1,148 @@
+'use strict';
+
+var Resource = require('dw/web/Resource');
+var StringUtils = require('dw/util/StringUtils');
+var Money = require('dw/value/Money');
+
+/**
+ * Gets the maximum number of gift certificates redeemed for one order, see site preference giftCertMaxPerOrder.
+ * @return {number} maximum number of gift certificates, 0 if unlimited
+ */
+function getMaxCount() {
+	var Site = require('dw/system/Site');
+	return Site.current.getCustomPreferenceValue('giftCertMaxPerOrder') || 0;
+}
+
+/**
+ * Gets the share of the order total gift certificates may cover, see site preference giftCertMaxOrderShare.
+ * @return {number} share in percent, 0 if unlimited
+ */
+function getMaxShare() {
+	var Site = require('dw/system/Site');
+	var maxShare = Site.current.getCustomPreferenceValue('giftCertMaxOrderShare') || 0;
+	return maxShare >= 100 ? 0 : maxShare;
+}
+
+/**
+ * Gets the amount gift certificates may cover in total, rounded down to cents.
+ * @param {dw.order.LineItemCtnr} lineItemCtnr - basket or order
+ * @return {number|null} maximum amount, null if unlimited
+ */
+function getMaxAmount(lineItemCtnr) {
+	var maxShare = getMaxShare();
+
+	if (!maxShare) {
+		return null;
+	}
+
+	return Math.floor(lineItemCtnr.getTotalGrossPrice().value * maxShare) / 100;
+}
+
+/**
+ * Gets the codes of the gift certificates redeemed for a basket or order, each counted once.
+ * @param {dw.order.LineItemCtnr} lineItemCtnr - basket or order
+ * @return {string[]} gift certificate codes
+ */
+function getRedeemedCodes(lineItemCtnr) {
+	var codes = [];
+
+	lineItemCtnr.getGiftCertificatePaymentInstruments().toArray().forEach(function (paymentInstrument) {
+		var code = paymentInstrument.getGiftCertificateCode();
+
+		if (codes.indexOf(code) < 0) {
+			codes.push(code);
+		}
+	});
+
+	return codes;
+}
+
+/**
+ * Gets the total amount redeemed from gift certificates for a basket or order.
+ * @param {dw.order.LineItemCtnr} lineItemCtnr - basket or order
+ * @return {number} redeemed amount
+ */
+function getRedeemedAmount(lineItemCtnr) {
+	var amount = 0;
+
+	lineItemCtnr.getGiftCertificatePaymentInstruments().toArray().forEach(function (paymentInstrument) {
+		amount += paymentInstrument.getPaymentTransaction().getAmount().value;
+	});
+
+	// rounds away floating point errors of the sum
+	return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Gets the error shown when the number of gift certificates per order is reached.
+ * @return {string} error message
+ */
+function getCountLimitMessage() {
+	return Resource.msgf('billinggiftcert.limit.count', 'giftcert', null, getMaxCount());
+}
+
+/**
+ * Gets the error shown when gift certificates cover more than their share of the order total.
+ * @param {dw.order.LineItemCtnr} lineItemCtnr - basket or order
+ * @return {string} error message
+ */
+function getShareLimitMessage(lineItemCtnr) {
+	var maxAmount = new Money(getMaxAmount(lineItemCtnr), lineItemCtnr.getCurrencyCode());
+	return Resource.msgf('billinggiftcert.limit.share', 'giftcert', null, getMaxShare(), StringUtils.formatMoney(maxAmount));
+}
+
+/**
+ * Checks whether one more gift certificate may be redeemed for a basket. Gift certificates already applied can
+ * always be applied again, e.g. to change the amount.
+ * @param {dw.order.Basket} basket - the current basket
+ * @param {string} giftCertCode - code of the gift certificate to apply
+ * @return {Object} result with error flag and message
+ */
+function checkApply(basket, giftCertCode) {
+	var maxCount = getMaxCount();
+	var codes = getRedeemedCodes(basket);
+	var maxAmount = getMaxAmount(basket);
+
+	if (codes.indexOf(giftCertCode) >= 0) {
+		return { error: false, message: null };
+	}
+
+	if (maxCount && codes.length >= maxCount) {
+		return { error: true, message: getCountLimitMessage() };
+	}
+
+	if (maxAmount !== null && getRedeemedAmount(basket) >= maxAmount) {
+		return { error: true, message: getShareLimitMessage(basket) };
+	}
+
+	return { error: false, message: null };
+}
+
+/**
+ * Validates the gift certificates redeemed for a basket or order against the per-order limits.
+ * @param {dw.order.LineItemCtnr} lineItemCtnr - basket or order
+ * @return {Object} result with error flag and message
+ */
+function validateLimits(lineItemCtnr) {
+	var maxCount = getMaxCount();
+	var maxAmount = getMaxAmount(lineItemCtnr);
+
+	if (maxCount && getRedeemedCodes(lineItemCtnr).length > maxCount) {
+		return { error: true, message: getCountLimitMessage() };
+	}
+
+	if (maxAmount !== null && getRedeemedAmount(lineItemCtnr) > maxAmount) {
+		return { error: true, message: getShareLimitMessage(lineItemCtnr) };
+	}
+
+	return { error: false, message: null };
+}
+
+module.exports = {
+	getMaxCount: getMaxCount,
+	getMaxShare: getMaxShare,
+	getMaxAmount: getMaxAmount,
+	getRedeemedAmount: getRedeemedAmount,
+	checkApply: checkApply,
+	validateLimits: validateLimits
+};
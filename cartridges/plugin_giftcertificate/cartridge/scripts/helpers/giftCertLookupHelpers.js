@@ -0,0 +1,155 @@
+'use strict';
+
+var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+var HookMgr = require('dw/system/HookMgr');
+var Transaction = require('dw/system/Transaction');
+
+var LOOKUP_ATTEMPT_TYPE = 'GiftCertificateLookupAttempt';
+var CHALLENGE_HOOK = 'app.giftcert.lookup.challenge';
+var DEFAULT_MAX_ATTEMPTS = 5;
+var DEFAULT_WINDOW_MINUTES = 15;
+var DEFAULT_LOCKOUT_MINUTES = 30;
+var DEFAULT_CHALLENGE_ATTEMPTS = 3;
+
+/**
+ * Reads the rate limiting settings from the site preferences.
+ * @return {Object} settings object
+ */
+function getSettings() {
+	var Site = require('dw/system/Site');
+	var site = Site.current;
+
+	return {
+		maxAttempts: site.getCustomPreferenceValue('giftCertLookupMaxAttempts') || DEFAULT_MAX_ATTEMPTS,
+		windowMinutes: site.getCustomPreferenceValue('giftCertLookupWindowMinutes') || DEFAULT_WINDOW_MINUTES,
+		lockoutMinutes: site.getCustomPreferenceValue('giftCertLookupLockoutMinutes') || DEFAULT_LOCKOUT_MINUTES,
+		challengeAttempts: site.getCustomPreferenceValue('giftCertLookupChallengeAttempts') || DEFAULT_CHALLENGE_ATTEMPTS
+	};
+}
+
+/**
+ * Hashes a value so that session IDs and IP addresses are not stored in clear text.
+ * @param {string} value - value to hash
+ * @return {string} hex encoded SHA-256 hash
+ */
+function hash(value) {
+	var Bytes = require('dw/util/Bytes');
+	var Encoding = require('dw/crypto/Encoding');
+	var MessageDigest = require('dw/crypto/MessageDigest');
+
+	var digest = new MessageDigest(MessageDigest.DIGEST_SHA_256);
+	return Encoding.toHex(digest.digestBytes(new Bytes(value, 'UTF-8')));
+}
+
+/**
+ * Gets the keys of the lookup attempt custom objects for the current session and client IP.
+ * @param {Object} req - The request object
+ * @return {Array<string>} custom object keys
+ */
+function getKeys(req) {
+	var keys = ['session:' + hash(req.session.raw.sessionID)];
+
+	if (req.remoteAddress) {
+		keys.push('ip:' + hash(req.remoteAddress));
+	}
+
+	return keys;
+}
+
+/**
+ * Checks whether the window of a lookup attempt custom object is still open.
+ * @param {dw.object.CustomObject} attempt - lookup attempt custom object
+ * @param {Object} settings - rate limiting settings
+ * @return {boolean} true if the failed attempts still count
+ */
+function isWindowOpen(attempt, settings) {
+	var windowStart = attempt.custom.windowStart;
+	return !!windowStart && windowStart.getTime() + (settings.windowMinutes * 60000) > Date.now();
+}
+
+/**
+ * Checks whether the current session and client may look up a gift certificate code.
+ * Locked out clients are rejected; clients with repeated failed lookups or previous lockouts have to pass the challenge
+ * of the app.giftcert.lookup.challenge hook (e.g. a CAPTCHA), if such a hook is registered.
+ * @param {Object} req - The request object
+ * @return {Object} result object with allowed and challengeRequired flags and an error message
+ */
+function checkLookup(req) {
+	var Resource = require('dw/web/Resource');
+	var settings = getSettings();
+	var failedAttempts = 0;
+	var lockouts = 0;
+	var keys = getKeys(req);
+
+	for (var i = 0; i < keys.length; i++) {
+		var attempt = CustomObjectMgr.getCustomObject(LOOKUP_ATTEMPT_TYPE, keys[i]);
+
+		if (attempt) {
+			var lockedUntil = attempt.custom.lockedUntil;
+			if (lockedUntil && lockedUntil.getTime() > Date.now()) {
+				return {
+					allowed: false,
+					challengeRequired: false,
+					message: Resource.msg('giftcert.lookup.locked', 'giftcert', null)
+				};
+			}
+
+			if (isWindowOpen(attempt, settings)) {
+				failedAttempts = Math.max(failedAttempts, attempt.custom.failedAttempts || 0);
+			}
+			lockouts = Math.max(lockouts, attempt.custom.lockouts || 0);
+		}
+	}
+
+	// Repeat offenders that have been locked out before always have to pass the challenge.
+	if ((failedAttempts >= settings.challengeAttempts || lockouts > 0) && HookMgr.hasHook(CHALLENGE_HOOK)) {
+		// eslint-disable-next-line no-undef
+		var challenge = HookMgr.callHook(CHALLENGE_HOOK, 'verify', request.httpParameterMap);
+
+		if (!challenge || !challenge.success) {
+			return {
+				allowed: false,
+				challengeRequired: true,
+				message: Resource.msg('giftcert.lookup.challenge', 'giftcert', null)
+			};
+		}
+	}
+
+	return { allowed: true, challengeRequired: false, message: null };
+}
+
+/**
+ * Counts a failed gift certificate lookup for the current session and client IP and locks them out
+ * once the maximum number of failed attempts within the window is reached.
+ * @param {Object} req - The request object
+ */
+function recordFailedLookup(req) {
+	var settings = getSettings();
+	var keys = getKeys(req);
+
+	Transaction.wrap(function () {
+		keys.forEach(function (key) {
+			var attempt = CustomObjectMgr.getCustomObject(LOOKUP_ATTEMPT_TYPE, key)
+				|| CustomObjectMgr.createCustomObject(LOOKUP_ATTEMPT_TYPE, key);
+
+			if (!isWindowOpen(attempt, settings)) {
+				attempt.custom.windowStart = new Date();
+				attempt.custom.failedAttempts = 0;
+			}
+
+			attempt.custom.failedAttempts = (attempt.custom.failedAttempts || 0) + 1;
+
+			if (attempt.custom.failedAttempts >= settings.maxAttempts) {
+				attempt.custom.lockedUntil = new Date(Date.now() + (settings.lockoutMinutes * 60000));
+				attempt.custom.lockouts = (attempt.custom.lockouts || 0) + 1;
+				attempt.custom.failedAttempts = 0;
+				attempt.custom.windowStart = null;
+			}
+		});
+	});
+}
+
+module.exports = {
+	checkLookup: checkLookup,
+	recordFailedLookup: recordFailedLookup
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+var Resource = require('dw/web/Resource');
+
+var giftCertBonusHelpers = require('*/cartridge/scripts/helpers/giftCertBonusHelpers');
+var giftCertExclusionHelpers = require('*/cartridge/scripts/helpers/giftCertExclusionHelpers');
+
+/**
+ * Checks whether the site forbids paying for gift certificates with gift certificates,
+ * see site preference giftCertBlockGiftCertPurchase.
+ * @return {boolean} true if gift certificates may only pay for the rest of a basket
+ */
+function isGiftCertPurchaseBlocked() {
+	var Site = require('dw/system/Site');
+	return !!Site.current.getCustomPreferenceValue('giftCertBlockGiftCertPurchase');
+}
+
+/**
+ * Checks whether a gift certificate is limited to the part of a basket that is no gift certificate.
+ * Bonus gift certificates always are, all gift certificates are if the site blocks paying for gift
+ * certificates with gift certificates.
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @return {boolean} true if the gift certificate cannot pay for gift certificates
+ */
+function isRestricted(giftCertificate) {
+	return isGiftCertPurchaseBlocked() || giftCertBonusHelpers.isBonus(giftCertificate);
+}
+
+/**
+ * Gets the amount of a basket restricted gift certificates may still pay, i.e. the total eligible for gift
+ * certificate payments without gift certificate line items minus the amounts restricted gift certificates
+ * already pay.
+ * @param {dw.order.LineItemCtnr} lineItemCtnr - basket or order
+ * @return {number} remaining amount, negative if the restricted gift certificates applied pay more than allowed
+ */
+function getRedeemableAmount(lineItemCtnr) {
+	var amount = giftCertExclusionHelpers.getEligibleAmount(lineItemCtnr) - lineItemCtnr.getGiftCertificateTotalPrice().value;
+
+	lineItemCtnr.getGiftCertificatePaymentInstruments().toArray().forEach(function (paymentInstrument) {
+		var giftCertificate = GiftCertificateMgr.getGiftCertificateByCode(paymentInstrument.getGiftCertificateCode());
+
+		if (giftCertificate && isRestricted(giftCertificate)) {
+			amount -= paymentInstrument.getPaymentTransaction().getAmount().value;
+		}
+	});
+
+	// rounds away floating point errors of the sum
+	return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Checks whether gift certificates can pay for anything in a basket. If the site blocks paying for gift
+ * certificates with gift certificates, baskets holding nothing but gift certificates cannot be paid with them.
+ * Neither can baskets holding nothing but products excluded from gift certificate payments.
+ * @param {dw.order.LineItemCtnr} lineItemCtnr - basket or order
+ * @return {boolean} true if the gift certificate payment method is offered
+ */
+function isGiftCertPaymentAllowed(lineItemCtnr) {
+	var blocked = isGiftCertPurchaseBlocked() && !lineItemCtnr.getGiftCertificateLineItems().isEmpty();
+
+	if (!blocked && !giftCertExclusionHelpers.getExcludedAmount(lineItemCtnr)) {
+		return true;
+	}
+
+	var amount = giftCertExclusionHelpers.getEligibleAmount(lineItemCtnr);
+
+	if (blocked) {
+		amount -= lineItemCtnr.getGiftCertificateTotalPrice().value;
+	}
+
+	return amount > 0;
+}
+
+/**
+ * Gets the error shown when restricted gift certificates cannot pay for the rest of a basket. Unless the site
+ * blocks paying for gift certificates with gift certificates, only bonus gift certificates are restricted.
+ * @return {string} error message
+ */
+function getRestrictionMessage() {
+	if (isGiftCertPurchaseBlocked()) {
+		return Resource.msg('billinggiftcert.giftcertonly', 'giftcert', null);
+	}
+
+	return Resource.msg('billinggiftcert.bonus.giftcertonly', 'giftcert', null);
+}
+
+module.exports = {
+	isGiftCertPurchaseBlocked: isGiftCertPurchaseBlocked,
+	isRestricted: isRestricted,
+	getRedeemableAmount: getRedeemableAmount,
+	isGiftCertPaymentAllowed: isGiftCertPaymentAllowed,
+	getRestrictionMessage: getRestrictionMessage
+};
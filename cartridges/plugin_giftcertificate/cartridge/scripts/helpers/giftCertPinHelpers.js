@@ -0,0 +1,95 @@
+'use strict';
+
+var PIN_LENGTH = 6;
+var SALT_LENGTH = 16;
+
+/**
+ * Checks whether gift certificates have to be redeemed with a PIN, see the `giftCertPinEnabled` site preference.
+ * @return {boolean} true if the PIN is required
+ */
+function isPinEnabled() {
+	var Site = require('dw/system/Site');
+	return !!Site.current.getCustomPreferenceValue('giftCertPinEnabled');
+}
+
+/**
+ * Hashes a PIN with the salt of the gift certificate.
+ * @param {string} salt - hex encoded salt
+ * @param {string} pin - PIN in clear text
+ * @return {string} hex encoded SHA-256 hash
+ */
+function hashPin(salt, pin) {
+	var Bytes = require('dw/util/Bytes');
+	var Encoding = require('dw/crypto/Encoding');
+	var MessageDigest = require('dw/crypto/MessageDigest');
+
+	var digest = new MessageDigest(MessageDigest.DIGEST_SHA_256);
+	return Encoding.toHex(digest.digestBytes(new Bytes(salt + pin, 'UTF-8')));
+}
+
+/**
+ * Generates a new PIN for a gift certificate and stores its salted hash on the certificate.
+ * The PIN itself is not stored, so a new PIN is generated whenever the gift certificate email is sent
+ * and PINs of earlier emails are no longer valid.
+ *
+ * @transactional
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @return {string} PIN in clear text
+ */
+function assignPin(giftCertificate) {
+	var Encoding = require('dw/crypto/Encoding');
+	var SecureRandom = require('dw/crypto/SecureRandom');
+
+	var gc = giftCertificate;
+	var random = new SecureRandom();
+	var salt = Encoding.toHex(random.nextBytes(SALT_LENGTH));
+	var pin = '';
+
+	for (var i = 0; i < PIN_LENGTH; i++) {
+		pin += random.nextInt(10);
+	}
+
+	gc.custom.pinSalt = salt;
+	gc.custom.pinHash = hashPin(salt, pin);
+
+	return pin;
+}
+
+/**
+ * Protects a new gift certificate with a PIN right away, so it cannot be redeemed with the code alone before
+ * its email is sent, e.g. if the delivery is scheduled or held. The email comes with a new PIN, physical
+ * cards are printed with this one.
+ *
+ * @transactional
+ * @param {dw.order.GiftCertificate} giftCertificate - new gift certificate
+ * @return {string|null} PIN in clear text or null if PINs are not enabled
+ */
+function assignInitialPin(giftCertificate) {
+	return isPinEnabled() ? assignPin(giftCertificate) : null;
+}
+
+/**
+ * Verifies the PIN entered for a gift certificate. Certificates without a PIN, e.g. issued before the
+ * feature was enabled, are refused until customer service resends their email with a new PIN.
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @param {string} pin - PIN as entered by the shopper
+ * @return {boolean} true if the PIN is valid or not required
+ */
+function verifyPin(giftCertificate, pin) {
+	if (!isPinEnabled()) {
+		return true;
+	}
+
+	if (!pin || !giftCertificate.custom.pinHash) {
+		return false;
+	}
+
+	return hashPin(giftCertificate.custom.pinSalt || '', String(pin).trim()) === giftCertificate.custom.pinHash;
+}
+
+module.exports = {
+	isPinEnabled: isPinEnabled,
+	assignPin: assignPin,
+	assignInitialPin: assignInitialPin,
+	verifyPin: verifyPin
+};
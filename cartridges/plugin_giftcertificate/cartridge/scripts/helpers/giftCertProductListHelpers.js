@@ -0,0 +1,262 @@
+'use strict';
+
+var ProductList = require('dw/customer/ProductList');
+var ProductListMgr = require('dw/customer/ProductListMgr');
+var Resource = require('dw/web/Resource');
+var Transaction = require('dw/system/Transaction');
+
+var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+
+/**
+ * Gets the wish list of a customer, creating it if the customer has none yet.
+ * @param {dw.customer.Customer} customer - registered customer
+ * @return {dw.customer.ProductList} wish list
+ */
+function getWishList(customer) {
+	var wishLists = ProductListMgr.getProductLists(customer, ProductList.TYPE_WISH_LIST);
+	var wishList = null;
+
+	if (!wishLists.isEmpty()) {
+		return wishLists.iterator().next();
+	}
+
+	Transaction.wrap(function () {
+		wishList = ProductListMgr.createProductList(customer, ProductList.TYPE_WISH_LIST);
+	});
+
+	return wishList;
+}
+
+/**
+ * Gets the gift registries of a customer.
+ * @param {dw.customer.Customer} customer - registered customer
+ * @return {Array<dw.customer.ProductList>} gift registries
+ */
+function getGiftRegistries(customer) {
+	return ProductListMgr.getProductLists(customer, ProductList.TYPE_GIFT_REGISTRY).toArray();
+}
+
+/**
+ * Checks whether a product list belongs to a customer.
+ * @param {dw.customer.ProductList} productList - product list
+ * @param {dw.customer.Customer} customer - current customer
+ * @return {boolean} true if the customer owns the product list
+ */
+function isOwner(productList, customer) {
+	return customer.isRegistered() && !!productList.owner && productList.owner.ID === customer.ID;
+}
+
+/**
+ * Gets a product list the customer may save a gift certificate to, i.e. the own wish list or an own gift registry.
+ * @param {dw.customer.Customer} customer - registered customer
+ * @param {string} [listId] - ID of a product list of the customer, the wish list is used if empty
+ * @return {dw.customer.ProductList|null} product list or null if the customer does not own it
+ */
+function getOwnedProductList(customer, listId) {
+	if (!listId) {
+		return getWishList(customer);
+	}
+
+	var productList = ProductListMgr.getProductList(listId);
+	return productList && isOwner(productList, customer) ? productList : null;
+}
+
+/**
+ * Gets a product list the customer may buy the gift certificate of, i.e. an own product list or the public
+ * gift registry of another customer.
+ * @param {dw.customer.Customer} customer - current customer
+ * @param {string} [listId] - ID of the product list, the wish list of the customer is used if empty
+ * @return {dw.customer.ProductList|null} product list or null if the customer may not buy from it
+ */
+function getShoppableProductList(customer, listId) {
+	if (!listId) {
+		return customer.isRegistered() ? getWishList(customer) : null;
+	}
+
+	var productList = ProductListMgr.getProductList(listId);
+
+	if (!productList) {
+		return null;
+	}
+
+	if (isOwner(productList, customer) || (productList.isPublic() && productList.type === ProductList.TYPE_GIFT_REGISTRY)) {
+		return productList;
+	}
+
+	return null;
+}
+
+/**
+ * Saves the gift certificate configured on the purchase form to a product list. A product list holds a single
+ * gift certificate item, so a gift certificate saved before is replaced. Gift certificates wanted in a gift
+ * registry are saved without a sender, the sender is whoever buys them.
+ * __Note:__ the form must be validated before this function is called.
+ * @param {dw.customer.ProductList} productList - wish list or gift registry of the customer
+ * @param {Object} purchaseForm - purchase group of the gift certificate form object
+ * @return {dw.customer.ProductListItem} gift certificate item
+ */
+function saveGiftCertificate(productList, purchaseForm) {
+	var registry = productList.type === ProductList.TYPE_GIFT_REGISTRY;
+	var physical = purchaseForm.deliveryType.value === giftCertHelper.DELIVERY_TYPE_PHYSICAL;
+	var item;
+
+	Transaction.wrap(function () {
+		item = productList.getGiftCertificateItem() || productList.createGiftCertificateItem();
+		item.setPublic(registry);
+		item.custom.giftCertAmount = purchaseForm.amount.value;
+		item.custom.giftCertRecipientName = purchaseForm.recipient.value;
+		item.custom.giftCertRecipientEmail = physical ? '' : purchaseForm.recipientEmail.value;
+		item.custom.giftCertSenderName = registry ? null : purchaseForm.from.value;
+		item.custom.giftCertMessage = purchaseForm.message.value || null;
+		item.custom.giftCertDeliveryType = physical ? giftCertHelper.DELIVERY_TYPE_PHYSICAL : giftCertHelper.DELIVERY_TYPE_EMAIL;
+		item.custom.giftCertDesignId = purchaseForm.designId.value || null;
+		item.custom.giftCertDeliveryDate = physical ? null : giftCertHelper.parseDeliveryDate(purchaseForm.deliveryDate.value);
+	});
+
+	return item;
+}
+
+/**
+ * Gets the values of a gift certificate line item for a gift certificate item of a product list.
+ * @param {dw.customer.ProductListItem} item - gift certificate item
+ * @param {string} [senderName] - name of the buyer, defaults to the sender saved with the item
+ * @return {Object} gift certificate values, see giftCertHelpers.addGiftCertificateLineItem
+ */
+function getLineItemValues(item, senderName) {
+	var giftCertDesignHelpers = require('*/cartridge/scripts/helpers/giftCertDesignHelpers');
+	var designId = item.custom.giftCertDesignId;
+	var deliveryDate = item.custom.giftCertDeliveryDate;
+
+	return {
+		amount: item.custom.giftCertAmount,
+		recipientName: item.custom.giftCertRecipientName,
+		recipientEmail: item.custom.giftCertRecipientEmail,
+		senderName: senderName || item.custom.giftCertSenderName,
+		message: item.custom.giftCertMessage,
+		deliveryType: item.custom.giftCertDeliveryType,
+		// designs disabled since the gift certificate was saved fall back to the default design
+		designId: giftCertDesignHelpers.isSelectable(designId) ? designId : null,
+		// a delivery date passed while the gift certificate was saved is dropped, the email is sent right away
+		deliveryDate: deliveryDate && deliveryDate.getTime() > Date.now() ? deliveryDate : null
+	};
+}
+
+/**
+ * Moves the gift certificate of a product list to the basket. Gift certificates of a wish list are removed
+ * from the list, those of a gift registry stay on the registry and are linked to the line item, so the
+ * purchase is recorded when the order is placed.
+ * @param {dw.order.Basket} currentBasket - current basket
+ * @param {dw.customer.ProductList} productList - product list of the gift certificate
+ * @param {string} [senderName] - name of the buyer, required if no sender is saved with the gift certificate
+ * @param {string} currencyCode - currency code of the basket
+ * @return {Object} result object with error flag and message
+ */
+function moveToBasket(currentBasket, productList, senderName, currencyCode) {
+	var item = productList.getGiftCertificateItem();
+
+	if (!item) {
+		return { error: true, message: Resource.msg('giftcert.productlist.missing', 'giftcert', null) };
+	}
+
+	var values = getLineItemValues(item, senderName);
+	var message = giftCertHelper.validateAmount(values.amount, currencyCode);
+
+	if (!message && !values.senderName) {
+		message = Resource.msg('giftcert.productlist.sender.missing', 'giftcert', null);
+	}
+
+	if (message) {
+		return { error: true, message: message };
+	}
+
+	Transaction.wrap(function () {
+		var giftCertificateLineItem = giftCertHelper.addGiftCertificateLineItem(currentBasket, values);
+
+		if (productList.type === ProductList.TYPE_WISH_LIST) {
+			productList.removeItem(item);
+		} else {
+			giftCertificateLineItem.setProductListItem(item);
+		}
+	});
+
+	return { error: false, message: null };
+}
+
+/**
+ * Removes the gift certificate from a product list.
+ * @param {dw.customer.ProductList} productList - product list of the customer
+ * @return {boolean} true if the product list held a gift certificate
+ */
+function removeGiftCertificate(productList) {
+	var item = productList.getGiftCertificateItem();
+
+	if (!item) {
+		return false;
+	}
+
+	Transaction.wrap(function () {
+		productList.removeItem(item);
+	});
+
+	return true;
+}
+
+/**
+ * Records the purchase of a gift certificate wanted in a gift registry.
+ *
+ * @transactional
+ * @param {dw.order.GiftCertificateLineItem} giftCertificateLineItem - gift certificate line item of the order
+ * @param {dw.order.Order} order - placed order
+ */
+function recordPurchase(giftCertificateLineItem, order) {
+	var item = giftCertificateLineItem.getProductListItem();
+
+	if (item && item.list.type === ProductList.TYPE_GIFT_REGISTRY) {
+		item.createPurchase(1, order.getCustomerName());
+	}
+}
+
+/**
+ * Gets the gift certificate of a product list for display. The recipient email and the message are private
+ * to the owner of the list, visitors of a public gift registry do not see them.
+ * @param {dw.customer.ProductList} productList - product list
+ * @param {string} currencyCode - currency code the amount is shown in
+ * @param {boolean} owned - whether the product list belongs to the current customer
+ * @return {Object|null} gift certificate or null if the product list holds none
+ */
+function getGiftCertificate(productList, currencyCode, owned) {
+	var Money = require('dw/value/Money');
+	var formatMoney = require('dw/util/StringUtils').formatMoney;
+	var giftCertDesignHelpers = require('*/cartridge/scripts/helpers/giftCertDesignHelpers');
+	var item = productList.getGiftCertificateItem();
+
+	if (!item) {
+		return null;
+	}
+
+	return {
+		ID: item.ID,
+		amount: formatMoney(new Money(item.custom.giftCertAmount || 0, currencyCode)),
+		recipientName: item.custom.giftCertRecipientName,
+		recipientEmail: owned ? item.custom.giftCertRecipientEmail : null,
+		senderName: item.custom.giftCertSenderName,
+		message: owned ? item.custom.giftCertMessage : null,
+		physical: item.custom.giftCertDeliveryType === giftCertHelper.DELIVERY_TYPE_PHYSICAL,
+		deliveryDate: giftCertHelper.formatSiteDate(item.custom.giftCertDeliveryDate, 'MM/dd/yyyy'),
+		design: giftCertDesignHelpers.getDesign(item.custom.giftCertDesignId),
+		purchasedQuantity: item.purchasedQuantityValue
+	};
+}
+
+module.exports = {
+	getWishList: getWishList,
+	getGiftRegistries: getGiftRegistries,
+	isOwner: isOwner,
+	getOwnedProductList: getOwnedProductList,
+	getShoppableProductList: getShoppableProductList,
+	saveGiftCertificate: saveGiftCertificate,
+	moveToBasket: moveToBasket,
+	removeGiftCertificate: removeGiftCertificate,
+	recordPurchase: recordPurchase,
+	getGiftCertificate: getGiftCertificate
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+var Money = require('dw/value/Money');
+
+var giftCertExclusionHelpers = require('*/cartridge/scripts/helpers/giftCertExclusionHelpers');
+var giftCertLimitHelpers = require('*/cartridge/scripts/helpers/giftCertLimitHelpers');
+var giftCertPaymentPolicyHelpers = require('*/cartridge/scripts/helpers/giftCertPaymentPolicyHelpers');
+
+var REASON_BALANCE = 'BALANCE';
+var REASON_REQUESTED = 'REQUESTED';
+var REASON_ORDER_TOTAL = 'ORDER_TOTAL';
+var REASON_POLICY = 'POLICY';
+var REASON_LIMIT = 'LIMIT';
+var REASON_EXCLUSION = 'EXCLUSION';
+
+/**
+ * Rounds an amount to cents.
+ * @param {number} amount - amount
+ * @return {number} rounded amount
+ */
+function round(amount) {
+	return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Recalculates the amounts of the gift certificate payment instruments of a basket after its totals changed.
+ * Gift certificates are redeemed in the order of the allocation strategy, see
+ * checkoutHelpers.getGiftCertificateAllocationOrder, each with as much as its balance, the amount the shopper
+ * chose, the payment policy, the exclusions and the share of the order total gift certificates may cover allow,
+ * but no more than the open total. The limit that set the amount is kept
+ * as allocation reason. Payment instruments left without an amount are removed. The result is remembered
+ * for the current request, see wasRebalanced.
+ *
+ * @transactional
+ * @param {dw.order.Basket} basket - basket with recalculated totals
+ * @return {boolean} true if an amount changed or a payment instrument was removed
+ */
+function rebalance(basket) {
+	var COHelpers = require('*/cartridge/scripts/checkout/checkoutHelpers');
+	var totalGrossPrice = basket.getTotalGrossPrice();
+	var changed = false;
+
+	// totals without shipping method or tax are not final, amounts are kept until they are
+	if (!totalGrossPrice.available) {
+		return false;
+	}
+
+	var open = totalGrossPrice.value;
+	var restrictedOpen = open - basket.getGiftCertificateTotalPrice().value;
+	var eligibleOpen = giftCertExclusionHelpers.getEligibleAmount(basket);
+	var limitOpen = giftCertLimitHelpers.getMaxAmount(basket);
+
+	COHelpers.getGiftCertificateAllocationOrder(basket).forEach(function (allocation) {
+		var paymentInstrument = allocation.paymentInstrument;
+		var giftCertificate = allocation.giftCertificate;
+		var requestedAmount = paymentInstrument.custom.giftCertRequestedAmount;
+		var amount = giftCertificate ? giftCertificate.getBalance().value : 0;
+		var reason = REASON_BALANCE;
+
+		if (requestedAmount && requestedAmount < amount) {
+			amount = requestedAmount;
+			reason = REASON_REQUESTED;
+		}
+
+		if (open < amount) {
+			amount = open;
+			reason = REASON_ORDER_TOTAL;
+		}
+
+		if (eligibleOpen < amount) {
+			amount = eligibleOpen;
+			reason = REASON_EXCLUSION;
+		}
+
+		if (giftCertificate && giftCertPaymentPolicyHelpers.isRestricted(giftCertificate)) {
+			if (restrictedOpen < amount) {
+				amount = restrictedOpen;
+				reason = REASON_POLICY;
+			}
+			restrictedOpen -= amount;
+		}
+
+		if (limitOpen !== null) {
+			if (limitOpen < amount) {
+				amount = limitOpen;
+				reason = REASON_LIMIT;
+			}
+			limitOpen -= amount;
+		}
+
+		amount = round(Math.max(amount, 0));
+		open -= amount;
+		eligibleOpen -= amount;
+
+		if (amount <= 0) {
+			basket.removePaymentInstrument(paymentInstrument);
+			changed = true;
+			return;
+		}
+
+		if (amount !== paymentInstrument.getPaymentTransaction().getAmount().value) {
+			paymentInstrument.getPaymentTransaction().setAmount(new Money(amount, basket.getCurrencyCode()));
+			changed = true;
+		}
+
+		paymentInstrument.custom.giftCertAllocationReason = reason;
+	});
+
+	if (changed) {
+		// eslint-disable-next-line no-undef
+		request.custom.giftCertRebalanced = true;
+	}
+
+	return changed;
+}
+
+/**
+ * Checks whether gift certificate amounts were rebalanced during the current request, so the response can
+ * tell the shopper.
+ * @return {boolean} true if amounts changed
+ */
+function wasRebalanced() {
+	// eslint-disable-next-line no-undef
+	return !!request.custom.giftCertRebalanced;
+}
+
+module.exports = {
+	rebalance: rebalance,
+	wasRebalanced: wasRebalanced,
+	REASON_BALANCE: REASON_BALANCE,
+	REASON_REQUESTED: REASON_REQUESTED,
+	REASON_ORDER_TOTAL: REASON_ORDER_TOTAL,
+	REASON_POLICY: REASON_POLICY,
+	REASON_LIMIT: REASON_LIMIT,
+	REASON_EXCLUSION: REASON_EXCLUSION
+};
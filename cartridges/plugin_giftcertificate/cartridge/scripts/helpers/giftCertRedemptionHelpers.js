@@ -0,0 +1,201 @@
+'use strict';
+
+var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+var Resource = require('dw/web/Resource');
+var Transaction = require('dw/system/Transaction');
+
+var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+var giftCertExclusionHelpers = require('*/cartridge/scripts/helpers/giftCertExclusionHelpers');
+var giftCertLimitHelpers = require('*/cartridge/scripts/helpers/giftCertLimitHelpers');
+var giftCertLookupHelpers = require('*/cartridge/scripts/helpers/giftCertLookupHelpers');
+var giftCertPaymentPolicyHelpers = require('*/cartridge/scripts/helpers/giftCertPaymentPolicyHelpers');
+var giftCertPinHelpers = require('*/cartridge/scripts/helpers/giftCertPinHelpers');
+
+/**
+ * Validates the gift certificate code, PIN and amount fields of a redemption form.
+ * @param {Object} giftCertFields - gift certificate fields of the billing form object
+ * @return {boolean} true if the fields are valid, otherwise the fields are marked invalid
+ */
+function validateFields(giftCertFields) {
+	var giftCertCode = giftCertFields.giftCertCode;
+	var giftCertPin = giftCertFields.giftCertPin;
+	var giftCertAmount = giftCertFields.giftCertAmount;
+
+	if (!giftCertCode.value) {
+		giftCertCode.valid = false;
+		giftCertCode.error = Resource.msg('billinggiftcert.giftcertinvalid', 'giftcert', null);
+		return false;
+	}
+
+	if (giftCertPinHelpers.isPinEnabled() && !giftCertPin.value) {
+		giftCertPin.valid = false;
+		giftCertPin.error = Resource.msg('billinggiftcert.giftcertpinmissing', 'giftcert', null);
+		return false;
+	}
+
+	// the amount is optional, but must be positive if entered
+	if (giftCertAmount.value !== null && giftCertAmount.value <= 0) {
+		giftCertAmount.valid = false;
+		giftCertAmount.error = Resource.msg('billinggiftcert.giftcertamountinvalid', 'giftcert', null);
+	}
+
+	return giftCertAmount.valid;
+}
+
+/**
+ * Checks whether a gift certificate still pays for the basket after its totals were recalculated.
+ * @param {dw.order.Basket} currentBasket - the current basket
+ * @param {string} giftCertCode - gift certificate code
+ * @return {boolean} true if the basket has a payment instrument of the gift certificate
+ */
+function isApplied(currentBasket, giftCertCode) {
+	return !currentBasket.getGiftCertificatePaymentInstruments(giftCertCode).isEmpty();
+}
+
+/**
+ * Redeems a gift certificate for the current basket once it has been looked up, whether entered by the shopper
+ * or saved to the wallet. The number of gift certificates per order and the share of the order total they cover
+ * are limited, see giftCertLimitHelpers.
+ * @param {dw.order.Basket} currentBasket - the current basket
+ * @param {dw.order.GiftCertificate} gc - gift certificate, null if unknown
+ * @param {number} [amount] - amount the shopper chose to redeem, as much as possible if empty
+ * @return {Object} result with error flag and message; invalid is set if the gift certificate cannot be redeemed at all
+ */
+function redeemGiftCertificate(currentBasket, gc, amount) {
+	var COHelpers = require('*/cartridge/scripts/checkout/checkoutHelpers');
+	var basketCalculationHelpers = require('*/cartridge/scripts/helpers/basketCalculationHelpers');
+	var message = null;
+
+	if (gc && giftCertHelper.isExpired(gc)) {
+		// make sure it has not expired, told apart from unknown codes only once the PIN proved the shopper holds the certificate
+		var key = giftCertPinHelpers.isPinEnabled() ? 'billinggiftcert.giftcertexpired' : 'billinggiftcert.giftcertinvalid';
+		return { error: true, message: Resource.msg(key, 'giftcert', null), invalid: true };
+	}
+
+	if (!gc || !gc.isEnabled() || gc.getStatus() === gc.STATUS_PENDING || gc.getStatus() === gc.STATUS_REDEEMED) {
+		// make sure exists and has not been fully redeemed, both answered alike to not reveal which codes exist
+		return { error: true, message: Resource.msg('billinggiftcert.giftcertinvalid', 'giftcert', null), invalid: true };
+	}
+
+	if (gc.balance.currencyCode !== currentBasket.getCurrencyCode()) {
+		// make sure the GC is in the right currency
+		message = Resource.msg('billing.GIFTCERTIFICATE_CURRENCY_MISMATCH', 'giftcert', null);
+	} else if (giftCertPaymentPolicyHelpers.isRestricted(gc) && giftCertPaymentPolicyHelpers.getRedeemableAmount(currentBasket) <= 0) {
+		// make sure the GC may pay for the basket
+		message = giftCertPaymentPolicyHelpers.getRestrictionMessage();
+	} else if (giftCertExclusionHelpers.getExcludedAmount(currentBasket) && giftCertExclusionHelpers.getEligibleAmount(currentBasket) <= giftCertLimitHelpers.getRedeemedAmount(currentBasket)) {
+		// make sure excluded products and shipping leave something gift certificates may pay
+		message = giftCertExclusionHelpers.getExclusionMessage(currentBasket);
+	} else {
+		// make sure the per-order limits are not exceeded
+		message = giftCertLimitHelpers.checkApply(currentBasket, gc.getGiftCertificateCode()).message;
+	}
+
+	if (message) {
+		return { error: true, message: message, invalid: false };
+	}
+
+	Transaction.wrap(function () {
+		COHelpers.createGiftCertificatePaymentInstrument(currentBasket, gc, amount);
+		basketCalculationHelpers.calculateTotals(currentBasket);
+	});
+
+	// rebalancing removes the payment instrument if nothing is left to redeem, e.g. the order total is covered
+	if (!isApplied(currentBasket, gc.getGiftCertificateCode())) {
+		return { error: true, message: Resource.msg('billinggiftcert.giftcertnothingtoredeem', 'giftcert', null), invalid: false };
+	}
+
+	return { error: false, message: null, invalid: false };
+}
+
+/**
+ * Redeems a gift certificate entered by the shopper for the current basket, on the cart page or at checkout. The
+ * lookup is throttled like balance checks, unknown, expired or redeemed codes and wrong PINs count as failed lookups.
+ * @param {Object} req - the request object
+ * @param {dw.order.Basket} currentBasket - the current basket
+ * @param {string} giftCertCode - code entered by the shopper
+ * @param {string} [giftCertPin] - PIN entered by the shopper
+ * @param {number} [amount] - amount the shopper chose to redeem, as much as possible if empty
+ * @return {Object} result with error flag and message; locked and challengeRequired are set if the lookup was refused
+ */
+function applyGiftCertificate(req, currentBasket, giftCertCode, giftCertPin, amount) {
+	var lookup = giftCertLookupHelpers.checkLookup(req);
+
+	if (!lookup.allowed) {
+		return { error: true, message: lookup.message, locked: true, challengeRequired: lookup.challengeRequired };
+	}
+
+	var gc = GiftCertificateMgr.getGiftCertificateByCode(giftCertCode);
+
+	// a wrong PIN is treated like an unknown code
+	if (gc && !giftCertPinHelpers.verifyPin(gc, giftCertPin)) {
+		gc = null;
+	}
+
+	var result = redeemGiftCertificate(currentBasket, gc, amount);
+
+	if (result.invalid) {
+		giftCertLookupHelpers.recordFailedLookup(req);
+	}
+
+	return { error: result.error, message: result.message, locked: false, challengeRequired: false };
+}
+
+/**
+ * Changes the amount redeemed from a gift certificate already applied to the current basket.
+ * @param {dw.order.Basket} currentBasket - the current basket
+ * @param {string} giftCertCode - code of the redeemed gift certificate
+ * @param {number} amount - amount to redeem, capped at the balance and the open order total
+ * @return {Object} result with error flag and message; removed is set if nothing was left to redeem and the gift certificate was removed
+ */
+function updateGiftCertificateAmount(currentBasket, giftCertCode, amount) {
+	var COHelpers = require('*/cartridge/scripts/checkout/checkoutHelpers');
+	var basketCalculationHelpers = require('*/cartridge/scripts/helpers/basketCalculationHelpers');
+
+	if (isNaN(amount) || amount <= 0) {
+		return { error: true, message: Resource.msg('billinggiftcert.giftcertamountinvalid', 'giftcert', null) };
+	}
+
+	// only gift certificates applied before, i.e. looked up with their PIN, can be changed
+	var gc = giftCertCode && !currentBasket.getGiftCertificatePaymentInstruments(giftCertCode).isEmpty()
+		? GiftCertificateMgr.getGiftCertificateByCode(giftCertCode)
+		: null;
+
+	if (!gc || !gc.isEnabled() || giftCertHelper.isExpired(gc)) {
+		return { error: true, message: Resource.msg('billinggiftcert.giftcertinvalid', 'giftcert', null) };
+	}
+
+	Transaction.wrap(function () {
+		COHelpers.updateGiftCertificatePaymentInstrument(currentBasket, gc, amount);
+		basketCalculationHelpers.calculateTotals(currentBasket);
+	});
+
+	if (!isApplied(currentBasket, giftCertCode)) {
+		return { error: true, message: Resource.msg('billinggiftcert.giftcertnothingtoredeem', 'giftcert', null), removed: true };
+	}
+
+	return { error: false, message: null };
+}
+
+/**
+ * Removes a redeemed gift certificate from the current basket.
+ * @param {dw.order.Basket} currentBasket - the current basket
+ * @param {string} giftCertCode - code of the redeemed gift certificate
+ */
+function removeGiftCertificate(currentBasket, giftCertCode) {
+	var COHelpers = require('*/cartridge/scripts/checkout/checkoutHelpers');
+	var basketCalculationHelpers = require('*/cartridge/scripts/helpers/basketCalculationHelpers');
+
+	Transaction.wrap(function () {
+		COHelpers.removeGiftCertificatePaymentInstrument(currentBasket, giftCertCode);
+		basketCalculationHelpers.calculateTotals(currentBasket);
+	});
+}
+
+module.exports = {
+	validateFields: validateFields,
+	redeemGiftCertificate: redeemGiftCertificate,
+	applyGiftCertificate: applyGiftCertificate,
+	updateGiftCertificateAmount: updateGiftCertificateAmount,
+	removeGiftCertificate: removeGiftCertificate
+};
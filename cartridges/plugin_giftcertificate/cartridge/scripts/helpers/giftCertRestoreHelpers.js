@@ -0,0 +1,125 @@
+'use strict';
+
+var HookMgr = require('dw/system/HookMgr');
+var Logger = require('dw/system/Logger');
+var Money = require('dw/value/Money');
+var Transaction = require('dw/system/Transaction');
+
+var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+var giftCertHistoryHelpers = require('*/cartridge/scripts/helpers/giftCertHistoryHelpers');
+var giftCertPinHelpers = require('*/cartridge/scripts/helpers/giftCertPinHelpers');
+
+var REFUND_HOOK = 'app.giftcert.refund';
+var REASON_FAILED = 'FAILED';
+var REASON_CANCELLED = 'CANCELLED';
+var REASON_RETURNED = 'RETURNED';
+
+/**
+ * Issues a gift certificate for a restored amount and sends it to the customer of the order.
+ *
+ * @transactional
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate the amount was redeemed from
+ * @param {dw.value.Money} amount - restored amount
+ * @param {dw.order.Order} order - order the amount was redeemed for
+ * @return {dw.order.GiftCertificate} replacement gift certificate
+ */
+function issueReplacement(giftCertificate, amount, order) {
+	var Currency = require('dw/util/Currency');
+	var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+	var Resource = require('dw/web/Resource');
+
+	// gift certificates are created in the session currency
+	// eslint-disable-next-line no-undef
+	if (session.currency.currencyCode !== amount.currencyCode) {
+		// eslint-disable-next-line no-undef
+		session.setCurrency(Currency.getCurrency(amount.currencyCode));
+	}
+
+	var replacement = GiftCertificateMgr.createGiftCertificate(amount.value);
+	replacement.setRecipientEmail(order.getCustomerEmail());
+	replacement.setRecipientName(order.getCustomerName());
+	replacement.setSenderName(Resource.msg('giftcert.restore.sender', 'giftcert', null));
+	replacement.setMessage(Resource.msgf('giftcert.restore.message', 'giftcert', null, order.getOrderNo()));
+	replacement.setOrderNo(order.getOrderNo());
+	replacement.custom.deliveryStatus = giftCertHelper.DELIVERY_STATUS_PENDING;
+	replacement.custom.expirationDate = giftCertificate.custom.expirationDate;
+	giftCertPinHelpers.assignInitialPin(replacement);
+
+	giftCertHelper.deliverGiftCertificate(replacement);
+
+	return replacement;
+}
+
+/**
+ * Gives an amount redeemed for an order back to a gift certificate. The amount is refunded through the
+ * app.giftcert.refund hook, if registered, otherwise a replacement gift certificate is issued.
+ * Every restored amount is recorded in the transaction history of the gift certificate.
+ * @param {dw.order.Order} order - order the amount was redeemed for
+ * @param {dw.order.OrderPaymentInstrument} paymentInstrument - gift certificate payment instrument
+ * @param {number} maxAmount - maximum amount to restore
+ * @param {string} reason - reason of the restore, e.g. CANCELLED
+ * @return {number} restored amount
+ */
+function restorePaymentInstrument(order, paymentInstrument, maxAmount, reason) {
+	var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+	var code = paymentInstrument.getGiftCertificateCode();
+	var giftCertificate = GiftCertificateMgr.getGiftCertificateByCode(code);
+	var restorable = Math.min(giftCertHistoryHelpers.getRestorableAmount(order.getOrderNo(), code), maxAmount);
+
+	if (!giftCertificate || restorable <= 0) {
+		return 0;
+	}
+
+	var amount = new Money(restorable, order.getCurrencyCode());
+
+	try {
+		Transaction.wrap(function () {
+			var details = { reason: reason };
+
+			if (HookMgr.hasHook(REFUND_HOOK)) {
+				var status = HookMgr.callHook(REFUND_HOOK, 'refund', giftCertificate, amount, order);
+				if (!status || status.isError()) {
+					throw new Error(status ? status.getMessage() : 'no status returned by ' + REFUND_HOOK);
+				}
+			} else {
+				details.replacement = issueReplacement(giftCertificate, amount, order).getMaskedGiftCertificateCode();
+			}
+
+			giftCertHistoryHelpers.recordTransaction(giftCertificate, giftCertHistoryHelpers.TRANSACTION_TYPE_RESTORE, order.getOrderNo(), amount, details);
+		});
+	} catch (e) {
+		Logger.error('Could not restore {0} of gift certificate {1} for order {2}: {3}', amount, giftCertificate.getMaskedGiftCertificateCode(), order.getOrderNo(), e.message);
+		return 0;
+	}
+
+	return restorable;
+}
+
+/**
+ * Restores the gift certificate amounts redeemed for an order, up to the given amount.
+ * Amounts already restored are not restored again, so this can safely be called more than once for an order.
+ * @param {dw.order.Order} order - failed, cancelled or returned order
+ * @param {string} reason - reason of the restore, e.g. CANCELLED
+ * @param {number} [amount] - amount to restore, e.g. the part of a partial return refunded to gift certificates; defaults to everything redeemed
+ * @return {number} restored amount
+ */
+function restoreOrder(order, reason, amount) {
+	var paymentInstruments = order.getGiftCertificatePaymentInstruments().toArray();
+	var remaining = typeof amount === 'number' ? amount : Number.MAX_VALUE;
+	var restored = 0;
+
+	for (var i = 0; i < paymentInstruments.length && remaining > 0; i++) {
+		var restoredAmount = restorePaymentInstrument(order, paymentInstruments[i], remaining, reason);
+		restored += restoredAmount;
+		remaining -= restoredAmount;
+	}
+
+	return restored;
+}
+
+module.exports = {
+	restoreOrder: restoreOrder,
+	REASON_FAILED: REASON_FAILED,
+	REASON_CANCELLED: REASON_CANCELLED,
+	REASON_RETURNED: REASON_RETURNED
+};
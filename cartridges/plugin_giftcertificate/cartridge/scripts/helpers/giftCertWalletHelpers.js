@@ -0,0 +1,153 @@
+'use strict';
+
+var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+var SystemObjectMgr = require('dw/object/SystemObjectMgr');
+var Transaction = require('dw/system/Transaction');
+
+var PURCHASED_PAGE_SIZE = 10;
+
+/**
+ * Collects the results of a gift certificate query and closes the iterator.
+ * @param {dw.util.SeekableIterator} iterator - query result
+ * @return {Array<dw.order.GiftCertificate>} gift certificates
+ */
+function toArray(iterator) {
+	var giftCertificates = [];
+
+	try {
+		while (iterator.hasNext()) {
+			giftCertificates.push(iterator.next());
+		}
+	} finally {
+		iterator.close();
+	}
+
+	return giftCertificates;
+}
+
+/**
+ * Gets the gift certificate codes saved to the wallet of a customer.
+ * @param {dw.customer.Profile} profile - customer profile
+ * @return {Array<string>} saved gift certificate codes
+ */
+function getSavedCodes(profile) {
+	var savedCodes = profile.custom.giftCertificateCodes;
+	var codes = [];
+
+	if (savedCodes) {
+		for (var i = 0; i < savedCodes.length; i++) {
+			codes.push(savedCodes[i]);
+		}
+	}
+
+	return codes;
+}
+
+/**
+ * Gets a page of the gift certificates a customer bought, queried by the customer number recorded as purchaser
+ * when the gift certificates were created. Bonus gift certificates issued with the orders are left out.
+ * @param {dw.customer.Customer} customer - registered customer
+ * @param {number} start - index of the first gift certificate of the page
+ * @param {number} pageSize - number of gift certificates per page
+ * @return {Object} page with the gift certificates, newest first, and the total number of gift certificates
+ */
+function getPurchasedGiftCertificates(customer, start, pageSize) {
+	var iterator = SystemObjectMgr.querySystemObjects('GiftCertificate', 'custom.purchaserCustomerNo = {0} AND custom.bonus != true', 'creationDate desc', customer.profile.customerNo);
+	var total = iterator.getCount();
+
+	iterator.forward(start, pageSize);
+
+	return { giftCertificates: toArray(iterator), total: total };
+}
+
+/**
+ * Gets the gift certificates whose codes the customer saved to the wallet.
+ * @param {dw.customer.Customer} customer - registered customer
+ * @return {Array<dw.order.GiftCertificate>} gift certificates
+ */
+function getSavedGiftCertificates(customer) {
+	var codes = getSavedCodes(customer.profile);
+	var giftCertificates = [];
+
+	for (var i = 0; i < codes.length; i++) {
+		var giftCertificate = GiftCertificateMgr.getGiftCertificateByCode(codes[i]);
+		if (giftCertificate) {
+			giftCertificates.push(giftCertificate);
+		}
+	}
+
+	return giftCertificates;
+}
+
+/**
+ * Finds a gift certificate the customer may redeem from the wallet, i.e. one saved through GiftCert-SaveToWallet,
+ * which verifies the PIN. Certificates the customer bought for others are listed in the wallet, but cannot be
+ * redeemed from it.
+ * @param {dw.customer.Customer} customer - registered customer
+ * @param {string} uuid - UUID of the gift certificate
+ * @return {dw.order.GiftCertificate|null} gift certificate or null if it is not saved to the wallet
+ */
+function findWalletGiftCertificate(customer, uuid) {
+	var giftCertificates = getSavedGiftCertificates(customer);
+
+	for (var i = 0; i < giftCertificates.length; i++) {
+		if (giftCertificates[i].UUID === uuid) {
+			return giftCertificates[i];
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Saves a gift certificate code to the wallet of the customer.
+ * @param {dw.customer.Customer} customer - registered customer
+ * @param {dw.order.GiftCertificate} giftCertificate - verified gift certificate
+ */
+function saveGiftCertificate(customer, giftCertificate) {
+	var profile = customer.profile;
+	var codes = getSavedCodes(profile);
+	var code = giftCertificate.getGiftCertificateCode();
+
+	if (codes.indexOf(code) === -1) {
+		codes.push(code);
+		Transaction.wrap(function () {
+			profile.custom.giftCertificateCodes = codes;
+		});
+	}
+}
+
+/**
+ * Removes a saved gift certificate from the wallet of the customer.
+ * @param {dw.customer.Customer} customer - registered customer
+ * @param {string} uuid - UUID of the gift certificate
+ * @return {boolean} true if the gift certificate was saved and has been removed
+ */
+function removeGiftCertificate(customer, uuid) {
+	var profile = customer.profile;
+	var removed = false;
+	var codes = getSavedCodes(profile).filter(function (code) {
+		var giftCertificate = GiftCertificateMgr.getGiftCertificateByCode(code);
+		var keep = !giftCertificate || giftCertificate.UUID !== uuid;
+
+		removed = removed || !keep;
+		return keep;
+	});
+
+	if (removed) {
+		Transaction.wrap(function () {
+			profile.custom.giftCertificateCodes = codes;
+		});
+	}
+
+	return removed;
+}
+
+module.exports = {
+	getPurchasedGiftCertificates: getPurchasedGiftCertificates,
+	getSavedGiftCertificates: getSavedGiftCertificates,
+	findWalletGiftCertificate: findWalletGiftCertificate,
+	saveGiftCertificate: saveGiftCertificate,
+	removeGiftCertificate: removeGiftCertificate,
+	PURCHASED_PAGE_SIZE: PURCHASED_PAGE_SIZE
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+var giftCertHoldHelpers = require('*/cartridge/scripts/helpers/giftCertHoldHelpers');
+
+/**
+ * Releases the gift certificates held for an order flagged by fraud detection, once the order is confirmed.
+ * @param {dw.order.Order} order - confirmed order
+ * @return {number} number of released gift certificates
+ */
+function releaseOrder(order) {
+	return giftCertHoldHelpers.releaseOrder(order);
+}
+
+/**
+ * Voids the gift certificates held for an order flagged by fraud detection, e.g. when the review rejects the order.
+ * @param {dw.order.Order} order - rejected order
+ * @return {number} number of voided gift certificates
+ */
+function voidOrder(order) {
+	return giftCertHoldHelpers.voidOrder(order);
+}
+
+exports.releaseOrder = releaseOrder;
+exports.voidOrder = voidOrder;
@@ -0,0 +1,46 @@
+'use strict';
+
+var OrderMgr = require('dw/order/OrderMgr');
+
+var giftCertHoldHelpers = require('*/cartridge/scripts/helpers/giftCertHoldHelpers');
+var giftCertRestoreHelpers = require('*/cartridge/scripts/helpers/giftCertRestoreHelpers');
+
+/**
+ * Gets an order by its number or returns the given order.
+ * @param {dw.order.Order|string} order - order or order number
+ * @return {dw.order.Order|null} order
+ */
+function getOrder(order) {
+	return typeof order === 'string' ? OrderMgr.getOrder(order) : order;
+}
+
+/**
+ * Restores the gift certificate amounts of an order cancelled e.g. by the order management system
+ * and voids the gift certificates still held for the order.
+ * @param {dw.order.Order|string} order - cancelled order or its number
+ * @return {number} restored amount
+ */
+function orderCancelled(order) {
+	var cancelledOrder = getOrder(order);
+
+	if (!cancelledOrder) {
+		return 0;
+	}
+
+	giftCertHoldHelpers.voidOrder(cancelledOrder);
+	return giftCertRestoreHelpers.restoreOrder(cancelledOrder, giftCertRestoreHelpers.REASON_CANCELLED);
+}
+
+/**
+ * Restores the part of a (partial) return that is refunded to the gift certificates of the order.
+ * @param {dw.order.Order|string} order - returned order or its number
+ * @param {number} amount - amount refunded to gift certificates
+ * @return {number} restored amount
+ */
+function orderReturned(order, amount) {
+	var returnedOrder = getOrder(order);
+	return returnedOrder ? giftCertRestoreHelpers.restoreOrder(returnedOrder, giftCertRestoreHelpers.REASON_RETURNED, amount) : 0;
+}
+
+exports.orderCancelled = orderCancelled;
+exports.orderReturned = orderReturned;
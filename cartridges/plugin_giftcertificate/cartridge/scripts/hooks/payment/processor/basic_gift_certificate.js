@@ -2,12 +2,19 @@
 
 /* API Includes */
 var GiftCertificateMgr = require('dw/order/GiftCertificateMgr');
+var OrderMgr = require('dw/order/OrderMgr');
 var Transaction = require('dw/system/Transaction');
 var Resource = require('dw/web/Resource');
+var Logger = require('dw/system/Logger');
+
+var giftCertHistoryHelpers = require('*/cartridge/scripts/helpers/giftCertHistoryHelpers');
+var giftCertLimitHelpers = require('*/cartridge/scripts/helpers/giftCertLimitHelpers');
 
 /**
  * Authorizes a payment using a gift certificate. The payment is authorized by redeeming the gift certificate and
- * simply setting the order no as transaction ID.
+ * simply setting the order no as transaction ID. The redemption is added to the transaction history of the gift certificate;
+ * the payment fails if it cannot be, as restoring the amount relies on the history.
+ * Orders exceeding the per-order gift certificate limits are refused before anything is redeemed.
  * @param {number} orderNumber - The current order's number
  * @param {dw.order.PaymentInstrument} pmntInstrument -  The payment instrument to authorize
  * @param {dw.order.PaymentProcessor} pmntProcessor -  The payment processor of the current
@@ -21,6 +28,13 @@ function Authorize(orderNumber, pmntInstrument, pmntProcessor) {
 	var serverErrors = [];
 	var fieldErrors = {};
 	var error = false;
+	var order = OrderMgr.getOrder(orderNo);
+	var limits = order ? giftCertLimitHelpers.validateLimits(order) : { error: false };
+
+	if (limits.error) {
+		serverErrors.push(limits.message);
+		return { fieldErrors: fieldErrors, serverErrors: serverErrors, error: true };
+	}
 
 	try {
 		Transaction.wrap(function () {
@@ -33,9 +47,15 @@ function Authorize(orderNumber, pmntInstrument, pmntProcessor) {
 				serverErrors.push(
 					Resource.msg('error.technical', 'checkout', null)
 				);
+				return;
 			}
+
+			// the redemption record is what restores the amount if the order fails or is cancelled,
+			// so the redemption is rolled back if it cannot be recorded
+			giftCertHistoryHelpers.recordRedemption(paymentInstrument, orderNo);
 		});
 	} catch (e) {
+		Logger.error('Could not redeem gift certificate {0}: {1}', paymentInstrument.getMaskedGiftCertificateCode(), e.message);
 		error = true;
 		serverErrors.push(
 			Resource.msg('error.technical', 'checkout', null)
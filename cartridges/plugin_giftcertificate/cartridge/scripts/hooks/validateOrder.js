@@ -2,6 +2,8 @@
 
 var Resource = require('dw/web/Resource');
 var validationHelpers = require('*/cartridge/scripts/helpers/basketValidationHelpers');
+var giftCertPaymentPolicyHelpers = require('*/cartridge/scripts/helpers/giftCertPaymentPolicyHelpers');
+var giftCertLimitHelpers = require('*/cartridge/scripts/helpers/giftCertLimitHelpers');
 
 /**
  * validates the current users basket
@@ -22,6 +24,7 @@ function validateOrder(basket, validateTax) {
 		var validCoupons = validationHelpers.validateCoupons(basket);
 		var validShipments = validationHelpers.validateShipments(basket);
 		var totalTax = true;
+		var giftCertLimits = giftCertLimitHelpers.validateLimits(basket);
 
 		if (validateTax) {
 			totalTax = basket.totalTax.available;
@@ -47,6 +50,14 @@ function validateOrder(basket, validateTax) {
 		} else if (!validShipments) {
 			result.error = true;
 			result.message = Resource.msg('error.card.invalid.shipments', 'cart', null);
+		} else if (giftCertPaymentPolicyHelpers.getRedeemableAmount(basket) < 0) {
+			// restricted gift certificates cannot pay for other gift certificates
+			result.error = true;
+			result.message = giftCertPaymentPolicyHelpers.getRestrictionMessage();
+		} else if (giftCertLimits.error) {
+			// too many gift certificates or too large a share of the order total
+			result.error = true;
+			result.message = giftCertLimits.message;
 		}
 	}
 
@@ -0,0 +1,126 @@
+'use strict';
+
+var SystemObjectMgr = require('dw/object/SystemObjectMgr');
+var Transaction = require('dw/system/Transaction');
+var Status = require('dw/system/Status');
+var Logger = require('dw/system/Logger');
+
+var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+
+var DEFAULT_MAX_ATTEMPTS = 5;
+var DEFAULT_BACKOFF_MINUTES = 15;
+
+/**
+ * Sends the email of a single gift certificate.
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @return {boolean} true if the email was sent
+ */
+function deliver(giftCertificate) {
+	try {
+		return Transaction.wrap(function () {
+			return giftCertHelper.deliverGiftCertificate(giftCertificate);
+		});
+	} catch (e) {
+		Logger.error('Could not send gift certificate {0}: {1}', giftCertificate.getMaskedGiftCertificateCode(), e.message);
+	}
+
+	return false;
+}
+
+/**
+ * Checks whether the backoff period of a failed gift certificate delivery has passed.
+ * The period doubles with every attempt, starting with the given number of minutes.
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ * @param {number} backoffMinutes - backoff period after the first attempt
+ * @return {boolean} true if the delivery can be retried
+ */
+function isRetryDue(giftCertificate, backoffMinutes) {
+	var lastAttempt = giftCertificate.custom.lastDeliveryAttempt;
+	var attempts = giftCertificate.custom.deliveryAttempts || 1;
+
+	if (!lastAttempt) {
+		return true;
+	}
+
+	return lastAttempt.getTime() + (backoffMinutes * 60000 * Math.pow(2, attempts - 1)) <= Date.now();
+}
+
+/**
+ * Job step that sends the emails of gift certificates whose scheduled delivery date has been reached.
+ * @return {dw.system.Status} OK if all due emails were sent, ERROR otherwise
+ */
+function sendScheduled() {
+	var giftCertificates = SystemObjectMgr.querySystemObjects(
+		'GiftCertificate',
+		'custom.deliveryStatus = {0} AND custom.deliveryDate <= {1}',
+		'creationDate asc',
+		giftCertHelper.DELIVERY_STATUS_PENDING,
+		new Date()
+	);
+	var sent = 0;
+	var failed = 0;
+
+	try {
+		while (giftCertificates.hasNext()) {
+			if (deliver(giftCertificates.next())) {
+				sent++;
+			} else {
+				failed++;
+			}
+		}
+	} finally {
+		giftCertificates.close();
+	}
+
+	if (failed > 0) {
+		return new Status(Status.ERROR, 'ERROR', 'Sent ' + sent + ' gift certificates, ' + failed + ' failed');
+	}
+
+	return new Status(Status.OK, 'OK', 'Sent ' + sent + ' gift certificates');
+}
+
+/**
+ * Job step that retries the delivery of gift certificate emails that failed, backing off exponentially.
+ * @param {Object} parameters - job step parameters
+ * @param {number} parameters.MaxAttempts - number of attempts after which a delivery is given up
+ * @param {number} parameters.BackoffMinutes - minutes to wait after the first failed attempt
+ * @return {dw.system.Status} OK if all due retries succeeded, ERROR otherwise
+ */
+function retryFailed(parameters) {
+	var maxAttempts = parameters.MaxAttempts || DEFAULT_MAX_ATTEMPTS;
+	var backoffMinutes = parameters.BackoffMinutes || DEFAULT_BACKOFF_MINUTES;
+	var giftCertificates = SystemObjectMgr.querySystemObjects(
+		'GiftCertificate',
+		'custom.deliveryStatus = {0} AND custom.deliveryAttempts < {1}',
+		'creationDate asc',
+		giftCertHelper.DELIVERY_STATUS_FAILED,
+		maxAttempts
+	);
+	var sent = 0;
+	var failed = 0;
+
+	try {
+		while (giftCertificates.hasNext()) {
+			var giftCertificate = giftCertificates.next();
+
+			if (isRetryDue(giftCertificate, backoffMinutes)) {
+				if (deliver(giftCertificate)) {
+					sent++;
+				} else {
+					failed++;
+				}
+			}
+		}
+	} finally {
+		giftCertificates.close();
+	}
+
+	if (failed > 0) {
+		return new Status(Status.ERROR, 'ERROR', 'Resent ' + sent + ' gift certificates, ' + failed + ' failed again');
+	}
+
+	return new Status(Status.OK, 'OK', 'Resent ' + sent + ' gift certificates');
+}
+
+exports.sendScheduled = sendScheduled;
+exports.retryFailed = retryFailed;
@@ -0,0 +1,43 @@
+'use strict';
+
+var SystemObjectMgr = require('dw/object/SystemObjectMgr');
+var Transaction = require('dw/system/Transaction');
+var Status = require('dw/system/Status');
+
+/**
+ * Disables a single gift certificate.
+ * @param {dw.order.GiftCertificate} giftCertificate - gift certificate object
+ */
+function disable(giftCertificate) {
+	Transaction.wrap(function () {
+		giftCertificate.setEnabled(false);
+	});
+}
+
+/**
+ * Job step that disables gift certificates whose expiration date has passed.
+ * @return {dw.system.Status} OK with the number of disabled gift certificates
+ */
+function disableExpired() {
+	var giftCertificates = SystemObjectMgr.querySystemObjects(
+		'GiftCertificate',
+		'enabled = {0} AND custom.expirationDate < {1}',
+		'creationDate asc',
+		true,
+		new Date()
+	);
+	var disabled = 0;
+
+	try {
+		while (giftCertificates.hasNext()) {
+			disable(giftCertificates.next());
+			disabled++;
+		}
+	} finally {
+		giftCertificates.close();
+	}
+
+	return new Status(Status.OK, 'OK', 'Disabled ' + disabled + ' expired gift certificates');
+}
+
+exports.disableExpired = disableExpired;
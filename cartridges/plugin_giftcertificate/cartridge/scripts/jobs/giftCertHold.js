@@ -0,0 +1,65 @@
+'use strict';
+
+var Order = require('dw/order/Order');
+var OrderMgr = require('dw/order/OrderMgr');
+var Status = require('dw/system/Status');
+var SystemObjectMgr = require('dw/object/SystemObjectMgr');
+
+var giftCertHelper = require('*/cartridge/scripts/helpers/giftCertHelpers');
+var giftCertHoldHelpers = require('*/cartridge/scripts/helpers/giftCertHoldHelpers');
+
+/**
+ * Gets the numbers of the orders with held gift certificates.
+ * @return {Array<string>} order numbers
+ */
+function getOrdersWithHeldGiftCertificates() {
+	var giftCertificates = SystemObjectMgr.querySystemObjects(
+		'GiftCertificate',
+		'custom.deliveryStatus = {0}',
+		'creationDate asc',
+		giftCertHelper.DELIVERY_STATUS_HELD
+	);
+	var orderNumbers = [];
+
+	try {
+		while (giftCertificates.hasNext()) {
+			var orderNo = giftCertificates.next().getOrderNo();
+			if (orderNo && orderNumbers.indexOf(orderNo) === -1) {
+				orderNumbers.push(orderNo);
+			}
+		}
+	} finally {
+		giftCertificates.close();
+	}
+
+	return orderNumbers;
+}
+
+/**
+ * Job step that releases the held gift certificates of orders that have been confirmed since they were
+ * flagged by fraud detection, and voids those of cancelled and failed orders. Orders still under review are skipped.
+ * @return {dw.system.Status} OK with the number of released and voided gift certificates
+ */
+function releaseHeld() {
+	var released = 0;
+	var voided = 0;
+
+	getOrdersWithHeldGiftCertificates().forEach(function (orderNo) {
+		var order = OrderMgr.getOrder(orderNo);
+
+		if (!order) {
+			return;
+		}
+
+		var status = order.getStatus().value;
+		if (status === Order.ORDER_STATUS_CANCELLED || status === Order.ORDER_STATUS_FAILED) {
+			voided += giftCertHoldHelpers.voidOrder(order);
+		} else if (order.getConfirmationStatus().value === Order.CONFIRMATION_STATUS_CONFIRMED) {
+			released += giftCertHoldHelpers.releaseOrder(order);
+		}
+	});
+
+	return new Status(Status.OK, 'OK', 'Released ' + released + ' and voided ' + voided + ' held gift certificates');
+}
+
+exports.releaseHeld = releaseHeld;
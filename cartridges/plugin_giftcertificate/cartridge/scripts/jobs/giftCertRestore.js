@@ -0,0 +1,54 @@
+'use strict';
+
+var Calendar = require('dw/util/Calendar');
+var Order = require('dw/order/Order');
+var OrderMgr = require('dw/order/OrderMgr');
+var Status = require('dw/system/Status');
+
+var giftCertRestoreHelpers = require('*/cartridge/scripts/helpers/giftCertRestoreHelpers');
+
+var DEFAULT_LOOKBACK_DAYS = 7;
+
+/**
+ * Job step that restores the gift certificate amounts of failed and cancelled orders, e.g. orders
+ * failed by the fraud check or cancelled in the order management system. Amounts that have already
+ * been restored are skipped.
+ * @param {Object} parameters - job step parameters
+ * @param {number} parameters.LookbackDays - number of days orders are checked after their last modification
+ * @return {dw.system.Status} OK with the restored amount
+ */
+function restoreFailedAndCancelled(parameters) {
+	var calendar = new Calendar();
+	calendar.add(Calendar.DAY_OF_YEAR, -(parameters.LookbackDays || DEFAULT_LOOKBACK_DAYS));
+
+	var orders = OrderMgr.searchOrders(
+		'(status = {0} OR status = {1}) AND lastModified >= {2}',
+		'creationDate asc',
+		Order.ORDER_STATUS_FAILED,
+		Order.ORDER_STATUS_CANCELLED,
+		calendar.getTime()
+	);
+	var restoredOrders = 0;
+
+	try {
+		while (orders.hasNext()) {
+			var order = orders.next();
+
+			if (order.getGiftCertificatePaymentInstruments().size() > 0) {
+				var reason = order.getStatus().value === Order.ORDER_STATUS_FAILED
+					? giftCertRestoreHelpers.REASON_FAILED
+					: giftCertRestoreHelpers.REASON_CANCELLED;
+
+				if (giftCertRestoreHelpers.restoreOrder(order, reason) > 0) {
+					restoredOrders++;
+				}
+			}
+		}
+	} finally {
+		orders.close();
+	}
+
+	return new Status(Status.OK, 'OK', 'Restored gift certificates of ' + restoredOrders + ' orders');
+}
+
+exports.restoreFailedAndCancelled = restoreFailedAndCancelled;
@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = {
+	toHex: function (bytes) {
+		return bytes.buffer.toString('hex');
+	}
+};
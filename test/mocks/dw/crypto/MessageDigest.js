@@ -0,0 +1,16 @@
+'use strict';
+
+var crypto = require('crypto');
+var Bytes = require('../util/Bytes');
+
+function MessageDigest(algorithm) {
+	this.algorithm = algorithm.replace('-', '').toLowerCase();
+}
+
+MessageDigest.DIGEST_SHA_256 = 'SHA-256';
+
+MessageDigest.prototype.digestBytes = function (bytes) {
+	return new Bytes(crypto.createHash(this.algorithm).update(bytes.buffer).digest());
+};
+
+module.exports = MessageDigest;
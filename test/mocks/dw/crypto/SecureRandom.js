@@ -0,0 +1,16 @@
+'use strict';
+
+var crypto = require('crypto');
+var Bytes = require('../util/Bytes');
+
+function SecureRandom() {}
+
+SecureRandom.prototype.nextBytes = function (length) {
+	return new Bytes(crypto.randomBytes(length));
+};
+
+SecureRandom.prototype.nextInt = function (bound) {
+	return crypto.randomBytes(4).readUInt32BE(0) % bound;
+};
+
+module.exports = SecureRandom;
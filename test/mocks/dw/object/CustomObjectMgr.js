@@ -0,0 +1,47 @@
+'use strict';
+
+var query = require('../../query');
+
+var objects = {};
+
+/**
+ * Gets the custom objects of a type.
+ * @param {string} type - custom object type
+ * @return {Array<Object>} custom objects
+ */
+function getObjects(type) {
+	return Object.keys(objects[type] || {}).map(function (key) {
+		return objects[type][key];
+	});
+}
+
+module.exports = {
+	getCustomObject: function (type, key) {
+		return (objects[type] && objects[type][key]) || null;
+	},
+	createCustomObject: function (type, key) {
+		objects[type] = objects[type] || {};
+		objects[type][key] = { type: type, creationDate: new Date(), custom: { key: key } };
+		return objects[type][key];
+	},
+	queryCustomObjects: function (type, queryString, sortString) {
+		return query(getObjects(type), queryString, sortString, Array.prototype.slice.call(arguments, 3));
+	},
+	remove: function (object) {
+		delete objects[object.type][object.custom.key];
+	},
+
+	/**
+	 * Gets all custom objects of a type, e.g. to check the objects created by a test.
+	 * @param {string} type - custom object type
+	 * @return {Array<Object>} custom objects
+	 */
+	getObjects: getObjects,
+
+	/**
+	 * Removes all custom objects.
+	 */
+	reset: function () {
+		objects = {};
+	}
+};
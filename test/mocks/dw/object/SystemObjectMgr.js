@@ -0,0 +1,20 @@
+'use strict';
+
+var query = require('../../query');
+
+var objects = {};
+
+module.exports = {
+	querySystemObjects: function (type, queryString, sortString) {
+		return query(objects[type] || [], queryString, sortString, Array.prototype.slice.call(arguments, 3));
+	},
+
+	/**
+	 * Sets the system objects of a type the queries run against, replacing those set before.
+	 * @param {string} type - system object type, e.g. GiftCertificate
+	 * @param {Array<Object>} values - objects
+	 */
+	setObjects: function (type, values) {
+		objects[type] = values || [];
+	}
+};
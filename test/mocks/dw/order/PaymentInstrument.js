@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Payment method ID constant; the script API returns Java strings, which compare with equals.
+ * @param {string} value - payment method ID
+ * @return {Object} payment method ID constant
+ */
+function createMethod(value) {
+	return {
+		value: value,
+		equals: function (other) {
+			return other === value;
+		}
+	};
+}
+
+module.exports = {
+	METHOD_GIFT_CERTIFICATE: createMethod('GIFT_CERTIFICATE'),
+	METHOD_CREDIT_CARD: createMethod('CREDIT_CARD')
+};
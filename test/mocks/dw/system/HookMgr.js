@@ -0,0 +1,29 @@
+'use strict';
+
+var hooks = {};
+
+module.exports = {
+	hasHook: function (name) {
+		return name in hooks;
+	},
+	callHook: function (name, functionName) {
+		var hook = hooks[name];
+		return hook && hook[functionName] ? hook[functionName].apply(hook, Array.prototype.slice.call(arguments, 2)) : undefined;
+	},
+
+	/**
+	 * Registers the implementation of a hook, replacing the one registered before.
+	 * @param {string} name - hook name
+	 * @param {Object} implementation - hook functions
+	 */
+	register: function (name, implementation) {
+		hooks[name] = implementation;
+	},
+
+	/**
+	 * Removes all registered hooks.
+	 */
+	reset: function () {
+		hooks = {};
+	}
+};
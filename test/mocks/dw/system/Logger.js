@@ -0,0 +1,13 @@
+'use strict';
+
+function noop() {}
+
+module.exports = {
+	debug: noop,
+	info: noop,
+	warn: noop,
+	error: noop,
+	getLogger: function () {
+		return module.exports;
+	}
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+var Calendar = require('../util/Calendar');
+
+var preferences = {};
+
+module.exports = {
+	current: {
+		getCustomPreferenceValue: function (name) {
+			return name in preferences ? preferences[name] : null;
+		},
+		getTimezone: function () {
+			return 'Etc/UTC';
+		}
+	},
+
+	getCalendar: function () {
+		return new Calendar();
+	},
+
+	/**
+	 * Sets the custom site preferences returned by Site.current, replacing all values set before.
+	 * @param {Object} values - preference values keyed by preference ID
+	 */
+	setPreferences: function (values) {
+		preferences = values || {};
+	}
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+function Status(status, code, message) {
+	this.status = status;
+	this.code = code;
+	this.message = message;
+}
+
+Status.OK = 0;
+Status.ERROR = 1;
+
+Status.prototype.isError = function () {
+	return this.status === Status.ERROR;
+};
+
+Status.prototype.getCode = function () {
+	return this.code;
+};
+
+Status.prototype.getMessage = function () {
+	return this.message;
+};
+
+module.exports = Status;
@@ -0,0 +1,10 @@
+'use strict';
+
+module.exports = {
+	wrap: function (callback) {
+		return callback();
+	},
+	begin: function () {},
+	commit: function () {},
+	rollback: function () {}
+};
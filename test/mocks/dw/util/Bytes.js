@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Wraps a Node buffer like dw.util.Bytes.
+ * @param {string|Buffer} value - string to encode or buffer
+ * @param {string} [encoding] - character encoding of a string, defaults to UTF-8
+ */
+function Bytes(value, encoding) {
+	this.buffer = Buffer.isBuffer(value) ? value : Buffer.from(value, (encoding || 'UTF-8').toLowerCase().replace('-', ''));
+	this.length = this.buffer.length;
+}
+
+module.exports = Bytes;
@@ -0,0 +1,55 @@
+'use strict';
+
+var MILLIS = {
+	5: 24 * 60 * 60 * 1000,
+	6: 24 * 60 * 60 * 1000,
+	11: 60 * 60 * 1000,
+	12: 60 * 1000,
+	13: 1000
+};
+
+/**
+ * Calendar in UTC, supporting the fields used by the cartridge.
+ * @param {Date} [date] - time of the calendar, defaults to now
+ */
+function Calendar(date) {
+	this.time = date ? new Date(date.getTime()) : new Date();
+}
+
+Calendar.DATE = 5;
+Calendar.DAY_OF_YEAR = 6;
+Calendar.HOUR_OF_DAY = 11;
+Calendar.MINUTE = 12;
+Calendar.SECOND = 13;
+
+Calendar.prototype.getTime = function () {
+	return new Date(this.time.getTime());
+};
+
+Calendar.prototype.setTime = function (date) {
+	this.time = new Date(date.getTime());
+};
+
+Calendar.prototype.setTimeZone = function () {};
+
+Calendar.prototype.add = function (field, value) {
+	this.time = new Date(this.time.getTime() + (value * MILLIS[field]));
+};
+
+Calendar.prototype.parseByFormat = function (value) {
+	this.time = new Date(value + 'T00:00:00Z');
+};
+
+Calendar.prototype.before = function (calendar) {
+	return this.time.getTime() < calendar.getTime().getTime();
+};
+
+Calendar.prototype.after = function (calendar) {
+	return this.time.getTime() > calendar.getTime().getTime();
+};
+
+Calendar.prototype.compareTo = function (calendar) {
+	return this.time.getTime() - calendar.getTime().getTime();
+};
+
+module.exports = Calendar;
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Wraps an array like the dw.util.Collection returned by the script API.
+ * @param {Array} items - items of the collection
+ */
+function Collection(items) {
+	this.items = items || [];
+	this.length = this.items.length;
+}
+
+Collection.prototype.toArray = function () {
+	return this.items.slice();
+};
+
+Collection.prototype.size = function () {
+	return this.items.length;
+};
+
+Collection.prototype.getLength = Collection.prototype.size;
+
+Collection.prototype.isEmpty = function () {
+	return this.items.length === 0;
+};
+
+Collection.prototype.iterator = function () {
+	var items = this.items;
+	var index = 0;
+
+	return {
+		hasNext: function () {
+			return index < items.length;
+		},
+		next: function () {
+			return items[index++];
+		}
+	};
+};
+
+module.exports = Collection;
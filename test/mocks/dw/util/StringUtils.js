@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Pads a number with leading zeros.
+ * @param {number} value - number to pad
+ * @param {number} length - minimum length
+ * @return {string} padded number
+ */
+function pad(value, length) {
+	var text = String(value);
+	while (text.length < length) {
+		text = '0' + text;
+	}
+	return text;
+}
+
+module.exports = {
+	formatMoney: function (money) {
+		return money.toString();
+	},
+	formatCalendar: function (calendar, pattern) {
+		var date = calendar.getTime();
+
+		return pattern
+			.replace('yyyy', pad(date.getUTCFullYear(), 4))
+			.replace('MM', pad(date.getUTCMonth() + 1, 2))
+			.replace('dd', pad(date.getUTCDate(), 2));
+	}
+};
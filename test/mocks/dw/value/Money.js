@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Rounds away floating point errors of money arithmetic.
+ * @param {number} value - amount
+ * @return {number} amount rounded to cents
+ */
+function round(value) {
+	return Math.round(value * 100) / 100;
+}
+
+function Money(value, currencyCode) {
+	this.value = value;
+	this.currencyCode = currencyCode;
+	this.available = value !== null && value !== undefined;
+}
+
+Money.prototype.getValue = function () {
+	return this.value;
+};
+
+Money.prototype.getCurrencyCode = function () {
+	return this.currencyCode;
+};
+
+Money.prototype.isAvailable = function () {
+	return this.available;
+};
+
+Money.prototype.add = function (money) {
+	return new Money(round(this.value + money.value), this.currencyCode);
+};
+
+Money.prototype.subtract = function (money) {
+	return new Money(round(this.value - money.value), this.currencyCode);
+};
+
+Money.prototype.compareTo = function (money) {
+	return this.value - money.value;
+};
+
+Money.prototype.valueOf = function () {
+	return this.value;
+};
+
+Money.prototype.toString = function () {
+	return this.currencyCode + ' ' + this.value.toFixed(2);
+};
+
+module.exports = Money;
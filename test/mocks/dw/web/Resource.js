@@ -0,0 +1,10 @@
+'use strict';
+
+module.exports = {
+	msg: function (key) {
+		return key;
+	},
+	msgf: function (key) {
+		return [key].concat(Array.prototype.slice.call(arguments, 3)).join(' ');
+	}
+};
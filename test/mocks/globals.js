@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Mirrors the global empty() function of the script API.
+ * @param {*} value - value to check
+ * @return {boolean} true for null, undefined, empty strings and empty collections
+ */
+global.empty = function (value) {
+	if (value === null || value === undefined || value === '') {
+		return true;
+	}
+
+	if (Array.isArray(value)) {
+		return value.length === 0;
+	}
+
+	if (typeof value.isEmpty === 'function') {
+		return value.isEmpty();
+	}
+
+	return false;
+};
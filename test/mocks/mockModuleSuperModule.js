@@ -0,0 +1,29 @@
+'use strict';
+
+var Module = require('module');
+
+/**
+ * Makes module.superModule of the modules loaded afterwards return the given base module, like the
+ * cartridge path does for overlay cartridges.
+ * @param {Object} superModule - exports of the base cartridge module
+ */
+function create(superModule) {
+	Object.defineProperty(Module.prototype, 'superModule', {
+		configurable: true,
+		get: function () {
+			return superModule;
+		}
+	});
+}
+
+/**
+ * Removes the base module set up by create.
+ */
+function remove() {
+	delete Module.prototype.superModule;
+}
+
+module.exports = {
+	create: create,
+	remove: remove
+};
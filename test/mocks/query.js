@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * Splits a query into its tokens.
+ * @param {string} queryString - query string of the script API
+ * @return {Array<string>} tokens
+ */
+function tokenize(queryString) {
+	return queryString.match(/\(|\)|!=|<=|>=|=|<|>|\{\d+\}|'[^']*'|[\w.]+/g);
+}
+
+/**
+ * Resolves an attribute path like custom.bonus on an object.
+ * @param {Object} object - queried object
+ * @param {string} path - attribute path
+ * @return {*} attribute value, null if not set
+ */
+function resolve(object, path) {
+	var value = path.split('.').reduce(function (current, name) {
+		return current === null || current === undefined ? null : current[name];
+	}, object);
+
+	return value === undefined ? null : value;
+}
+
+/**
+ * Parses a query into a predicate, supporting comparisons joined by AND, OR and parentheses.
+ * @param {string} queryString - query string of the script API
+ * @param {Array} args - values of the placeholders
+ * @return {Function} predicate taking the queried object
+ */
+function parse(queryString, args) {
+	var tokens = tokenize(queryString);
+	var position = 0;
+	var parseOr;
+
+	function parseValue(token) {
+		var placeholder = /^\{(\d+)\}$/.exec(token);
+
+		if (placeholder) {
+			return args[placeholder[1]];
+		}
+		if (token === 'NULL') {
+			return null;
+		}
+		if (token === 'true' || token === 'false') {
+			return token === 'true';
+		}
+		if (token.charAt(0) === '\'') {
+			return token.slice(1, -1);
+		}
+
+		return Number(token);
+	}
+
+	function parseComparison() {
+		if (tokens[position] === '(') {
+			position++;
+			var inner = parseOr();
+			position++;
+			return inner;
+		}
+
+		var path = tokens[position++];
+		var operator = tokens[position++];
+		var expected = parseValue(tokens[position++]);
+
+		return function (object) {
+			var actual = resolve(object, path);
+
+			switch (operator) {
+				case '=': return actual === expected;
+				case '!=': return actual !== expected;
+				case '<': return actual !== null && actual < expected;
+				case '>': return actual !== null && actual > expected;
+				case '<=': return actual !== null && actual <= expected;
+				case '>=': return actual !== null && actual >= expected;
+				default: throw new Error('Unsupported operator ' + operator);
+			}
+		};
+	}
+
+	function parseAnd() {
+		var predicates = [parseComparison()];
+
+		while (tokens[position] === 'AND') {
+			position++;
+			predicates.push(parseComparison());
+		}
+
+		return function (object) {
+			return predicates.every(function (predicate) { return predicate(object); });
+		};
+	}
+
+	parseOr = function () {
+		var predicates = [parseAnd()];
+
+		while (tokens[position] === 'OR') {
+			position++;
+			predicates.push(parseAnd());
+		}
+
+		return function (object) {
+			return predicates.some(function (predicate) { return predicate(object); });
+		};
+	};
+
+	return parseOr();
+}
+
+/**
+ * Sorts objects by a sort string like "creationDate desc".
+ * @param {Array<Object>} results - objects to sort
+ * @param {string} sortString - attribute and direction
+ * @return {Array<Object>} sorted objects
+ */
+function sort(results, sortString) {
+	if (!sortString) {
+		return results;
+	}
+
+	var parts = sortString.split(' ');
+	var direction = parts[1] === 'desc' ? -1 : 1;
+
+	return results.sort(function (a, b) {
+		var left = resolve(a, parts[0]);
+		var right = resolve(b, parts[0]);
+
+		if (left < right) {
+			return -direction;
+		}
+
+		return left > right ? direction : 0;
+	});
+}
+
+/**
+ * Creates a seekable iterator over query results.
+ * @param {Array<Object>} results - query results
+ * @return {Object} iterator like dw.util.SeekableIterator
+ */
+function createIterator(results) {
+	var items = results;
+	var index = 0;
+
+	return {
+		closed: false,
+		getCount: function () {
+			return results.length;
+		},
+		forward: function (start, size) {
+			items = results.slice(start, size === undefined ? results.length : start + size);
+			index = 0;
+		},
+		hasNext: function () {
+			return index < items.length;
+		},
+		next: function () {
+			return items[index++];
+		},
+		close: function () {
+			this.closed = true;
+		}
+	};
+}
+
+/**
+ * Runs a query of the script API against objects.
+ * @param {Array<Object>} objects - queried objects
+ * @param {string} queryString - query string
+ * @param {string} sortString - attribute and direction, e.g. "creationDate desc"
+ * @param {Array} args - values of the placeholders
+ * @return {Object} iterator like dw.util.SeekableIterator
+ */
+function query(objects, queryString, sortString, args) {
+	return createIterator(sort(objects.filter(parse(queryString, args)), sortString));
+}
+
+module.exports = query;
@@ -0,0 +1,245 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var mockSuperModule = require('../../../../mocks/mockModuleSuperModule');
+var Collection = require('../../../../mocks/dw/util/Collection');
+var Money = require('../../../../mocks/dw/value/Money');
+
+var Site = require('../../../../mocks/dw/system/Site');
+
+var eligibleAmount = 0;
+var giftCertificates = {};
+
+function createPaymentInstrument(paymentMethod, amount, giftCertificateCode) {
+	var transactionAmount = new Money(amount, 'USD');
+
+	return {
+		custom: {},
+		getPaymentMethod: function () {
+			return paymentMethod;
+		},
+		getGiftCertificateCode: function () {
+			return giftCertificateCode;
+		},
+		getPaymentTransaction: function () {
+			return {
+				getAmount: function () {
+					return transactionAmount;
+				},
+				setAmount: function (value) {
+					transactionAmount = value;
+				}
+			};
+		}
+	};
+}
+
+function createGiftCertificate(code, balance) {
+	return {
+		getGiftCertificateCode: function () {
+			return code;
+		},
+		getBalance: function () {
+			return new Money(balance, 'USD');
+		}
+	};
+}
+
+function createBasket(paymentInstruments, total) {
+	return {
+		totalGrossPrice: new Money(total, 'USD'),
+		getTotalGrossPrice: function () {
+			return this.totalGrossPrice;
+		},
+		getCurrencyCode: function () {
+			return 'USD';
+		},
+		getPaymentInstruments: function () {
+			return new Collection(paymentInstruments);
+		},
+		getGiftCertificatePaymentInstruments: function (code) {
+			return new Collection(paymentInstruments.filter(function (paymentInstrument) {
+				return paymentInstrument.getPaymentMethod() === 'GIFT_CERTIFICATE'
+					&& (!code || paymentInstrument.getGiftCertificateCode() === code);
+			}));
+		}
+	};
+}
+
+describe('checkoutHelpers', function () {
+	var checkoutHelpers;
+
+	before(function () {
+		mockSuperModule.create({});
+
+		checkoutHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/checkout/checkoutHelpers', {
+			'*/cartridge/scripts/util/collections': {},
+			'dw/system/Transaction': require('../../../../mocks/dw/system/Transaction'),
+			'dw/order/OrderMgr': {},
+			'dw/order/Order': {},
+			'dw/system/Site': Site,
+			'dw/order/GiftCertificateMgr': {
+				getGiftCertificateByCode: function (code) {
+					return giftCertificates[code] || null;
+				}
+			},
+			'dw/system/Status': function () {},
+			'dw/value/Money': Money,
+			'dw/order/BasketMgr': {},
+			'dw/order/PaymentInstrument': require('../../../../mocks/dw/order/PaymentInstrument'),
+			'*/cartridge/scripts/helpers/giftCertHelpers': {},
+			'*/cartridge/scripts/helpers/giftCertRestoreHelpers': {},
+			'*/cartridge/scripts/helpers/giftCertBonusHelpers': {},
+			'*/cartridge/scripts/helpers/giftCertPaymentPolicyHelpers': {
+				isRestricted: function () {
+					return false;
+				},
+				getRedeemableAmount: function () {
+					return 1000;
+				}
+			},
+			'*/cartridge/scripts/helpers/giftCertLimitHelpers': proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertLimitHelpers', {
+				'dw/web/Resource': require('../../../../mocks/dw/web/Resource'),
+				'dw/util/StringUtils': require('../../../../mocks/dw/util/StringUtils'),
+				'dw/value/Money': Money,
+				'dw/system/Site': Site
+			}),
+			'*/cartridge/scripts/helpers/giftCertExclusionHelpers': {
+				getEligibleAmount: function () {
+					return eligibleAmount;
+				},
+				getExclusionMessage: function () {
+					return 'billinggiftcert.exclusion';
+				}
+			},
+			'*/cartridge/scripts/helpers/giftCertProductListHelpers': {},
+			'*/cartridge/models/address': function () {}
+		});
+	});
+
+	after(function () {
+		mockSuperModule.remove();
+	});
+
+	describe('calculatePaymentTransaction', function () {
+		it('should charge the card with what the gift certificates leave open', function () {
+			var card = createPaymentInstrument('CREDIT_CARD', 0);
+			var basket = createBasket([createPaymentInstrument('GIFT_CERTIFICATE', 30, 'GC1'), card], 100);
+			eligibleAmount = 100;
+
+			var result = checkoutHelpers.calculatePaymentTransaction(basket);
+
+			assert.isFalse(result.error);
+			assert.equal(card.getPaymentTransaction().getAmount().value, 70);
+		});
+
+		it('should refuse gift certificates paying for excluded items if the card comes first', function () {
+			var basket = createBasket([
+				createPaymentInstrument('CREDIT_CARD', 40),
+				createPaymentInstrument('GIFT_CERTIFICATE', 40, 'GC1'),
+				createPaymentInstrument('GIFT_CERTIFICATE', 20, 'GC2')
+			], 100);
+			eligibleAmount = 50;
+
+			var result = checkoutHelpers.calculatePaymentTransaction(basket);
+
+			assert.isTrue(result.error);
+			assert.equal(result.message, 'billinggiftcert.exclusion');
+		});
+
+		it('should accept gift certificates covering the order total without a card', function () {
+			var basket = createBasket([
+				createPaymentInstrument('GIFT_CERTIFICATE', 60, 'GC1'),
+				createPaymentInstrument('GIFT_CERTIFICATE', 40, 'GC2')
+			], 100);
+			eligibleAmount = 100;
+
+			assert.isFalse(checkoutHelpers.calculatePaymentTransaction(basket).error);
+		});
+	});
+
+	describe('updateGiftCertificatePaymentInstrument', function () {
+		afterEach(function () {
+			Site.setPreferences({});
+		});
+
+		it('should redeem the amount the shopper chose', function () {
+			var paymentInstrument = createPaymentInstrument('GIFT_CERTIFICATE', 50, 'GC1');
+			var basket = createBasket([paymentInstrument], 100);
+			eligibleAmount = 100;
+
+			checkoutHelpers.updateGiftCertificatePaymentInstrument(basket, createGiftCertificate('GC1', 50), 20);
+
+			assert.equal(paymentInstrument.getPaymentTransaction().getAmount().value, 20);
+			assert.equal(paymentInstrument.custom.giftCertRequestedAmount, 20);
+		});
+
+		it('should redeem no more than the balance and the total the other gift certificates leave open', function () {
+			var paymentInstrument = createPaymentInstrument('GIFT_CERTIFICATE', 10, 'GC1');
+			var basket = createBasket([createPaymentInstrument('GIFT_CERTIFICATE', 70, 'GC2'), paymentInstrument], 100);
+			eligibleAmount = 100;
+
+			checkoutHelpers.updateGiftCertificatePaymentInstrument(basket, createGiftCertificate('GC1', 50), 40);
+			assert.equal(paymentInstrument.getPaymentTransaction().getAmount().value, 30);
+
+			checkoutHelpers.updateGiftCertificatePaymentInstrument(basket, createGiftCertificate('GC1', 20), 40);
+			assert.equal(paymentInstrument.getPaymentTransaction().getAmount().value, 20);
+		});
+
+		it('should change nothing for gift certificates not applied', function () {
+			var basket = createBasket([createPaymentInstrument('GIFT_CERTIFICATE', 70, 'GC2')], 100);
+
+			assert.isNull(checkoutHelpers.updateGiftCertificatePaymentInstrument(basket, createGiftCertificate('GC1', 50), 20));
+		});
+	});
+
+	describe('getGiftCertificateAllocationOrder', function () {
+		var DAY = 24 * 60 * 60 * 1000;
+		var basket;
+
+		function getCodes() {
+			return checkoutHelpers.getGiftCertificateAllocationOrder(basket).map(function (allocation) {
+				return allocation.paymentInstrument.getGiftCertificateCode();
+			});
+		}
+
+		beforeEach(function () {
+			giftCertificates = {
+				NEVER: createGiftCertificate('NEVER', 10),
+				LATE: createGiftCertificate('LATE', 30),
+				SOON: createGiftCertificate('SOON', 50),
+				SMALL: createGiftCertificate('SMALL', 10)
+			};
+			giftCertificates.NEVER.custom = { expirationDate: null };
+			giftCertificates.LATE.custom = { expirationDate: new Date(Date.now() + (30 * DAY)) };
+			giftCertificates.SOON.custom = { expirationDate: new Date(Date.now() + DAY) };
+			giftCertificates.SMALL.custom = { expirationDate: null };
+			basket = createBasket(['NEVER', 'LATE', 'SOON', 'SMALL'].map(function (code) {
+				return createPaymentInstrument('GIFT_CERTIFICATE', 10, code);
+			}), 100);
+		});
+
+		afterEach(function () {
+			giftCertificates = {};
+			Site.setPreferences({});
+		});
+
+		it('should redeem the gift certificates in the order they were entered by default', function () {
+			assert.deepEqual(getCodes(), ['NEVER', 'LATE', 'SOON', 'SMALL']);
+		});
+
+		it('should redeem the gift certificates expiring first first, those never expiring last', function () {
+			Site.setPreferences({ giftCertAllocationStrategy: { value: 'EXPIRING_FIRST' } });
+
+			assert.deepEqual(getCodes(), ['SOON', 'LATE', 'NEVER', 'SMALL']);
+		});
+
+		it('should redeem the smallest balances first', function () {
+			Site.setPreferences({ giftCertAllocationStrategy: { value: 'SMALLEST_BALANCE_FIRST' } });
+
+			assert.deepEqual(getCodes(), ['NEVER', 'SMALL', 'LATE', 'SOON']);
+		});
+	});
+});
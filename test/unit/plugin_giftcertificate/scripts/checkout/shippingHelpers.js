@@ -0,0 +1,81 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var mockSuperModule = require('../../../../mocks/mockModuleSuperModule');
+var Collection = require('../../../../mocks/dw/util/Collection');
+
+function ArrayList() {
+	Collection.call(this, []);
+}
+
+ArrayList.prototype = Object.create(Collection.prototype);
+
+ArrayList.prototype.push = function (item) {
+	this.items.push(item);
+	this.length = this.items.length;
+};
+
+function createShipment(id, productCount, deliveryTypes) {
+	return {
+		ID: id,
+		productLineItems: new Collection(new Array(productCount)),
+		giftCertificateLineItems: new Collection(deliveryTypes.map(function (deliveryType) {
+			return { custom: { deliveryType: { value: deliveryType } } };
+		}))
+	};
+}
+
+describe('shippingHelpers', function () {
+	var shippingHelpers;
+
+	before(function () {
+		mockSuperModule.create({});
+		shippingHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/checkout/shippingHelpers', {
+			'*/cartridge/scripts/util/collections': {
+				map: function (collection, callback) {
+					return collection.toArray().map(callback);
+				}
+			},
+			'*/cartridge/models/shipping': function (shipment) {
+				this.ID = shipment.ID;
+			},
+			'*/cartridge/scripts/helpers/giftCertHelpers': {
+				isPhysical: function (item) {
+					return item.custom.deliveryType.value === 'PHYSICAL';
+				}
+			},
+			'dw/util/ArrayList': ArrayList
+		});
+	});
+
+	after(function () {
+		mockSuperModule.remove();
+	});
+
+	describe('getShippingModels', function () {
+		it('should skip shipments holding only emailed gift certificates', function () {
+			var shipments = [
+				createShipment('products', 1, []),
+				createShipment('email', 0, ['EMAIL']),
+				createShipment('physical', 0, ['EMAIL', 'PHYSICAL'])
+			];
+			var basket = {
+				getShipments: function () {
+					return shipments;
+				}
+			};
+
+			var models = shippingHelpers.getShippingModels(basket, null, 'basket');
+
+			assert.deepEqual(models.map(function (model) {
+				return model.ID;
+			}), ['products', 'physical']);
+		});
+
+		it('should return no shipping models without basket', function () {
+			assert.deepEqual(shippingHelpers.getShippingModels(null, null, 'basket'), []);
+		});
+	});
+});
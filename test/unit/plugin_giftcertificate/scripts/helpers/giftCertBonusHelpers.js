@@ -0,0 +1,148 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var Site = require('../../../../mocks/dw/system/Site');
+var Money = require('../../../../mocks/dw/value/Money');
+
+var giftCertBonusHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertBonusHelpers', {
+	'dw/order/GiftCertificateMgr': {
+		createGiftCertificate: function (amount) {
+			return {
+				amount: amount,
+				enabled: true,
+				custom: {},
+				setRecipientEmail: function (value) { this.recipientEmail = value; },
+				setRecipientName: function (value) { this.recipientName = value; },
+				setSenderName: function () {},
+				setMessage: function (value) { this.message = value; },
+				setOrderNo: function (value) { this.orderNo = value; },
+				setEnabled: function (value) { this.enabled = value; }
+			};
+		}
+	},
+	'dw/web/Resource': require('../../../../mocks/dw/web/Resource'),
+	'dw/system/Logger': require('../../../../mocks/dw/system/Logger'),
+	'dw/system/Site': Site,
+	'dw/util/StringUtils': require('../../../../mocks/dw/util/StringUtils'),
+	'*/cartridge/scripts/helpers/giftCertHelpers': {
+		DELIVERY_TYPE_EMAIL: 'EMAIL',
+		DELIVERY_STATUS_PENDING: 'PENDING',
+		DELIVERY_STATUS_HELD: 'HELD',
+		formatSiteDate: function () {
+			return '2026-12-01';
+		},
+		getExpirationDate: function () {
+			return null;
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertPinHelpers': {
+		assignInitialPin: function () {
+			return null;
+		}
+	}
+});
+
+var RULES = [
+	{ threshold: 100, bonusAmount: 20, recipient: 'BUYER' },
+	{ threshold: 250, bonusAmount: 60, recipient: 'RECIPIENT', validityDays: 90 },
+	{ threshold: 50, bonusAmount: 10, currencyCode: 'EUR' },
+	{ threshold: 50, bonusAmount: 5, endDate: '2026-11-30' },
+	{ threshold: 50, bonusAmount: 5, startDate: '2026-12-02' },
+	{ threshold: 50 }
+];
+
+function createLineItem(amount, recipientEmail) {
+	return {
+		netPrice: new Money(amount, 'USD'),
+		recipientEmail: recipientEmail,
+		recipientName: 'Jane',
+		custom: { designId: 'birthday', deliveryDate: null }
+	};
+}
+
+function createGiftCertificate(amount) {
+	return {
+		getAmount: function () {
+			return new Money(amount, 'USD');
+		},
+		getMaskedGiftCertificateCode: function () {
+			return '****ABCD';
+		}
+	};
+}
+
+function createOrder() {
+	return {
+		getOrderNo: function () { return '00001'; },
+		getCustomerEmail: function () { return 'john@example.com'; },
+		getCustomerName: function () { return 'John'; }
+	};
+}
+
+function issue(amount, recipientEmail, hold) {
+	var rules = giftCertBonusHelpers.getActiveRules('USD');
+	return giftCertBonusHelpers.issueBonusCertificate(createGiftCertificate(amount), createLineItem(amount, recipientEmail), createOrder(), rules, hold);
+}
+
+describe('giftCertBonusHelpers', function () {
+	beforeEach(function () {
+		Site.setPreferences({ giftCertBonusRules: JSON.stringify(RULES) });
+	});
+
+	afterEach(function () {
+		Site.setPreferences({});
+	});
+
+	describe('getActiveRules', function () {
+		it('should keep the complete rules of the currency and date, highest threshold first', function () {
+			assert.deepEqual(giftCertBonusHelpers.getActiveRules('USD').map(function (rule) {
+				return rule.threshold;
+			}), [250, 100]);
+		});
+
+		it('should ignore invalid preferences', function () {
+			Site.setPreferences({ giftCertBonusRules: '{"threshold": 100}' });
+			assert.deepEqual(giftCertBonusHelpers.getActiveRules('USD'), []);
+
+			Site.setPreferences({ giftCertBonusRules: '[{' });
+			assert.deepEqual(giftCertBonusHelpers.getActiveRules('USD'), []);
+		});
+	});
+
+	describe('issueBonusCertificate', function () {
+		it('should issue no bonus below the lowest threshold', function () {
+			assert.isNull(issue(99.99, 'jane@example.com'));
+		});
+
+		it('should issue the bonus of the highest threshold reached to the buyer', function () {
+			var bonus = issue(100, 'jane@example.com');
+
+			assert.equal(bonus.amount, 20);
+			assert.equal(bonus.recipientEmail, 'john@example.com');
+			assert.isTrue(bonus.custom.bonus);
+			assert.equal(bonus.custom.bonusFor, '****ABCD');
+			assert.equal(bonus.custom.deliveryStatus, 'PENDING');
+		});
+
+		it('should send the bonus to the recipient if the rule says so', function () {
+			var bonus = issue(300, 'jane@example.com');
+
+			assert.equal(bonus.amount, 60);
+			assert.equal(bonus.recipientEmail, 'jane@example.com');
+			assert.equal(bonus.custom.validityDays, 90);
+		});
+
+		it('should send the bonus of physical cards to the buyer', function () {
+			assert.equal(issue(300, null).recipientEmail, 'john@example.com');
+		});
+
+		it('should hold the bonus with the gift certificates of the order', function () {
+			var bonus = issue(100, 'jane@example.com', true);
+
+			assert.equal(bonus.custom.deliveryStatus, 'HELD');
+			assert.isFalse(bonus.enabled);
+		});
+	});
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var addedLineItems = [];
+
+var giftCertBulkHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertBulkHelpers', {
+	'dw/web/Resource': require('../../../../mocks/dw/web/Resource'),
+	'dw/system/Transaction': require('../../../../mocks/dw/system/Transaction'),
+	'*/cartridge/scripts/helpers/giftCertHelpers': {
+		isValidEmail: function (email) {
+			return email.indexOf('@') > 0;
+		},
+		validateAmount: function (amount) {
+			return amount >= 5 && amount <= 5000 ? null : 'giftcert.amountparseerror';
+		},
+		addGiftCertificateLineItem: function (basket, values) {
+			addedLineItems.push(values);
+		}
+	}
+});
+
+describe('giftCertBulkHelpers', function () {
+	afterEach(function () {
+		addedLineItems = [];
+	});
+
+	describe('parseRecipients', function () {
+		it('should skip the header row and blank rows', function () {
+			var recipients = giftCertBulkHelpers.parseRecipients('Name,Email,Amount,Message\r\nJane,jane@example.com,50,Thanks\r\n\r\n , \nJohn,john@example.com,25');
+
+			assert.lengthOf(recipients, 2);
+			assert.deepEqual(recipients[0], {
+				row: 2,
+				columns: 4,
+				recipientName: 'Jane',
+				recipientEmail: 'jane@example.com',
+				amount: 50,
+				message: 'Thanks'
+			});
+			assert.equal(recipients[1].row, 5);
+			assert.equal(recipients[1].message, '');
+		});
+
+		it('should read quoted fields with commas, quotes and line breaks', function () {
+			var recipients = giftCertBulkHelpers.parseRecipients('"Doe, Jane",jane@example.com,50,"Happy ""10th""\nanniversary"');
+
+			assert.equal(recipients[0].recipientName, 'Doe, Jane');
+			assert.equal(recipients[0].message, 'Happy "10th"\nanniversary');
+		});
+
+		it('should keep a first row with a numeric amount', function () {
+			assert.lengthOf(giftCertBulkHelpers.parseRecipients('Jane,jane@example.com,50'), 1);
+		});
+	});
+
+	describe('validateRecipient', function () {
+		it('should report missing columns only', function () {
+			var recipient = giftCertBulkHelpers.parseRecipients('Jane,jane@example.com')[0];
+
+			assert.deepEqual(giftCertBulkHelpers.validateRecipient(recipient, 'USD'), ['giftcert.bulk.columns-error']);
+		});
+
+		it('should validate the fields like the purchase form', function () {
+			var recipient = giftCertBulkHelpers.parseRecipients(',jane.example.com,1')[0];
+
+			assert.deepEqual(giftCertBulkHelpers.validateRecipient(recipient, 'USD'), [
+				'giftcert.purchase.recipient.missing-error',
+				'giftcert.purchase.recipientemail.parse-error',
+				'giftcert.amountparseerror'
+			]);
+		});
+	});
+
+	describe('addRecipientsToBasket', function () {
+		it('should add a line item for every recipient', function () {
+			var result = giftCertBulkHelpers.addRecipientsToBasket({}, 'ACME', 'Jane,jane@example.com,50,Thanks\nJohn,john@example.com,25', 'USD');
+
+			assert.isFalse(result.error);
+			assert.equal(result.count, 2);
+			assert.deepEqual(addedLineItems[0], {
+				amount: 50,
+				recipientName: 'Jane',
+				recipientEmail: 'jane@example.com',
+				senderName: 'ACME',
+				message: 'Thanks'
+			});
+		});
+
+		it('should add nothing if a row is invalid', function () {
+			var result = giftCertBulkHelpers.addRecipientsToBasket({}, 'ACME', 'Jane,jane@example.com,50\nJohn,john@example.com,lots', 'USD');
+
+			assert.isTrue(result.error);
+			assert.equal(result.message, 'giftcert.bulk.rows-error 1');
+			assert.deepEqual(result.rowErrors, [{ row: 2, recipientEmail: 'john@example.com', errors: ['giftcert.amountvalueerror'] }]);
+			assert.lengthOf(addedLineItems, 0);
+		});
+
+		it('should reject empty lists and lists of more than 500 recipients', function () {
+			var rows = [];
+			for (var i = 0; i < 501; i++) {
+				rows.push('Jane,jane@example.com,50');
+			}
+
+			assert.equal(giftCertBulkHelpers.addRecipientsToBasket({}, 'ACME', '\n', 'USD').message, 'giftcert.bulk.empty-error');
+			assert.equal(giftCertBulkHelpers.addRecipientsToBasket({}, 'ACME', rows.join('\n'), 'USD').message, 'giftcert.bulk.maxrows-error 500');
+			assert.lengthOf(addedLineItems, 0);
+		});
+	});
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var CustomObjectMgr = require('../../../../mocks/dw/object/CustomObjectMgr');
+
+var giftCertDesignHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertDesignHelpers', {
+	'dw/object/CustomObjectMgr': CustomObjectMgr,
+	'dw/web/URLUtils': {
+		staticURL: function (path) {
+			return '/static' + path;
+		},
+		absStatic: function (path) {
+			return 'https://example.com/static' + path;
+		}
+	},
+	'dw/web/Resource': require('../../../../mocks/dw/web/Resource')
+});
+
+function createDesign(id, position, enabled, custom) {
+	var design = CustomObjectMgr.createCustomObject('GiftCertificateDesign', id);
+	design.custom.ID = id;
+	design.custom.position = position;
+	design.custom.enabled = enabled;
+	Object.keys(custom || {}).forEach(function (name) {
+		design.custom[name] = custom[name];
+	});
+}
+
+describe('giftCertDesignHelpers', function () {
+	beforeEach(function () {
+		createDesign('wedding', 2, true, { name: 'Wedding', occasion: 'WEDDING', backgroundColor: '#ffffff' });
+		createDesign('birthday', 1, true, {
+			image: {
+				getURL: function () { return '/images/birthday.jpg'; },
+				getAbsURL: function () { return 'https://example.com/images/birthday.jpg'; }
+			}
+		});
+		createDesign('retired', 0, false);
+	});
+
+	afterEach(function () {
+		CustomObjectMgr.reset();
+	});
+
+	describe('getDesigns', function () {
+		it('should list the enabled designs by position', function () {
+			var designs = giftCertDesignHelpers.getDesigns();
+
+			assert.deepEqual(designs.map(function (design) {
+				return design.ID;
+			}), ['birthday', 'wedding']);
+		});
+
+		it('should fall back to the default image and colors', function () {
+			var designs = giftCertDesignHelpers.getDesigns();
+
+			assert.equal(designs[0].name, 'birthday');
+			assert.equal(designs[0].imageUrl, '/images/birthday.jpg');
+			assert.equal(designs[0].backgroundColor, '#e0e0e0');
+			assert.equal(designs[1].imageUrl, '/static/images/gift-card.jpg');
+			assert.equal(designs[1].backgroundColor, '#ffffff');
+			assert.equal(designs[1].occasion, 'WEDDING');
+		});
+	});
+
+	describe('getDesign', function () {
+		it('should still return designs disabled after the purchase', function () {
+			assert.equal(giftCertDesignHelpers.getDesign('retired').ID, 'retired');
+		});
+
+		it('should return the default design for deleted designs', function () {
+			var design = giftCertDesignHelpers.getDesign('deleted');
+
+			assert.isNull(design.ID);
+			assert.equal(design.name, 'giftcert.design.default');
+		});
+	});
+
+	describe('isSelectable', function () {
+		it('should accept the default design and enabled designs only', function () {
+			assert.isTrue(giftCertDesignHelpers.isSelectable(null));
+			assert.isTrue(giftCertDesignHelpers.isSelectable('birthday'));
+			assert.isFalse(giftCertDesignHelpers.isSelectable('retired'));
+			assert.isFalse(giftCertDesignHelpers.isSelectable('deleted'));
+		});
+	});
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var Site = require('../../../../mocks/dw/system/Site');
+var Money = require('../../../../mocks/dw/value/Money');
+var Collection = require('../../../../mocks/dw/util/Collection');
+
+var giftCertExclusionHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertExclusionHelpers', {
+	'dw/web/Resource': require('../../../../mocks/dw/web/Resource'),
+	'dw/util/StringUtils': require('../../../../mocks/dw/util/StringUtils'),
+	'dw/value/Money': Money,
+	'dw/system/Site': Site
+});
+
+function createCategory(id, parent) {
+	return {
+		getID: function () {
+			return id;
+		},
+		getParent: function () {
+			return parent || null;
+		}
+	};
+}
+
+function createProduct(id, categories, master) {
+	return {
+		getID: function () {
+			return id;
+		},
+		isVariant: function () {
+			return !!master;
+		},
+		getMasterProduct: function () {
+			return master;
+		},
+		getCategories: function () {
+			return new Collection(categories || []);
+		}
+	};
+}
+
+function createLineItem(product, price, parent) {
+	return {
+		isOptionProductLineItem: function () {
+			return !!parent;
+		},
+		getParent: function () {
+			return parent;
+		},
+		getProduct: function () {
+			return product;
+		},
+		getAdjustedGrossPrice: function () {
+			return new Money(price, 'USD');
+		}
+	};
+}
+
+function createBasket(lineItems, shipping, total) {
+	return {
+		getAllProductLineItems: function () {
+			return new Collection(lineItems);
+		},
+		getAdjustedShippingTotalGrossPrice: function () {
+			return new Money(shipping, 'USD');
+		},
+		getTotalGrossPrice: function () {
+			return new Money(total, 'USD');
+		},
+		getCurrencyCode: function () {
+			return 'USD';
+		}
+	};
+}
+
+describe('giftCertExclusionHelpers', function () {
+	var electronics = createCategory('electronics');
+	var phones = createCategory('phones', electronics);
+	var master = createProduct('phone-master', [phones]);
+
+	afterEach(function () {
+		Site.setPreferences({});
+	});
+
+	describe('isProductExcluded', function () {
+		it('should exclude variants with their master', function () {
+			Site.setPreferences({ giftCertExcludedProducts: ['phone-master'] });
+
+			assert.isTrue(giftCertExclusionHelpers.isProductExcluded(createProduct('phone-black', [], master)));
+			assert.isFalse(giftCertExclusionHelpers.isProductExcluded(createProduct('shirt', [])));
+		});
+
+		it('should exclude products of subcategories of excluded categories', function () {
+			Site.setPreferences({ giftCertExcludedCategories: ['electronics'] });
+
+			assert.isTrue(giftCertExclusionHelpers.isProductExcluded(createProduct('phone', [phones])));
+			assert.isFalse(giftCertExclusionHelpers.isProductExcluded(createProduct('shirt', [createCategory('clothing')])));
+		});
+	});
+
+	describe('getExcludedAmount', function () {
+		it('should add excluded products with their options and shipping if excluded', function () {
+			var phone = createLineItem(createProduct('phone', [phones]), 300);
+			var warranty = createLineItem(createProduct('warranty'), 49.99, phone);
+			var shirt = createLineItem(createProduct('shirt'), 20);
+			var basket = createBasket([phone, warranty, shirt], 5.99, 375.98);
+			Site.setPreferences({ giftCertExcludedCategories: ['electronics'] });
+
+			assert.equal(giftCertExclusionHelpers.getExcludedAmount(basket), 349.99);
+			assert.equal(giftCertExclusionHelpers.getEligibleAmount(basket), 25.99);
+
+			Site.setPreferences({ giftCertExcludedCategories: ['electronics'], giftCertExcludeShipping: true });
+			assert.equal(giftCertExclusionHelpers.getExcludedAmount(basket), 355.98);
+			assert.equal(giftCertExclusionHelpers.getEligibleAmount(basket), 20);
+		});
+	});
+
+	describe('getExclusionMessage', function () {
+		it('should tell the amount gift certificates can pay only if something is excluded', function () {
+			var basket = createBasket([createLineItem(createProduct('phone', [phones]), 300), createLineItem(createProduct('shirt'), 20)], 0, 320);
+
+			assert.isNull(giftCertExclusionHelpers.getExclusionMessage(basket));
+
+			Site.setPreferences({ giftCertExcludedCategories: ['electronics'] });
+			assert.equal(giftCertExclusionHelpers.getExclusionMessage(basket), 'billinggiftcert.exclusion USD 20.00');
+		});
+	});
+});
@@ -0,0 +1,405 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var Site = require('../../../../mocks/dw/system/Site');
+var HookMgr = require('../../../../mocks/dw/system/HookMgr');
+
+var pinHelpers = {
+	isPinEnabled: function () {
+		return !!Site.current.getCustomPreferenceValue('giftCertPinEnabled');
+	},
+	assignInitialPin: function () {
+		return '123456';
+	}
+};
+
+var designHelpers = {
+	isSelectable: function (designId) {
+		return designId === 'birthday';
+	},
+	getDesign: function (designId) {
+		return { ID: designId || null };
+	}
+};
+
+var giftCertHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertHelpers', {
+	'dw/system/Transaction': require('../../../../mocks/dw/system/Transaction'),
+	'dw/system/Logger': require('../../../../mocks/dw/system/Logger'),
+	'dw/system/Site': Site,
+	'dw/system/HookMgr': HookMgr,
+	'dw/value/Money': require('../../../../mocks/dw/value/Money'),
+	'dw/web/Resource': require('../../../../mocks/dw/web/Resource'),
+	'dw/util/StringUtils': require('../../../../mocks/dw/util/StringUtils'),
+	'dw/util/Calendar': require('../../../../mocks/dw/util/Calendar'),
+	'dw/order/GiftCertificateMgr': {
+		createGiftCertificate: function (amount) {
+			return {
+				amount: amount,
+				custom: {},
+				enabled: true,
+				setRecipientEmail: function (value) { this.recipientEmail = value; },
+				setRecipientName: function (value) { this.recipientName = value; },
+				setSenderName: function (value) { this.senderName = value; },
+				setMessage: function (value) { this.message = value; },
+				setOrderNo: function (value) { this.orderNo = value; },
+				setEnabled: function (value) { this.enabled = value; },
+				getMaskedGiftCertificateCode: function () { return '****ABCD'; }
+			};
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertPinHelpers': pinHelpers,
+	'*/cartridge/scripts/helpers/giftCertDesignHelpers': designHelpers
+});
+
+function createLineItem(deliveryType) {
+	return {
+		netPrice: { value: 50 },
+		recipientEmail: 'jane@example.com',
+		recipientName: 'Jane',
+		senderName: 'John',
+		message: 'Enjoy',
+		custom: { deliveryType: { value: deliveryType }, designId: null, deliveryDate: null }
+	};
+}
+
+function createOrder(customerNo) {
+	return {
+		getOrderNo: function () {
+			return '00001';
+		},
+		getCustomerNo: function () {
+			return customerNo;
+		}
+	};
+}
+
+function createRecipientParams(count) {
+	var params = {};
+
+	for (var i = 0; i < count; i++) {
+		var prefix = 'dwfrm_giftcert_purchase_additionalRecipients_i' + i + '_';
+		params[prefix + 'recipient'] = ' Recipient ' + i + ' ';
+		params[prefix + 'recipientEmail'] = 'recipient' + i + '@example.com';
+		params[prefix + 'confirmRecipientEmail'] = 'recipient' + i + '@example.com';
+	}
+
+	return params;
+}
+
+function createPurchaseForm(values) {
+	var form = {};
+
+	['recipient', 'from', 'message', 'amount', 'designId', 'deliveryType', 'deliveryDate'].forEach(function (name) {
+		form[name] = { value: name in values ? values[name] : null, valid: true };
+	});
+
+	return form;
+}
+
+describe('giftCertHelpers', function () {
+	afterEach(function () {
+		Site.setPreferences({});
+		HookMgr.reset();
+	});
+
+	describe('getAmountLimits', function () {
+		it('should fall back to 5 to 5000 without denominations if nothing is configured', function () {
+			assert.deepEqual(giftCertHelpers.getAmountLimits('USD'), { min: 5, max: 5000, denominations: [] });
+		});
+
+		it('should read the limits of the currency and fall back to the default entry', function () {
+			Site.setPreferences({
+				giftCertAmountLimits: JSON.stringify({
+					USD: { min: 10, max: 500, denominations: [25, 50] },
+					default: { min: 20, max: 200 }
+				})
+			});
+
+			assert.deepEqual(giftCertHelpers.getAmountLimits('USD'), { min: 10, max: 500, denominations: [25, 50] });
+			assert.deepEqual(giftCertHelpers.getAmountLimits('EUR'), { min: 20, max: 200, denominations: [] });
+		});
+
+		it('should drop denominations outside of the limits', function () {
+			Site.setPreferences({
+				giftCertAmountLimits: JSON.stringify({ USD: { min: 10, max: 100, denominations: [5, 25, 'fifty', 250] } })
+			});
+
+			assert.deepEqual(giftCertHelpers.getAmountLimits('USD').denominations, [25]);
+		});
+
+		it('should fall back to the defaults if the preference is not valid JSON', function () {
+			Site.setPreferences({ giftCertAmountLimits: '{USD: 5' });
+
+			assert.deepEqual(giftCertHelpers.getAmountLimits('USD'), { min: 5, max: 5000, denominations: [] });
+		});
+	});
+
+	describe('validateAmount', function () {
+		it('should accept amounts within the limits', function () {
+			Site.setPreferences({ giftCertAmountLimits: JSON.stringify({ USD: { min: 10, max: 100 } }) });
+
+			assert.isNull(giftCertHelpers.validateAmount(10, 'USD'));
+			assert.isNull(giftCertHelpers.validateAmount(100, 'USD'));
+		});
+
+		it('should reject amounts outside of the limits', function () {
+			Site.setPreferences({ giftCertAmountLimits: JSON.stringify({ USD: { min: 10, max: 100 } }) });
+
+			assert.equal(giftCertHelpers.validateAmount(9.99, 'USD'), 'giftcert.amountparseerror USD 10.00 USD 100.00');
+			assert.equal(giftCertHelpers.validateAmount(100.01, 'USD'), 'giftcert.amountparseerror USD 10.00 USD 100.00');
+		});
+
+		it('should only accept the denominations in DENOMINATIONS mode', function () {
+			Site.setPreferences({
+				giftCertAmountLimits: JSON.stringify({ USD: { min: 10, max: 100, denominations: [25, 50] } }),
+				giftCertAmountMode: { value: 'DENOMINATIONS' }
+			});
+
+			assert.isNull(giftCertHelpers.validateAmount(25, 'USD'));
+			assert.equal(giftCertHelpers.validateAmount(30, 'USD'), 'giftcert.amountdenominationerror USD 25.00, USD 50.00');
+		});
+
+		it('should accept custom amounts within the limits in DENOMINATIONS mode if allowed', function () {
+			Site.setPreferences({
+				giftCertAmountLimits: JSON.stringify({ USD: { min: 10, max: 100, denominations: [25, 50] } }),
+				giftCertAmountMode: { value: 'DENOMINATIONS' },
+				giftCertAllowCustomAmount: true
+			});
+
+			assert.isNull(giftCertHelpers.validateAmount(30, 'USD'));
+			assert.equal(giftCertHelpers.validateAmount(200, 'USD'), 'giftcert.amountparseerror USD 10.00 USD 100.00');
+		});
+	});
+
+	describe('getAmountSelection', function () {
+		it('should let shoppers enter the amount freely if no amount mode is configured', function () {
+			Site.setPreferences({ giftCertAmountLimits: JSON.stringify({ USD: { min: 10, max: 100, denominations: [25, 50] } }) });
+
+			var selection = giftCertHelpers.getAmountSelection('USD');
+
+			assert.equal(selection.mode, 'free');
+			assert.isTrue(selection.allowCustomAmount);
+		});
+
+		it('should offer the denominations in DENOMINATIONS mode', function () {
+			Site.setPreferences({
+				giftCertAmountLimits: JSON.stringify({ USD: { min: 10, max: 100, denominations: [25, 50] } }),
+				giftCertAmountMode: { value: 'DENOMINATIONS' }
+			});
+
+			var selection = giftCertHelpers.getAmountSelection('USD');
+
+			assert.equal(selection.mode, 'denominations');
+			assert.deepEqual(selection.denominations, [{ value: 25, label: 'USD 25.00' }, { value: 50, label: 'USD 50.00' }]);
+			assert.isFalse(selection.allowCustomAmount);
+		});
+
+		it('should fall back to a free amount in DENOMINATIONS mode without denominations for the currency', function () {
+			Site.setPreferences({
+				giftCertAmountLimits: JSON.stringify({ USD: { min: 10, max: 100, denominations: [25, 50] }, EUR: { min: 10, max: 100 } }),
+				giftCertAmountMode: { value: 'DENOMINATIONS' }
+			});
+
+			assert.equal(giftCertHelpers.getAmountSelection('EUR').mode, 'free');
+		});
+	});
+
+	describe('createGiftCertificateFromLineItem', function () {
+		it('should record the order and the customer who bought the gift certificate', function () {
+			var giftCertificate = giftCertHelpers.createGiftCertificateFromLineItem(createLineItem('EMAIL'), createOrder('C001'));
+
+			assert.equal(giftCertificate.amount, 50);
+			assert.equal(giftCertificate.orderNo, '00001');
+			assert.equal(giftCertificate.custom.purchaserCustomerNo, 'C001');
+			assert.equal(giftCertificate.custom.deliveryStatus, 'PENDING');
+			assert.isTrue(giftCertificate.enabled);
+		});
+
+		it('should record no purchaser for guest orders', function () {
+			var giftCertificate = giftCertHelpers.createGiftCertificateFromLineItem(createLineItem('EMAIL'), createOrder(null));
+
+			assert.isNull(giftCertificate.custom.purchaserCustomerNo);
+		});
+
+		it('should create the gift certificates of held orders disabled', function () {
+			var giftCertificate = giftCertHelpers.createGiftCertificateFromLineItem(createLineItem('EMAIL'), createOrder('C001'), true);
+
+			assert.equal(giftCertificate.custom.deliveryStatus, 'HELD');
+			assert.isFalse(giftCertificate.enabled);
+		});
+
+		it('should pass the PIN of a physical card to the fulfillment hook without storing it', function () {
+			var printed = null;
+			var lineItem = createLineItem('PHYSICAL');
+
+			HookMgr.register('app.giftcert.fulfillment', {
+				printCard: function (giftCertificate, pin) {
+					printed = { giftCertificate: giftCertificate, pin: pin };
+				}
+			});
+
+			var giftCertificate = giftCertHelpers.createGiftCertificateFromLineItem(lineItem, createOrder('C001'));
+
+			assert.strictEqual(printed.giftCertificate, giftCertificate);
+			assert.equal(printed.pin, '123456');
+			assert.notProperty(lineItem.custom, 'pin');
+			assert.notProperty(giftCertificate.custom, 'pin');
+		});
+
+		it('should not call the fulfillment hook for emailed gift certificates', function () {
+			var called = false;
+
+			HookMgr.register('app.giftcert.fulfillment', {
+				printCard: function () {
+					called = true;
+				}
+			});
+
+			giftCertHelpers.createGiftCertificateFromLineItem(createLineItem('EMAIL'), createOrder('C001'));
+
+			assert.isFalse(called);
+		});
+	});
+
+	describe('getAdditionalRecipients', function () {
+		var giftCertForm = { purchase: { htmlName: 'dwfrm_giftcert_purchase' } };
+
+		it('should read the filled in recipient rows and skip empty ones', function () {
+			var params = createRecipientParams(2);
+			params.dwfrm_giftcert_purchase_additionalRecipients_i2_recipient = '';
+			params.dwfrm_giftcert_purchase_additionalRecipients_i3_recipient = 'Recipient 3';
+
+			var recipients = giftCertHelpers.getAdditionalRecipients(giftCertForm, params);
+
+			assert.deepEqual(recipients.map(function (recipient) {
+				return recipient.recipientName;
+			}), ['Recipient 0', 'Recipient 1', 'Recipient 3']);
+			assert.equal(recipients[0].recipientEmail, 'recipient0@example.com');
+			assert.equal(recipients[0].htmlNames.recipientEmail, 'dwfrm_giftcert_purchase_additionalRecipients_i0_recipientEmail');
+		});
+
+		it('should read no more rows than 9 if no limit is configured', function () {
+			assert.lengthOf(giftCertHelpers.getAdditionalRecipients(giftCertForm, createRecipientParams(12)), 9);
+		});
+
+		it('should read no more rows than the configured limit', function () {
+			Site.setPreferences({ giftCertMaxAdditionalRecipients: 2 });
+			assert.lengthOf(giftCertHelpers.getAdditionalRecipients(giftCertForm, createRecipientParams(5)), 2);
+
+			Site.setPreferences({ giftCertMaxAdditionalRecipients: 0 });
+			assert.lengthOf(giftCertHelpers.getAdditionalRecipients(giftCertForm, createRecipientParams(5)), 0);
+		});
+	});
+
+	describe('isDeliveryDue', function () {
+		var DAY = 24 * 60 * 60 * 1000;
+
+		function createGiftCertificate(custom) {
+			return { custom: custom };
+		}
+
+		it('should send emails without delivery date right away', function () {
+			assert.isTrue(giftCertHelpers.isDeliveryDue(createGiftCertificate({ deliveryStatus: { value: 'PENDING' } })));
+		});
+
+		it('should wait for the delivery date', function () {
+			assert.isFalse(giftCertHelpers.isDeliveryDue(createGiftCertificate({
+				deliveryStatus: { value: 'PENDING' },
+				deliveryDate: new Date(Date.now() + DAY)
+			})));
+			assert.isTrue(giftCertHelpers.isDeliveryDue(createGiftCertificate({
+				deliveryStatus: { value: 'PENDING' },
+				deliveryDate: new Date(Date.now() - DAY)
+			})));
+		});
+
+		it('should not send held gift certificates and physical cards', function () {
+			assert.isFalse(giftCertHelpers.isDeliveryDue(createGiftCertificate({ deliveryStatus: { value: 'HELD' } })));
+			assert.isFalse(giftCertHelpers.isDeliveryDue(createGiftCertificate({
+				deliveryStatus: { value: 'PENDING' },
+				deliveryType: { value: 'PHYSICAL' }
+			})));
+		});
+	});
+
+	describe('getExpirationDate', function () {
+		var DAY = 24 * 60 * 60 * 1000;
+
+		it('should not expire gift certificates if no validity is configured', function () {
+			assert.isNull(giftCertHelpers.getExpirationDate(null));
+		});
+
+		it('should count the validity from today', function () {
+			Site.setPreferences({ giftCertValidityDays: 30 });
+
+			var expirationDate = giftCertHelpers.getExpirationDate(null);
+
+			assert.closeTo(expirationDate.getTime(), Date.now() + (30 * DAY), 1000);
+		});
+
+		it('should count the validity from a future delivery date', function () {
+			var deliveryDate = new Date(Date.now() + (10 * DAY));
+			Site.setPreferences({ giftCertValidityDays: 30 });
+
+			assert.equal(giftCertHelpers.getExpirationDate(deliveryDate).getTime(), deliveryDate.getTime() + (30 * DAY));
+		});
+
+		it('should prefer the given validity over the site preference', function () {
+			Site.setPreferences({ giftCertValidityDays: 30 });
+
+			assert.closeTo(giftCertHelpers.getExpirationDate(null, 90).getTime(), Date.now() + (90 * DAY), 1000);
+		});
+	});
+
+	describe('isExpired', function () {
+		it('should only treat gift certificates past their expiration date as expired', function () {
+			assert.isTrue(giftCertHelpers.isExpired({ custom: { expirationDate: new Date(Date.now() - 1000) } }));
+			assert.isFalse(giftCertHelpers.isExpired({ custom: { expirationDate: new Date(Date.now() + 60000) } }));
+			assert.isFalse(giftCertHelpers.isExpired({ custom: { expirationDate: null } }));
+		});
+	});
+
+	describe('getPreviewContext', function () {
+		it('should fill the email with the values of the purchase form and placeholders for code and PIN', function () {
+			Site.setPreferences({ giftCertPinEnabled: true });
+
+			var context = giftCertHelpers.getPreviewContext(createPurchaseForm({
+				recipient: 'Jane',
+				from: 'John',
+				message: 'Enjoy',
+				amount: 50,
+				designId: 'birthday',
+				deliveryType: 'EMAIL'
+			}), 'USD');
+
+			assert.equal(context.GiftCertificate.recipientName, 'Jane');
+			assert.equal(context.GiftCertificate.senderName, 'John');
+			assert.equal(context.GiftCertificate.amount.toString(), 'USD 50.00');
+			assert.equal(context.GiftCertificate.giftCertificateCode, 'giftcert.preview.code');
+			assert.equal(context.Pin, 'giftcert.preview.pin');
+			assert.equal(context.Design.ID, 'birthday');
+			assert.equal(context.ExpirationDate, '');
+		});
+
+		it('should preview drafts with invalid amounts and designs', function () {
+			var form = createPurchaseForm({ amount: 1, designId: 'retired' });
+			form.amount.valid = false;
+
+			var context = giftCertHelpers.getPreviewContext(form, 'USD');
+
+			assert.equal(context.GiftCertificate.amount.value, 0);
+			assert.isNull(context.Design.ID);
+			assert.isNull(context.Pin);
+		});
+
+		it('should show the expiration date counted from the delivery date', function () {
+			Site.setPreferences({ giftCertValidityDays: 30 });
+
+			var context = giftCertHelpers.getPreviewContext(createPurchaseForm({ deliveryType: 'EMAIL', deliveryDate: '2099-01-01' }), 'USD');
+
+			assert.equal(context.ExpirationDate, '01/31/2099');
+		});
+	});
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var CustomObjectMgr = require('../../../../mocks/dw/object/CustomObjectMgr');
+var Money = require('../../../../mocks/dw/value/Money');
+
+var uuid = 0;
+
+var giftCertHistoryHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertHistoryHelpers', {
+	'dw/object/CustomObjectMgr': CustomObjectMgr,
+	'dw/util/UUIDUtils': {
+		createUUID: function () {
+			uuid++;
+			return 'uuid' + uuid;
+		}
+	},
+	'dw/value/Money': Money,
+	'dw/web/Resource': require('../../../../mocks/dw/web/Resource'),
+	'dw/util/StringUtils': require('../../../../mocks/dw/util/StringUtils'),
+	'*/cartridge/scripts/helpers/giftCertHelpers': {
+		formatSiteDate: function (date) {
+			return date.toISOString().slice(0, 10);
+		}
+	}
+});
+
+function createGiftCertificate(code, balance) {
+	return {
+		getGiftCertificateCode: function () {
+			return code;
+		},
+		getBalance: function () {
+			return new Money(balance, 'USD');
+		}
+	};
+}
+
+/**
+ * Records a transaction with its type set like the enum value the script API returns.
+ * @param {string} code - gift certificate code
+ * @param {string} type - transaction type
+ * @param {string} orderNo - order number
+ * @param {number} amount - transaction amount
+ * @param {string} creationDate - creation date, yyyy-MM-dd
+ */
+function addTransaction(code, type, orderNo, amount, creationDate) {
+	var transaction = giftCertHistoryHelpers.recordTransaction(createGiftCertificate(code, 0), type, orderNo, new Money(amount, 'USD'));
+	transaction.custom.type = { value: type };
+	transaction.creationDate = new Date(creationDate + 'T12:00:00Z');
+}
+
+describe('giftCertHistoryHelpers', function () {
+	afterEach(function () {
+		CustomObjectMgr.reset();
+	});
+
+	describe('recordTransaction', function () {
+		it('should record the amount and the balance left after the transaction', function () {
+			var transaction = giftCertHistoryHelpers.recordTransaction(createGiftCertificate('GC1', 15), 'REDEMPTION', '00001', new Money(35, 'USD'));
+
+			assert.equal(transaction.custom.giftCertificateCode, 'GC1');
+			assert.equal(transaction.custom.type, 'REDEMPTION');
+			assert.equal(transaction.custom.orderNo, '00001');
+			assert.equal(transaction.custom.amount, 35);
+			assert.equal(transaction.custom.currencyCode, 'USD');
+			assert.equal(transaction.custom.balanceAfter, 15);
+		});
+	});
+
+	describe('getRestorableAmount', function () {
+		it('should subtract restored amounts from the redeemed amount of the order', function () {
+			addTransaction('GC1', 'REDEMPTION', '00001', 30.1, '2026-01-01');
+			addTransaction('GC1', 'RESTORE', '00001', 10.05, '2026-01-02');
+			addTransaction('GC1', 'REDEMPTION', '00002', 20, '2026-01-03');
+			addTransaction('GC2', 'REDEMPTION', '00001', 40, '2026-01-01');
+
+			assert.equal(giftCertHistoryHelpers.getRestorableAmount('00001', 'GC1'), 20.05);
+		});
+
+		it('should not restore more than was redeemed', function () {
+			addTransaction('GC1', 'REDEMPTION', '00001', 10, '2026-01-01');
+			addTransaction('GC1', 'RESTORE', '00001', 10, '2026-01-02');
+
+			assert.equal(giftCertHistoryHelpers.getRestorableAmount('00001', 'GC1'), 0);
+			assert.equal(giftCertHistoryHelpers.getRestorableAmount('00003', 'GC1'), 0);
+		});
+	});
+
+	describe('getHistory', function () {
+		it('should list the transactions of the gift certificate newest first', function () {
+			addTransaction('GC1', 'REDEMPTION', '00001', 30, '2026-01-01');
+			addTransaction('GC1', 'RESTORE', '00001', 10, '2026-01-02');
+			addTransaction('GC2', 'REDEMPTION', '00002', 40, '2026-01-03');
+
+			var history = giftCertHistoryHelpers.getHistory(createGiftCertificate('GC1', 0));
+
+			assert.deepEqual(history, [{
+				type: 'giftcert.history.type.restore',
+				orderNumber: '00001',
+				date: '2026-01-02',
+				amount: 'USD 10.00',
+				balanceAfter: 'USD 0.00'
+			}, {
+				type: 'giftcert.history.type.redemption',
+				orderNumber: '00001',
+				date: '2026-01-01',
+				amount: 'USD 30.00',
+				balanceAfter: 'USD 0.00'
+			}]);
+		});
+	});
+});
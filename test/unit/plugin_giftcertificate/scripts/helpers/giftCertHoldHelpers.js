@@ -0,0 +1,88 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var SystemObjectMgr = require('../../../../mocks/dw/object/SystemObjectMgr');
+
+var EXPIRATION_DATE = new Date('2027-01-01T00:00:00Z');
+var delivered = [];
+
+var giftCertHoldHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertHoldHelpers', {
+	'dw/object/SystemObjectMgr': SystemObjectMgr,
+	'dw/system/Transaction': require('../../../../mocks/dw/system/Transaction'),
+	'*/cartridge/scripts/helpers/giftCertHelpers': {
+		DELIVERY_STATUS_PENDING: 'PENDING',
+		DELIVERY_STATUS_HELD: 'HELD',
+		DELIVERY_STATUS_VOIDED: 'VOIDED',
+		getExpirationDate: function () {
+			return EXPIRATION_DATE;
+		},
+		isDeliveryDue: function (giftCertificate) {
+			return !giftCertificate.custom.deliveryDate;
+		},
+		deliverGiftCertificate: function (giftCertificate) {
+			delivered.push(giftCertificate.code);
+		}
+	}
+});
+
+function createGiftCertificate(code, orderNo, custom) {
+	return {
+		code: code,
+		orderNo: orderNo,
+		enabled: false,
+		creationDate: new Date(0),
+		custom: custom,
+		setEnabled: function (value) {
+			this.enabled = value;
+		}
+	};
+}
+
+function createOrder(orderNo) {
+	return {
+		getOrderNo: function () {
+			return orderNo;
+		}
+	};
+}
+
+describe('giftCertHoldHelpers', function () {
+	var held;
+	var scheduled;
+	var otherOrder;
+
+	beforeEach(function () {
+		delivered = [];
+		held = createGiftCertificate('HELD', '00001', { deliveryStatus: 'HELD' });
+		scheduled = createGiftCertificate('SCHEDULED', '00001', { deliveryStatus: 'HELD', deliveryDate: new Date(Date.now() + 60000) });
+		otherOrder = createGiftCertificate('OTHER', '00002', { deliveryStatus: 'HELD' });
+		SystemObjectMgr.setObjects('GiftCertificate', [held, scheduled, otherOrder]);
+	});
+
+	describe('releaseOrder', function () {
+		it('should enable the held gift certificates of the order and send the due emails', function () {
+			assert.equal(giftCertHoldHelpers.releaseOrder(createOrder('00001')), 2);
+
+			assert.isTrue(held.enabled);
+			assert.isTrue(scheduled.enabled);
+			assert.equal(held.custom.deliveryStatus, 'PENDING');
+			assert.strictEqual(held.custom.expirationDate, EXPIRATION_DATE);
+			assert.deepEqual(delivered, ['HELD']);
+			assert.isFalse(otherOrder.enabled);
+		});
+	});
+
+	describe('voidOrder', function () {
+		it('should void the held gift certificates of the order without sending them', function () {
+			assert.equal(giftCertHoldHelpers.voidOrder(createOrder('00001')), 2);
+
+			assert.isFalse(held.enabled);
+			assert.equal(held.custom.deliveryStatus, 'VOIDED');
+			assert.equal(scheduled.custom.deliveryStatus, 'VOIDED');
+			assert.equal(otherOrder.custom.deliveryStatus, 'HELD');
+			assert.lengthOf(delivered, 0);
+		});
+	});
+});
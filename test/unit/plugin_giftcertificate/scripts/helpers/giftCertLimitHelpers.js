@@ -0,0 +1,111 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var Site = require('../../../../mocks/dw/system/Site');
+var Money = require('../../../../mocks/dw/value/Money');
+var Collection = require('../../../../mocks/dw/util/Collection');
+
+var giftCertLimitHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertLimitHelpers', {
+	'dw/web/Resource': require('../../../../mocks/dw/web/Resource'),
+	'dw/util/StringUtils': require('../../../../mocks/dw/util/StringUtils'),
+	'dw/value/Money': Money,
+	'dw/system/Site': Site
+});
+
+/**
+ * Creates a basket with gift certificate payments.
+ * @param {number} total - order total
+ * @param {Array<Array>} payments - code and amount of every gift certificate payment
+ * @return {Object} basket
+ */
+function createBasket(total, payments) {
+	return {
+		getTotalGrossPrice: function () {
+			return new Money(total, 'USD');
+		},
+		getCurrencyCode: function () {
+			return 'USD';
+		},
+		getGiftCertificatePaymentInstruments: function () {
+			return new Collection(payments.map(function (payment) {
+				return {
+					getGiftCertificateCode: function () {
+						return payment[0];
+					},
+					getPaymentTransaction: function () {
+						return {
+							getAmount: function () {
+								return new Money(payment[1], 'USD');
+							}
+						};
+					}
+				};
+			}));
+		}
+	};
+}
+
+describe('giftCertLimitHelpers', function () {
+	afterEach(function () {
+		Site.setPreferences({});
+	});
+
+	describe('getMaxAmount', function () {
+		it('should round the share of the order total down to cents', function () {
+			Site.setPreferences({ giftCertMaxOrderShare: 50 });
+
+			assert.equal(giftCertLimitHelpers.getMaxAmount(createBasket(99.99, [])), 49.99);
+		});
+
+		it('should not limit the amount without share or with a share of 100 percent or more', function () {
+			assert.isNull(giftCertLimitHelpers.getMaxAmount(createBasket(100, [])));
+
+			Site.setPreferences({ giftCertMaxOrderShare: 100 });
+			assert.isNull(giftCertLimitHelpers.getMaxAmount(createBasket(100, [])));
+		});
+	});
+
+	describe('getRedeemedAmount', function () {
+		it('should sum the gift certificate payments without floating point errors', function () {
+			assert.equal(giftCertLimitHelpers.getRedeemedAmount(createBasket(100, [['GC1', 0.1], ['GC2', 0.2]])), 0.3);
+		});
+	});
+
+	describe('checkApply', function () {
+		it('should refuse more gift certificates than allowed per order', function () {
+			var basket = createBasket(100, [['GC1', 10], ['GC2', 10]]);
+			Site.setPreferences({ giftCertMaxPerOrder: 2 });
+
+			var result = giftCertLimitHelpers.checkApply(basket, 'GC3');
+
+			assert.isTrue(result.error);
+			assert.equal(result.message, 'billinggiftcert.limit.count 2');
+		});
+
+		it('should let gift certificates already applied be applied again', function () {
+			var basket = createBasket(100, [['GC1', 10], ['GC2', 10]]);
+			Site.setPreferences({ giftCertMaxPerOrder: 2, giftCertMaxOrderShare: 20 });
+
+			assert.isFalse(giftCertLimitHelpers.checkApply(basket, 'GC2').error);
+		});
+
+		it('should refuse further gift certificates once their share of the order total is covered', function () {
+			Site.setPreferences({ giftCertMaxOrderShare: 50 });
+
+			assert.isFalse(giftCertLimitHelpers.checkApply(createBasket(100, [['GC1', 49.99]]), 'GC2').error);
+			assert.equal(giftCertLimitHelpers.checkApply(createBasket(100, [['GC1', 50]]), 'GC2').message, 'billinggiftcert.limit.share 50 USD 50.00');
+		});
+	});
+
+	describe('validateLimits', function () {
+		it('should report baskets exceeding the limits, e.g. after the order total dropped', function () {
+			Site.setPreferences({ giftCertMaxPerOrder: 1, giftCertMaxOrderShare: 50 });
+
+			assert.isFalse(giftCertLimitHelpers.validateLimits(createBasket(100, [['GC1', 50]])).error);
+			assert.equal(giftCertLimitHelpers.validateLimits(createBasket(80, [['GC1', 50]])).message, 'billinggiftcert.limit.share 50 USD 40.00');
+			assert.equal(giftCertLimitHelpers.validateLimits(createBasket(100, [['GC1', 10], ['GC2', 10]])).message, 'billinggiftcert.limit.count 1');
+		});
+	});
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var CustomObjectMgr = require('../../../../mocks/dw/object/CustomObjectMgr');
+var HookMgr = require('../../../../mocks/dw/system/HookMgr');
+var Site = require('../../../../mocks/dw/system/Site');
+
+function Bytes(value) {
+	this.value = value;
+}
+
+var giftCertLookupHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertLookupHelpers', {
+	'dw/object/CustomObjectMgr': CustomObjectMgr,
+	'dw/system/HookMgr': HookMgr,
+	'dw/system/Transaction': require('../../../../mocks/dw/system/Transaction'),
+	'dw/system/Site': Site,
+	'dw/web/Resource': require('../../../../mocks/dw/web/Resource'),
+	'dw/util/Bytes': Bytes,
+	'dw/crypto/Encoding': {
+		toHex: function (bytes) {
+			return 'hash(' + bytes.value + ')';
+		}
+	},
+	'dw/crypto/MessageDigest': (function () {
+		function MessageDigest() {}
+		MessageDigest.DIGEST_SHA_256 = 'SHA-256';
+		MessageDigest.prototype.digestBytes = function (bytes) {
+			return bytes;
+		};
+		return MessageDigest;
+	}())
+});
+
+function createRequest(sessionID, remoteAddress) {
+	return {
+		session: { raw: { sessionID: sessionID } },
+		remoteAddress: remoteAddress
+	};
+}
+
+function fail(req, times) {
+	for (var i = 0; i < times; i++) {
+		giftCertLookupHelpers.recordFailedLookup(req);
+	}
+}
+
+describe('giftCertLookupHelpers', function () {
+	beforeEach(function () {
+		global.request = { httpParameterMap: {} };
+	});
+
+	afterEach(function () {
+		CustomObjectMgr.reset();
+		HookMgr.reset();
+		Site.setPreferences({});
+		delete global.request;
+	});
+
+	it('should allow lookups below the maximum number of failed attempts', function () {
+		var req = createRequest('session', '10.0.0.1');
+		fail(req, 4);
+
+		assert.isTrue(giftCertLookupHelpers.checkLookup(req).allowed);
+	});
+
+	it('should lock the session out after the maximum number of failed attempts', function () {
+		var req = createRequest('session', '10.0.0.1');
+		fail(req, 5);
+
+		var result = giftCertLookupHelpers.checkLookup(req);
+
+		assert.isFalse(result.allowed);
+		assert.equal(result.message, 'giftcert.lookup.locked');
+	});
+
+	it('should lock out other sessions from the same IP address', function () {
+		fail(createRequest('session', '10.0.0.1'), 5);
+
+		assert.isFalse(giftCertLookupHelpers.checkLookup(createRequest('other', '10.0.0.1')).allowed);
+		assert.isTrue(giftCertLookupHelpers.checkLookup(createRequest('other', '10.0.0.2')).allowed);
+	});
+
+	it('should read the maximum number of failed attempts from the site preferences', function () {
+		var req = createRequest('session', '10.0.0.1');
+		Site.setPreferences({ giftCertLookupMaxAttempts: 2 });
+		fail(req, 2);
+
+		assert.isFalse(giftCertLookupHelpers.checkLookup(req).allowed);
+	});
+
+	it('should count failed attempts of an expired window no more', function () {
+		var req = createRequest('session', null);
+		fail(req, 4);
+		CustomObjectMgr.getCustomObject('GiftCertificateLookupAttempt', 'session:hash(session)').custom.windowStart = new Date(Date.now() - (16 * 60000));
+		fail(req, 1);
+
+		assert.isTrue(giftCertLookupHelpers.checkLookup(req).allowed);
+	});
+
+	it('should require the challenge after repeated failed attempts if a challenge hook is registered', function () {
+		var req = createRequest('session', '10.0.0.1');
+		var passed = false;
+		HookMgr.register('app.giftcert.lookup.challenge', {
+			verify: function () {
+				return { success: passed };
+			}
+		});
+		fail(req, 3);
+
+		var result = giftCertLookupHelpers.checkLookup(req);
+		assert.isFalse(result.allowed);
+		assert.isTrue(result.challengeRequired);
+
+		passed = true;
+		assert.isTrue(giftCertLookupHelpers.checkLookup(req).allowed);
+	});
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var Site = require('../../../../mocks/dw/system/Site');
+var Money = require('../../../../mocks/dw/value/Money');
+var Collection = require('../../../../mocks/dw/util/Collection');
+
+var giftCertificates = {};
+var excludedAmount = 0;
+
+var giftCertPaymentPolicyHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertPaymentPolicyHelpers', {
+	'dw/order/GiftCertificateMgr': {
+		getGiftCertificateByCode: function (code) {
+			return giftCertificates[code] || null;
+		}
+	},
+	'dw/web/Resource': require('../../../../mocks/dw/web/Resource'),
+	'dw/system/Site': Site,
+	'*/cartridge/scripts/helpers/giftCertBonusHelpers': {
+		isBonus: function (giftCertificate) {
+			return !!giftCertificate.custom.bonus;
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertExclusionHelpers': {
+		getExcludedAmount: function () {
+			return excludedAmount;
+		},
+		getEligibleAmount: function (lineItemCtnr) {
+			return lineItemCtnr.getTotalGrossPrice().value - excludedAmount;
+		}
+	}
+});
+
+/**
+ * Creates a basket with products and gift certificates.
+ * @param {number} productTotal - total of the products
+ * @param {number} giftCertTotal - total of the gift certificate line items
+ * @param {Array<Object>} payments - applied gift certificates with code and amount
+ * @return {Object} basket
+ */
+function createBasket(productTotal, giftCertTotal, payments) {
+	return {
+		getTotalGrossPrice: function () {
+			return new Money(productTotal + giftCertTotal, 'USD');
+		},
+		getGiftCertificateTotalPrice: function () {
+			return new Money(giftCertTotal, 'USD');
+		},
+		getGiftCertificateLineItems: function () {
+			return new Collection(giftCertTotal > 0 ? [{}] : []);
+		},
+		getGiftCertificatePaymentInstruments: function () {
+			return new Collection((payments || []).map(function (payment) {
+				return {
+					getGiftCertificateCode: function () {
+						return payment.code;
+					},
+					getPaymentTransaction: function () {
+						return {
+							getAmount: function () {
+								return new Money(payment.amount, 'USD');
+							}
+						};
+					}
+				};
+			}));
+		}
+	};
+}
+
+describe('giftCertPaymentPolicyHelpers', function () {
+	beforeEach(function () {
+		giftCertificates = {
+			REGULAR: { custom: {} },
+			BONUS: { custom: { bonus: true } }
+		};
+	});
+
+	afterEach(function () {
+		Site.setPreferences({});
+		excludedAmount = 0;
+	});
+
+	describe('isRestricted', function () {
+		it('should restrict bonus gift certificates only unless gift certificate purchases are blocked', function () {
+			assert.isFalse(giftCertPaymentPolicyHelpers.isRestricted(giftCertificates.REGULAR));
+			assert.isTrue(giftCertPaymentPolicyHelpers.isRestricted(giftCertificates.BONUS));
+
+			Site.setPreferences({ giftCertBlockGiftCertPurchase: true });
+			assert.isTrue(giftCertPaymentPolicyHelpers.isRestricted(giftCertificates.REGULAR));
+		});
+	});
+
+	describe('getRedeemableAmount', function () {
+		it('should leave the gift certificates in the basket to the unrestricted gift certificates', function () {
+			var basket = createBasket(60, 50, [{ code: 'REGULAR', amount: 50 }, { code: 'BONUS', amount: 20 }]);
+
+			assert.equal(giftCertPaymentPolicyHelpers.getRedeemableAmount(basket), 40);
+		});
+
+		it('should count all gift certificates if gift certificate purchases are blocked', function () {
+			var basket = createBasket(60, 50, [{ code: 'REGULAR', amount: 50 }, { code: 'BONUS', amount: 20 }]);
+			Site.setPreferences({ giftCertBlockGiftCertPurchase: true });
+
+			assert.equal(giftCertPaymentPolicyHelpers.getRedeemableAmount(basket), -10);
+		});
+	});
+
+	describe('isGiftCertPaymentAllowed', function () {
+		it('should hide the payment method for baskets of nothing but gift certificates if their purchase is blocked', function () {
+			var basket = createBasket(0, 50);
+
+			assert.isTrue(giftCertPaymentPolicyHelpers.isGiftCertPaymentAllowed(basket));
+
+			Site.setPreferences({ giftCertBlockGiftCertPurchase: true });
+			assert.isFalse(giftCertPaymentPolicyHelpers.isGiftCertPaymentAllowed(basket));
+			assert.isTrue(giftCertPaymentPolicyHelpers.isGiftCertPaymentAllowed(createBasket(10, 50)));
+		});
+
+		it('should hide the payment method for baskets of nothing but excluded products', function () {
+			excludedAmount = 30;
+
+			assert.isFalse(giftCertPaymentPolicyHelpers.isGiftCertPaymentAllowed(createBasket(30, 0)));
+			assert.isTrue(giftCertPaymentPolicyHelpers.isGiftCertPaymentAllowed(createBasket(40, 0)));
+		});
+	});
+
+	describe('getRestrictionMessage', function () {
+		it('should explain the restriction that applies', function () {
+			assert.equal(giftCertPaymentPolicyHelpers.getRestrictionMessage(), 'billinggiftcert.bonus.giftcertonly');
+
+			Site.setPreferences({ giftCertBlockGiftCertPurchase: true });
+			assert.equal(giftCertPaymentPolicyHelpers.getRestrictionMessage(), 'billinggiftcert.giftcertonly');
+		});
+	});
+});
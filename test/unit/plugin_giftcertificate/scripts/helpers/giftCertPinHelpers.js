@@ -0,0 +1,83 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var Site = require('../../../../mocks/dw/system/Site');
+
+var giftCertPinHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertPinHelpers', {
+	'dw/system/Site': Site,
+	'dw/util/Bytes': require('../../../../mocks/dw/util/Bytes'),
+	'dw/crypto/Encoding': require('../../../../mocks/dw/crypto/Encoding'),
+	'dw/crypto/MessageDigest': require('../../../../mocks/dw/crypto/MessageDigest'),
+	'dw/crypto/SecureRandom': require('../../../../mocks/dw/crypto/SecureRandom')
+});
+
+function createGiftCertificate() {
+	return { custom: {} };
+}
+
+describe('giftCertPinHelpers', function () {
+	afterEach(function () {
+		Site.setPreferences({});
+	});
+
+	describe('assignPin', function () {
+		it('should store a salted hash instead of the six digit PIN', function () {
+			var giftCertificate = createGiftCertificate();
+
+			var pin = giftCertPinHelpers.assignPin(giftCertificate);
+
+			assert.match(pin, /^\d{6}$/);
+			assert.match(giftCertificate.custom.pinSalt, /^[0-9a-f]{32}$/);
+			assert.match(giftCertificate.custom.pinHash, /^[0-9a-f]{64}$/);
+			assert.notInclude(giftCertificate.custom.pinHash, pin);
+		});
+
+		it('should salt every gift certificate differently', function () {
+			var first = createGiftCertificate();
+			var second = createGiftCertificate();
+
+			giftCertPinHelpers.assignPin(first);
+			giftCertPinHelpers.assignPin(second);
+
+			assert.notEqual(first.custom.pinSalt, second.custom.pinSalt);
+		});
+	});
+
+	describe('assignInitialPin', function () {
+		it('should assign no PIN if PINs are disabled', function () {
+			var giftCertificate = createGiftCertificate();
+
+			assert.isNull(giftCertPinHelpers.assignInitialPin(giftCertificate));
+			assert.notProperty(giftCertificate.custom, 'pinHash');
+		});
+	});
+
+	describe('verifyPin', function () {
+		it('should accept any PIN if PINs are disabled', function () {
+			assert.isTrue(giftCertPinHelpers.verifyPin(createGiftCertificate(), null));
+		});
+
+		it('should only accept the last assigned PIN', function () {
+			var giftCertificate = createGiftCertificate();
+			Site.setPreferences({ giftCertPinEnabled: true });
+
+			var oldPin = giftCertPinHelpers.assignPin(giftCertificate);
+			var pin = giftCertPinHelpers.assignPin(giftCertificate);
+
+			assert.isTrue(giftCertPinHelpers.verifyPin(giftCertificate, pin));
+			assert.isTrue(giftCertPinHelpers.verifyPin(giftCertificate, ' ' + pin + ' '));
+			assert.isFalse(giftCertPinHelpers.verifyPin(giftCertificate, String((Number(pin) + 1) % 1000000)));
+			if (oldPin !== pin) {
+				assert.isFalse(giftCertPinHelpers.verifyPin(giftCertificate, oldPin));
+			}
+		});
+
+		it('should refuse gift certificates issued without a PIN', function () {
+			Site.setPreferences({ giftCertPinEnabled: true });
+
+			assert.isFalse(giftCertPinHelpers.verifyPin(createGiftCertificate(), '123456'));
+		});
+	});
+});
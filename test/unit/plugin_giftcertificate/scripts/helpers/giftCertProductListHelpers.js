@@ -0,0 +1,110 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var ProductList = { TYPE_WISH_LIST: 10, TYPE_GIFT_REGISTRY: 11 };
+var productLists = {};
+
+var giftCertProductListHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertProductListHelpers', {
+	'dw/customer/ProductList': ProductList,
+	'dw/customer/ProductListMgr': {
+		getProductList: function (listId) {
+			return productLists[listId] || null;
+		}
+	},
+	'dw/web/Resource': require('../../../../mocks/dw/web/Resource'),
+	'dw/system/Transaction': require('../../../../mocks/dw/system/Transaction'),
+	'dw/value/Money': require('../../../../mocks/dw/value/Money'),
+	'dw/util/StringUtils': require('../../../../mocks/dw/util/StringUtils'),
+	'*/cartridge/scripts/helpers/giftCertHelpers': {
+		DELIVERY_TYPE_PHYSICAL: 'PHYSICAL',
+		formatSiteDate: function () {
+			return '';
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertDesignHelpers': {
+		getDesign: function () {
+			return null;
+		}
+	}
+});
+
+function createCustomer(id) {
+	return {
+		ID: id,
+		isRegistered: function () {
+			return !!id;
+		}
+	};
+}
+
+function createProductList(id, ownerId, type, isPublic) {
+	return {
+		ID: id,
+		type: type,
+		owner: { ID: ownerId },
+		isPublic: function () {
+			return isPublic;
+		},
+		getGiftCertificateItem: function () {
+			return {
+				ID: 'item',
+				purchasedQuantityValue: 0,
+				custom: {
+					giftCertAmount: 50,
+					giftCertRecipientName: 'Jane',
+					giftCertRecipientEmail: 'jane@example.com',
+					giftCertSenderName: null,
+					giftCertMessage: 'For the new flat',
+					giftCertDeliveryType: 'EMAIL'
+				}
+			};
+		}
+	};
+}
+
+describe('giftCertProductListHelpers', function () {
+	beforeEach(function () {
+		productLists = {
+			registry: createProductList('registry', 'owner', ProductList.TYPE_GIFT_REGISTRY, true),
+			privateRegistry: createProductList('privateRegistry', 'owner', ProductList.TYPE_GIFT_REGISTRY, false),
+			wishList: createProductList('wishList', 'owner', ProductList.TYPE_WISH_LIST, true)
+		};
+	});
+
+	describe('getShoppableProductList', function () {
+		it('should let visitors buy from public gift registries only', function () {
+			var visitor = createCustomer('visitor');
+
+			assert.strictEqual(giftCertProductListHelpers.getShoppableProductList(visitor, 'registry'), productLists.registry);
+			assert.isNull(giftCertProductListHelpers.getShoppableProductList(visitor, 'privateRegistry'));
+			assert.isNull(giftCertProductListHelpers.getShoppableProductList(visitor, 'wishList'));
+		});
+
+		it('should let owners buy from all their product lists', function () {
+			var owner = createCustomer('owner');
+
+			assert.strictEqual(giftCertProductListHelpers.getShoppableProductList(owner, 'privateRegistry'), productLists.privateRegistry);
+			assert.strictEqual(giftCertProductListHelpers.getShoppableProductList(owner, 'wishList'), productLists.wishList);
+		});
+	});
+
+	describe('getGiftCertificate', function () {
+		it('should show the recipient email and the message to the owner', function () {
+			var giftCertificate = giftCertProductListHelpers.getGiftCertificate(productLists.registry, 'USD', true);
+
+			assert.equal(giftCertificate.recipientEmail, 'jane@example.com');
+			assert.equal(giftCertificate.message, 'For the new flat');
+			assert.equal(giftCertificate.amount, 'USD 50.00');
+		});
+
+		it('should hide the recipient email and the message from visitors', function () {
+			var giftCertificate = giftCertProductListHelpers.getGiftCertificate(productLists.registry, 'USD', false);
+
+			assert.isNull(giftCertificate.recipientEmail);
+			assert.isNull(giftCertificate.message);
+			assert.equal(giftCertificate.recipientName, 'Jane');
+		});
+	});
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var Money = require('../../../../mocks/dw/value/Money');
+
+var eligibleAmount;
+var maxAmount;
+
+var giftCertRebalanceHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertRebalanceHelpers', {
+	'dw/value/Money': Money,
+	'*/cartridge/scripts/helpers/giftCertExclusionHelpers': {
+		getEligibleAmount: function () {
+			return eligibleAmount;
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertLimitHelpers': {
+		getMaxAmount: function () {
+			return maxAmount;
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertPaymentPolicyHelpers': {
+		isRestricted: function (giftCertificate) {
+			return !!giftCertificate.bonus;
+		}
+	},
+	'*/cartridge/scripts/checkout/checkoutHelpers': {
+		getGiftCertificateAllocationOrder: function (basket) {
+			return basket.allocations;
+		}
+	}
+});
+
+/**
+ * Creates an applied gift certificate.
+ * @param {number} balance - balance of the gift certificate
+ * @param {number} amount - amount currently redeemed
+ * @param {Object} [options] - requestedAmount and bonus flag
+ * @return {Object} payment instrument with its gift certificate
+ */
+function createAllocation(balance, amount, options) {
+	var settings = options || {};
+	var transactionAmount = new Money(amount, 'USD');
+
+	return {
+		giftCertificate: {
+			bonus: !!settings.bonus,
+			getBalance: function () {
+				return new Money(balance, 'USD');
+			}
+		},
+		paymentInstrument: {
+			custom: { giftCertRequestedAmount: settings.requestedAmount || null },
+			getPaymentTransaction: function () {
+				return {
+					getAmount: function () {
+						return transactionAmount;
+					},
+					setAmount: function (value) {
+						transactionAmount = value;
+					}
+				};
+			}
+		}
+	};
+}
+
+function createBasket(total, giftCertTotal, allocations) {
+	return {
+		allocations: allocations,
+		removed: [],
+		getTotalGrossPrice: function () {
+			return new Money(total, 'USD');
+		},
+		getGiftCertificateTotalPrice: function () {
+			return new Money(giftCertTotal, 'USD');
+		},
+		getCurrencyCode: function () {
+			return 'USD';
+		},
+		removePaymentInstrument: function (paymentInstrument) {
+			this.removed.push(paymentInstrument);
+		}
+	};
+}
+
+function getAmount(allocation) {
+	return allocation.paymentInstrument.getPaymentTransaction().getAmount().value;
+}
+
+function getReason(allocation) {
+	return allocation.paymentInstrument.custom.giftCertAllocationReason;
+}
+
+describe('giftCertRebalanceHelpers', function () {
+	beforeEach(function () {
+		global.request = { custom: {} };
+		eligibleAmount = 1000;
+		maxAmount = null;
+	});
+
+	afterEach(function () {
+		delete global.request;
+	});
+
+	describe('rebalance', function () {
+		it('should shrink the amounts to a lower order total and remove gift certificates left without amount', function () {
+			var first = createAllocation(50, 50);
+			var second = createAllocation(50, 30);
+			var third = createAllocation(50, 20);
+			var basket = createBasket(70, 0, [first, second, third]);
+
+			assert.isTrue(giftCertRebalanceHelpers.rebalance(basket));
+
+			assert.equal(getAmount(first), 50);
+			assert.equal(getReason(first), 'BALANCE');
+			assert.equal(getAmount(second), 20);
+			assert.equal(getReason(second), 'ORDER_TOTAL');
+			assert.deepEqual(basket.removed, [third.paymentInstrument]);
+			assert.isTrue(giftCertRebalanceHelpers.wasRebalanced());
+		});
+
+		it('should grow the amounts to a higher order total up to the amount the shopper chose', function () {
+			var first = createAllocation(50, 20, { requestedAmount: 30 });
+			var second = createAllocation(50, 10);
+			var basket = createBasket(200, 0, [first, second]);
+
+			giftCertRebalanceHelpers.rebalance(basket);
+
+			assert.equal(getAmount(first), 30);
+			assert.equal(getReason(first), 'REQUESTED');
+			assert.equal(getAmount(second), 50);
+		});
+
+		it('should keep restricted gift certificates off the gift certificates in the basket', function () {
+			var bonus = createAllocation(50, 50, { bonus: true });
+			var basket = createBasket(100, 70, [bonus]);
+
+			giftCertRebalanceHelpers.rebalance(basket);
+
+			assert.equal(getAmount(bonus), 30);
+			assert.equal(getReason(bonus), 'POLICY');
+		});
+
+		it('should respect the exclusions and the share of the order total', function () {
+			var first = createAllocation(50, 50);
+			var second = createAllocation(50, 50);
+			var basket = createBasket(100, 0, [first, second]);
+			eligibleAmount = 80;
+			maxAmount = 60;
+
+			giftCertRebalanceHelpers.rebalance(basket);
+
+			assert.equal(getAmount(first), 50);
+			assert.equal(getAmount(second), 10);
+			assert.equal(getReason(second), 'LIMIT');
+		});
+
+		it('should change nothing while the totals are not final', function () {
+			var first = createAllocation(50, 50);
+			var basket = createBasket(null, 0, [first]);
+
+			assert.isFalse(giftCertRebalanceHelpers.rebalance(basket));
+			assert.equal(getAmount(first), 50);
+			assert.isFalse(giftCertRebalanceHelpers.wasRebalanced());
+		});
+	});
+});
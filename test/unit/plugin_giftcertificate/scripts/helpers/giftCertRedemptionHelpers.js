@@ -0,0 +1,249 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var Collection = require('../../../../mocks/dw/util/Collection');
+
+var giftCertificates;
+var pinEnabled;
+var failedLookups;
+var paymentInstruments;
+var lookupAllowed;
+var recalculations;
+var updatedAmounts;
+var limitMessage;
+
+var giftCertRedemptionHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertRedemptionHelpers', {
+	'dw/order/GiftCertificateMgr': {
+		getGiftCertificateByCode: function (code) {
+			return giftCertificates[code] || null;
+		}
+	},
+	'dw/web/Resource': require('../../../../mocks/dw/web/Resource'),
+	'dw/system/Transaction': require('../../../../mocks/dw/system/Transaction'),
+	'*/cartridge/scripts/helpers/giftCertHelpers': {
+		isExpired: function (giftCertificate) {
+			return !!giftCertificate.expired;
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertExclusionHelpers': {
+		getExcludedAmount: function () {
+			return 0;
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertLimitHelpers': {
+		getRedeemedAmount: function () {
+			return 0;
+		},
+		checkApply: function () {
+			return { error: !!limitMessage, message: limitMessage };
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertLookupHelpers': {
+		checkLookup: function () {
+			return lookupAllowed
+				? { allowed: true }
+				: { allowed: false, challengeRequired: true, message: 'giftcert.lookup.challenge' };
+		},
+		recordFailedLookup: function () {
+			failedLookups++;
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertPaymentPolicyHelpers': {
+		isRestricted: function () {
+			return false;
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertPinHelpers': {
+		isPinEnabled: function () {
+			return pinEnabled;
+		},
+		verifyPin: function (giftCertificate, pin) {
+			return !pinEnabled || pin === giftCertificate.pin;
+		}
+	},
+	'*/cartridge/scripts/checkout/checkoutHelpers': {
+		createGiftCertificatePaymentInstrument: function (basket, giftCertificate) {
+			paymentInstruments.push(giftCertificate.getGiftCertificateCode());
+		},
+		updateGiftCertificatePaymentInstrument: function (basket, giftCertificate, amount) {
+			updatedAmounts[giftCertificate.getGiftCertificateCode()] = amount;
+		},
+		removeGiftCertificatePaymentInstrument: function (basket, code) {
+			paymentInstruments = paymentInstruments.filter(function (appliedCode) {
+				return appliedCode !== code;
+			});
+		}
+	},
+	'*/cartridge/scripts/helpers/basketCalculationHelpers': {
+		calculateTotals: function () {
+			recalculations++;
+		}
+	}
+});
+
+function createGiftCertificate(code, options) {
+	var settings = options || {};
+
+	return {
+		STATUS_PENDING: 0,
+		STATUS_ISSUED: 1,
+		STATUS_PARTIALLY_REDEEMED: 2,
+		STATUS_REDEEMED: 3,
+		pin: '1234',
+		expired: !!settings.expired,
+		balance: { currencyCode: 'USD' },
+		getGiftCertificateCode: function () {
+			return code;
+		},
+		isEnabled: function () {
+			return settings.enabled !== false;
+		},
+		getStatus: function () {
+			return settings.status === undefined ? 1 : settings.status;
+		}
+	};
+}
+
+function createBasket() {
+	return {
+		getCurrencyCode: function () {
+			return 'USD';
+		},
+		getGiftCertificatePaymentInstruments: function (code) {
+			return new Collection(paymentInstruments.filter(function (appliedCode) {
+				return appliedCode === code;
+			}));
+		}
+	};
+}
+
+describe('giftCertRedemptionHelpers', function () {
+	beforeEach(function () {
+		giftCertificates = {
+			ACTIVE: createGiftCertificate('ACTIVE'),
+			EXPIRED: createGiftCertificate('EXPIRED', { expired: true }),
+			REDEEMED: createGiftCertificate('REDEEMED', { status: 3 })
+		};
+		pinEnabled = true;
+		failedLookups = 0;
+		paymentInstruments = [];
+		lookupAllowed = true;
+		recalculations = 0;
+		updatedAmounts = {};
+		limitMessage = null;
+	});
+
+	describe('applyGiftCertificate', function () {
+		it('should apply a gift certificate with the right PIN', function () {
+			var result = giftCertRedemptionHelpers.applyGiftCertificate({}, createBasket(), 'ACTIVE', '1234');
+
+			assert.isFalse(result.error);
+			assert.deepEqual(paymentInstruments, ['ACTIVE']);
+			assert.equal(failedLookups, 0);
+		});
+
+		it('should answer a wrong PIN like an unknown code and count the failed lookup', function () {
+			var wrongPin = giftCertRedemptionHelpers.applyGiftCertificate({}, createBasket(), 'ACTIVE', '9999');
+			var unknown = giftCertRedemptionHelpers.applyGiftCertificate({}, createBasket(), 'UNKNOWN', '1234');
+
+			assert.equal(wrongPin.message, 'billinggiftcert.giftcertinvalid');
+			assert.equal(unknown.message, 'billinggiftcert.giftcertinvalid');
+			assert.equal(failedLookups, 2);
+			assert.deepEqual(paymentInstruments, []);
+		});
+
+		it('should answer a fully redeemed code like an unknown code and count the failed lookup', function () {
+			var result = giftCertRedemptionHelpers.applyGiftCertificate({}, createBasket(), 'REDEEMED', '1234');
+
+			assert.equal(result.message, 'billinggiftcert.giftcertinvalid');
+			assert.equal(failedLookups, 1);
+		});
+
+		it('should tell expired codes apart once the PIN was verified', function () {
+			var result = giftCertRedemptionHelpers.applyGiftCertificate({}, createBasket(), 'EXPIRED', '1234');
+
+			assert.equal(result.message, 'billinggiftcert.giftcertexpired');
+			assert.equal(failedLookups, 1);
+		});
+
+		it('should refuse lookups of locked out clients without looking up the code', function () {
+			lookupAllowed = false;
+
+			var result = giftCertRedemptionHelpers.applyGiftCertificate({}, createBasket(), 'ACTIVE', '1234');
+
+			assert.isTrue(result.locked);
+			assert.isTrue(result.challengeRequired);
+			assert.equal(result.message, 'giftcert.lookup.challenge');
+			assert.deepEqual(paymentInstruments, []);
+		});
+
+		it('should answer expired codes like unknown codes without PINs', function () {
+			pinEnabled = false;
+
+			var result = giftCertRedemptionHelpers.applyGiftCertificate({}, createBasket(), 'EXPIRED');
+
+			assert.equal(result.message, 'billinggiftcert.giftcertinvalid');
+			assert.equal(failedLookups, 1);
+		});
+	});
+
+	describe('redeemGiftCertificate', function () {
+		it('should redeem a gift certificate saved to the wallet without lookup', function () {
+			var result = giftCertRedemptionHelpers.redeemGiftCertificate(createBasket(), giftCertificates.ACTIVE);
+
+			assert.isFalse(result.error);
+			assert.deepEqual(paymentInstruments, ['ACTIVE']);
+		});
+
+		it('should refuse gift certificates beyond the per-order limits', function () {
+			limitMessage = 'billinggiftcert.limit.count 2';
+
+			var result = giftCertRedemptionHelpers.redeemGiftCertificate(createBasket(), giftCertificates.ACTIVE);
+
+			assert.isTrue(result.error);
+			assert.isFalse(result.invalid);
+			assert.equal(result.message, 'billinggiftcert.limit.count 2');
+			assert.deepEqual(paymentInstruments, []);
+		});
+	});
+
+	describe('removeGiftCertificate', function () {
+		it('should remove the payment of the gift certificate and recalculate the basket', function () {
+			paymentInstruments = ['ACTIVE', 'OTHER'];
+
+			giftCertRedemptionHelpers.removeGiftCertificate(createBasket(), 'ACTIVE');
+
+			assert.deepEqual(paymentInstruments, ['OTHER']);
+			assert.equal(recalculations, 1);
+		});
+	});
+
+	describe('updateGiftCertificateAmount', function () {
+		it('should change the amount of an applied gift certificate', function () {
+			paymentInstruments = ['ACTIVE'];
+
+			var result = giftCertRedemptionHelpers.updateGiftCertificateAmount(createBasket(), 'ACTIVE', 20);
+
+			assert.isFalse(result.error);
+			assert.deepEqual(updatedAmounts, { ACTIVE: 20 });
+			assert.equal(recalculations, 1);
+		});
+
+		it('should reject amounts that are not positive', function () {
+			paymentInstruments = ['ACTIVE'];
+
+			assert.equal(giftCertRedemptionHelpers.updateGiftCertificateAmount(createBasket(), 'ACTIVE', 0).message, 'billinggiftcert.giftcertamountinvalid');
+			assert.equal(giftCertRedemptionHelpers.updateGiftCertificateAmount(createBasket(), 'ACTIVE', NaN).message, 'billinggiftcert.giftcertamountinvalid');
+			assert.deepEqual(updatedAmounts, {});
+		});
+
+		it('should not change gift certificates that were not applied with their PIN', function () {
+			var result = giftCertRedemptionHelpers.updateGiftCertificateAmount(createBasket(), 'ACTIVE', 20);
+
+			assert.equal(result.message, 'billinggiftcert.giftcertinvalid');
+			assert.deepEqual(updatedAmounts, {});
+		});
+	});
+});
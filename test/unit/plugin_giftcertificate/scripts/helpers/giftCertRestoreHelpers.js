@@ -0,0 +1,170 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var HookMgr = require('../../../../mocks/dw/system/HookMgr');
+var Status = require('../../../../mocks/dw/system/Status');
+var Collection = require('../../../../mocks/dw/util/Collection');
+
+var giftCertificates = {};
+var restorable = {};
+var transactions = [];
+var delivered = [];
+
+var giftCertRestoreHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertRestoreHelpers', {
+	'dw/system/HookMgr': HookMgr,
+	'dw/system/Logger': require('../../../../mocks/dw/system/Logger'),
+	'dw/value/Money': require('../../../../mocks/dw/value/Money'),
+	'dw/system/Transaction': require('../../../../mocks/dw/system/Transaction'),
+	'dw/util/Currency': {},
+	'dw/web/Resource': require('../../../../mocks/dw/web/Resource'),
+	'dw/order/GiftCertificateMgr': {
+		getGiftCertificateByCode: function (code) {
+			return giftCertificates[code] || null;
+		},
+		createGiftCertificate: function (amount) {
+			return {
+				amount: amount,
+				custom: {},
+				setRecipientEmail: function (value) { this.recipientEmail = value; },
+				setRecipientName: function () {},
+				setSenderName: function () {},
+				setMessage: function () {},
+				setOrderNo: function () {},
+				getMaskedGiftCertificateCode: function () { return '****NEW'; }
+			};
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertHelpers': {
+		DELIVERY_STATUS_PENDING: 'PENDING',
+		deliverGiftCertificate: function (giftCertificate) {
+			delivered.push(giftCertificate);
+			return true;
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertHistoryHelpers': {
+		TRANSACTION_TYPE_RESTORE: 'RESTORE',
+		getRestorableAmount: function (orderNo, code) {
+			return restorable[code] || 0;
+		},
+		recordTransaction: function (giftCertificate, type, orderNo, amount, details) {
+			restorable[giftCertificate.code] -= amount.value;
+			transactions.push({ code: giftCertificate.code, type: type, amount: amount.value, details: details });
+		}
+	},
+	'*/cartridge/scripts/helpers/giftCertPinHelpers': {
+		assignInitialPin: function () {
+			return null;
+		}
+	}
+});
+
+function createGiftCertificate(code, redeemed) {
+	giftCertificates[code] = {
+		code: code,
+		custom: { expirationDate: null },
+		getMaskedGiftCertificateCode: function () {
+			return '****' + code;
+		}
+	};
+	restorable[code] = redeemed;
+}
+
+function createOrder(codes) {
+	return {
+		getOrderNo: function () { return '00001'; },
+		getCurrencyCode: function () { return 'USD'; },
+		getCustomerEmail: function () { return 'john@example.com'; },
+		getCustomerName: function () { return 'John'; },
+		getGiftCertificatePaymentInstruments: function () {
+			return new Collection(codes.map(function (code) {
+				return {
+					getGiftCertificateCode: function () {
+						return code;
+					}
+				};
+			}));
+		}
+	};
+}
+
+describe('giftCertRestoreHelpers', function () {
+	beforeEach(function () {
+		global.session = { currency: { currencyCode: 'USD' } };
+	});
+
+	afterEach(function () {
+		giftCertificates = {};
+		restorable = {};
+		transactions = [];
+		delivered = [];
+		HookMgr.reset();
+		delete global.session;
+	});
+
+	describe('restoreOrder', function () {
+		it('should email a replacement gift certificate without refund hook', function () {
+			createGiftCertificate('GC1', 30);
+
+			var restored = giftCertRestoreHelpers.restoreOrder(createOrder(['GC1']), 'CANCELLED');
+
+			assert.equal(restored, 30);
+			assert.lengthOf(delivered, 1);
+			assert.equal(delivered[0].amount, 30);
+			assert.equal(delivered[0].recipientEmail, 'john@example.com');
+			assert.deepEqual(transactions, [{ code: 'GC1', type: 'RESTORE', amount: 30, details: { reason: 'CANCELLED', replacement: '****NEW' } }]);
+		});
+
+		it('should refund through the refund hook if registered', function () {
+			var refunded = [];
+			createGiftCertificate('GC1', 30);
+			HookMgr.register('app.giftcert.refund', {
+				refund: function (giftCertificate, amount) {
+					refunded.push(amount.value);
+					return new Status(Status.OK);
+				}
+			});
+
+			giftCertRestoreHelpers.restoreOrder(createOrder(['GC1']), 'FAILED');
+
+			assert.deepEqual(refunded, [30]);
+			assert.lengthOf(delivered, 0);
+			assert.deepEqual(transactions[0].details, { reason: 'FAILED' });
+		});
+
+		it('should restore no more than the returned amount across gift certificates', function () {
+			createGiftCertificate('GC1', 30);
+			createGiftCertificate('GC2', 20);
+
+			var restored = giftCertRestoreHelpers.restoreOrder(createOrder(['GC1', 'GC2']), 'RETURNED', 40);
+
+			assert.equal(restored, 40);
+			assert.deepEqual(transactions.map(function (transaction) {
+				return transaction.amount;
+			}), [30, 10]);
+		});
+
+		it('should not restore amounts twice', function () {
+			createGiftCertificate('GC1', 30);
+			var order = createOrder(['GC1']);
+
+			giftCertRestoreHelpers.restoreOrder(order, 'CANCELLED');
+
+			assert.equal(giftCertRestoreHelpers.restoreOrder(order, 'CANCELLED'), 0);
+			assert.lengthOf(transactions, 1);
+		});
+
+		it('should record nothing if the refund fails', function () {
+			createGiftCertificate('GC1', 30);
+			HookMgr.register('app.giftcert.refund', {
+				refund: function () {
+					return new Status(Status.ERROR, 'ERROR', 'declined');
+				}
+			});
+
+			assert.equal(giftCertRestoreHelpers.restoreOrder(createOrder(['GC1']), 'CANCELLED'), 0);
+			assert.lengthOf(transactions, 0);
+		});
+	});
+});
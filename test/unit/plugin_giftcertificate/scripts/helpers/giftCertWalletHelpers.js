@@ -0,0 +1,98 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var SystemObjectMgr = require('../../../../mocks/dw/object/SystemObjectMgr');
+
+var giftCertificatesByCode = {};
+
+var giftCertWalletHelpers = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/helpers/giftCertWalletHelpers', {
+	'dw/order/GiftCertificateMgr': {
+		getGiftCertificateByCode: function (code) {
+			return giftCertificatesByCode[code] || null;
+		}
+	},
+	'dw/object/SystemObjectMgr': SystemObjectMgr,
+	'dw/system/Transaction': require('../../../../mocks/dw/system/Transaction')
+});
+
+function createGiftCertificate(code, purchaserCustomerNo, bonus, creationDate) {
+	return {
+		giftCertificateCode: code,
+		creationDate: creationDate,
+		custom: { purchaserCustomerNo: purchaserCustomerNo, bonus: bonus }
+	};
+}
+
+function createCustomer(customerNo, savedCodes) {
+	return { profile: { customerNo: customerNo, email: 'jane@example.com', custom: { giftCertificateCodes: savedCodes || null } } };
+}
+
+function getCodes(page) {
+	return page.giftCertificates.map(function (giftCertificate) {
+		return giftCertificate.giftCertificateCode;
+	});
+}
+
+describe('giftCertWalletHelpers', function () {
+	describe('getPurchasedGiftCertificates', function () {
+		afterEach(function () {
+			SystemObjectMgr.setObjects('GiftCertificate', []);
+		});
+
+		it('should list the gift certificates bought by the customer, but not bonus gift certificates', function () {
+			SystemObjectMgr.setObjects('GiftCertificate', [
+				createGiftCertificate('PURCHASED', 'C001', false, 1),
+				createGiftCertificate('BONUS', 'C001', true, 2),
+				createGiftCertificate('OTHER', 'C002', false, 3),
+				createGiftCertificate('GUEST', null, false, 4)
+			]);
+
+			var page = giftCertWalletHelpers.getPurchasedGiftCertificates(createCustomer('C001'), 0, 10);
+
+			assert.deepEqual(getCodes(page), ['PURCHASED']);
+			assert.equal(page.total, 1);
+		});
+
+		it('should page the gift certificates, newest first', function () {
+			SystemObjectMgr.setObjects('GiftCertificate', [
+				createGiftCertificate('FIRST', 'C001', false, 1),
+				createGiftCertificate('SECOND', 'C001', false, 2),
+				createGiftCertificate('THIRD', 'C001', false, 3)
+			]);
+
+			var page = giftCertWalletHelpers.getPurchasedGiftCertificates(createCustomer('C001'), 1, 1);
+
+			assert.deepEqual(getCodes(page), ['SECOND']);
+			assert.equal(page.total, 3);
+		});
+
+		it('should return an empty page for customers who bought no gift certificates', function () {
+			var page = giftCertWalletHelpers.getPurchasedGiftCertificates(createCustomer('C001'), 0, 10);
+
+			assert.deepEqual(page, { giftCertificates: [], total: 0 });
+		});
+	});
+
+	describe('findWalletGiftCertificate', function () {
+		beforeEach(function () {
+			giftCertificatesByCode = {
+				SAVED: { UUID: 'saved-uuid', giftCertificateCode: 'SAVED', recipientEmail: 'jane@example.com' },
+				RECEIVED: { UUID: 'received-uuid', giftCertificateCode: 'RECEIVED', recipientEmail: 'jane@example.com' }
+			};
+		});
+
+		it('should find gift certificates saved to the wallet', function () {
+			var customer = createCustomer('C001', ['SAVED']);
+
+			assert.equal(giftCertWalletHelpers.findWalletGiftCertificate(customer, 'saved-uuid').giftCertificateCode, 'SAVED');
+		});
+
+		it('should not find gift certificates sent to the email address of the customer, but not saved', function () {
+			var customer = createCustomer('C001', ['SAVED']);
+
+			assert.isNull(giftCertWalletHelpers.findWalletGiftCertificate(customer, 'received-uuid'));
+		});
+	});
+});
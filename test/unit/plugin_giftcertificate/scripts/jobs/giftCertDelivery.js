@@ -0,0 +1,113 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var SystemObjectMgr = require('../../../../mocks/dw/object/SystemObjectMgr');
+var Status = require('../../../../mocks/dw/system/Status');
+
+var delivered = [];
+
+var giftCertDelivery = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/jobs/giftCertDelivery', {
+	'dw/object/SystemObjectMgr': SystemObjectMgr,
+	'dw/system/Transaction': require('../../../../mocks/dw/system/Transaction'),
+	'dw/system/Status': Status,
+	'dw/system/Logger': require('../../../../mocks/dw/system/Logger'),
+	'*/cartridge/scripts/helpers/giftCertHelpers': {
+		DELIVERY_STATUS_PENDING: 'PENDING',
+		DELIVERY_STATUS_FAILED: 'FAILED',
+		deliverGiftCertificate: function (giftCertificate) {
+			delivered.push(giftCertificate.code);
+			return !giftCertificate.failing;
+		}
+	}
+});
+
+var MINUTE = 60 * 1000;
+var DAY = 24 * 60 * MINUTE;
+
+function createGiftCertificate(code, custom, failing) {
+	return {
+		code: code,
+		creationDate: new Date(Date.now() - DAY),
+		failing: !!failing,
+		custom: custom,
+		getMaskedGiftCertificateCode: function () {
+			return '****' + code;
+		}
+	};
+}
+
+describe('giftCertDelivery', function () {
+	beforeEach(function () {
+		delivered = [];
+	});
+
+	describe('sendScheduled', function () {
+		it('should send the pending gift certificates whose delivery date has been reached', function () {
+			SystemObjectMgr.setObjects('GiftCertificate', [
+				createGiftCertificate('PAST', { deliveryStatus: 'PENDING', deliveryDate: new Date(Date.now() - DAY) }),
+				createGiftCertificate('FUTURE', { deliveryStatus: 'PENDING', deliveryDate: new Date(Date.now() + DAY) }),
+				createGiftCertificate('SENT', { deliveryStatus: 'SENT', deliveryDate: new Date(Date.now() - DAY) })
+			]);
+
+			var status = giftCertDelivery.sendScheduled();
+
+			assert.deepEqual(delivered, ['PAST']);
+			assert.isFalse(status.isError());
+		});
+
+		it('should report an error if an email could not be sent', function () {
+			SystemObjectMgr.setObjects('GiftCertificate', [
+				createGiftCertificate('PAST', { deliveryStatus: 'PENDING', deliveryDate: new Date(Date.now() - DAY) }, true)
+			]);
+
+			assert.isTrue(giftCertDelivery.sendScheduled().isError());
+		});
+	});
+
+	describe('retryFailed', function () {
+		function createFailed(code, attempts, minutesAgo) {
+			return createGiftCertificate(code, {
+				deliveryStatus: 'FAILED',
+				deliveryAttempts: attempts,
+				lastDeliveryAttempt: new Date(Date.now() - (minutesAgo * MINUTE))
+			});
+		}
+
+		it('should double the backoff period with every attempt', function () {
+			SystemObjectMgr.setObjects('GiftCertificate', [
+				createFailed('FIRST_DUE', 1, 16),
+				createFailed('FIRST_WAITING', 1, 14),
+				createFailed('THIRD_DUE', 3, 61),
+				createFailed('THIRD_WAITING', 3, 59)
+			]);
+
+			giftCertDelivery.retryFailed({ BackoffMinutes: 15 });
+
+			assert.sameMembers(delivered, ['FIRST_DUE', 'THIRD_DUE']);
+		});
+
+		it('should give up after the maximum number of attempts', function () {
+			SystemObjectMgr.setObjects('GiftCertificate', [
+				createFailed('RETRIED', 2, 600),
+				createFailed('GIVEN_UP', 3, 600)
+			]);
+
+			giftCertDelivery.retryFailed({ MaxAttempts: 3 });
+
+			assert.deepEqual(delivered, ['RETRIED']);
+		});
+
+		it('should not retry gift certificates that were not failed', function () {
+			SystemObjectMgr.setObjects('GiftCertificate', [
+				createGiftCertificate('SENT', { deliveryStatus: 'SENT', deliveryAttempts: 1 })
+			]);
+
+			var status = giftCertDelivery.retryFailed({});
+
+			assert.lengthOf(delivered, 0);
+			assert.isFalse(status.isError());
+		});
+	});
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var SystemObjectMgr = require('../../../../mocks/dw/object/SystemObjectMgr');
+
+var giftCertExpiration = proxyquire('../../../../../cartridges/plugin_giftcertificate/cartridge/scripts/jobs/giftCertExpiration', {
+	'dw/object/SystemObjectMgr': SystemObjectMgr,
+	'dw/system/Transaction': require('../../../../mocks/dw/system/Transaction'),
+	'dw/system/Status': require('../../../../mocks/dw/system/Status')
+});
+
+function createGiftCertificate(expirationDate) {
+	return {
+		enabled: true,
+		creationDate: new Date(0),
+		custom: { expirationDate: expirationDate },
+		setEnabled: function (value) {
+			this.enabled = value;
+		}
+	};
+}
+
+describe('giftCertExpiration', function () {
+	describe('disableExpired', function () {
+		it('should disable the gift certificates past their expiration date only', function () {
+			var expired = createGiftCertificate(new Date(Date.now() - 1000));
+			var valid = createGiftCertificate(new Date(Date.now() + 60000));
+			var unlimited = createGiftCertificate(null);
+			SystemObjectMgr.setObjects('GiftCertificate', [expired, valid, unlimited]);
+
+			var status = giftCertExpiration.disableExpired();
+
+			assert.isFalse(expired.enabled);
+			assert.isTrue(valid.enabled);
+			assert.isTrue(unlimited.enabled);
+			assert.equal(status.getMessage(), 'Disabled 1 expired gift certificates');
+		});
+	});
+});